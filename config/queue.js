@@ -12,6 +12,7 @@ const QUEUES = {
     ALERTS: 'alerts',
     INCIDENTS: 'incidents',
     SSL_CHECKS: 'ssl-checks',
+    ESCALATIONS: 'escalations',
 };
 
 // Create queues
@@ -50,49 +51,80 @@ const incidentQueue = new Queue(QUEUES.INCIDENTS, {
     },
 });
 
+// Finished jobs are removed right away: the next check reuses the jobId,
+// which BullMQ would ignore while the finished job is still stored
 const sslQueue = new Queue(QUEUES.SSL_CHECKS, {
     connection: redisConfig,
     defaultJobOptions: {
         attempts: 2,
-        removeOnComplete: 50,
-        removeOnFail: 100,
+        removeOnComplete: true,
+        removeOnFail: true,
     },
 });
 
+const escalationQueue = new Queue(QUEUES.ESCALATIONS, {
+    connection: redisConfig,
+    defaultJobOptions: {
+        attempts: 3,
+        backoff: {
+            type: 'exponential',
+            delay: 2000,
+        },
+        removeOnComplete: 100,
+        removeOnFail: 500,
+    },
+});
+
+/**
+ * Check config passed to the worker with each job
+ */
+function getCheckJobData(monitor) {
+    return {
+        monitorId: monitor._id.toString(),
+        teamId: monitor.teamId.toString(),
+        type: monitor.type,
+        url: monitor.url,
+        method: monitor.method,
+        timeout: monitor.timeout,
+        headers: monitor.headers,
+        auth: monitor.auth,
+        body: monitor.body,
+        expectedCode: monitor.expectedCode,
+        assertions: monitor.assertions,
+        steps: monitor.steps,
+        pingCount: monitor.pingCount,
+        pingIpVersion: monitor.pingIpVersion,
+        port: monitor.port,
+        portProtocol: monitor.portProtocol,
+        dnsRecordType: monitor.dnsRecordType,
+        dnsExpectedValue: monitor.dnsExpectedValue,
+        dnsExpectedValues: monitor.dnsExpectedValues,
+        dnsMatchMode: monitor.dnsMatchMode,
+        dnsResolvers: monitor.dnsResolvers,
+        dnssecRequired: monitor.dnssecRequired,
+        keyword: monitor.keyword,
+        keywordType: monitor.keywordType,
+        sslCheck: monitor.sslCheck,
+        sslProtocol: monitor.sslProtocol,
+        intervalSec: monitor.intervalSec,
+        alertAfterFailures: monitor.alertAfterFailures,
+    };
+}
+
 /**
- * Add monitor check job
+ * Add monitor check job (ssl monitors go to their own queue)
  */
 async function addMonitorCheckJob(monitor, delay = 0) {
-    const jobId = `check-${monitor._id}`;
-
-    await monitorQueue.add(
-        'check',
-        {
-            monitorId: monitor._id.toString(),
-            teamId: monitor.teamId.toString(),
-            type: monitor.type,
-            url: monitor.url,
-            method: monitor.method,
-            timeout: monitor.timeout,
-            headers: monitor.headers,
-            body: monitor.body,
-            expectedCode: monitor.expectedCode,
-            port: monitor.port,
-            portProtocol: monitor.portProtocol,
-            dnsRecordType: monitor.dnsRecordType,
-            dnsExpectedValue: monitor.dnsExpectedValue,
-            keyword: monitor.keyword,
-            keywordType: monitor.keywordType,
-            sslCheck: monitor.sslCheck,
-            intervalSec: monitor.intervalSec,
-            alertAfterFailures: monitor.alertAfterFailures,
-        },
-        {
-            jobId,
-            delay,
-            priority: getPriority(monitor.intervalSec),
-        }
-    );
+    if (monitor.type === 'ssl') {
+        await addSslCheckJob(monitor, delay);
+        return;
+    }
+
+    await monitorQueue.add('check', getCheckJobData(monitor), {
+        jobId: `check-${monitor._id}`,
+        delay,
+        priority: getPriority(monitor.intervalSec),
+    });
 }
 
 /**
@@ -112,26 +144,50 @@ async function addIncidentJob(incidentData) {
 }
 
 /**
- * Schedule SSL check
+ * Schedule an ssl monitor check
  */
-async function addSslCheckJob(monitor) {
-    await sslQueue.add('check', {
-        monitorId: monitor._id.toString(),
-        url: monitor.url,
+async function addSslCheckJob(monitor, delay = 0) {
+    await sslQueue.add('check', getCheckJobData(monitor), {
+        jobId: `ssl-${monitor._id}`,
+        delay,
     });
 }
 
 /**
- * Remove all jobs for a monitor
+ * Schedule an escalation level for an incident
  */
-async function removeMonitorJobs(monitorId) {
-    const jobId = `check-${monitorId}`;
-    const job = await monitorQueue.getJob(jobId);
+async function addEscalationJob(escalationData, delay = 0) {
+    await escalationQueue.add('escalate', escalationData, {
+        jobId: `escalation-${escalationData.incidentId}-${escalationData.level}`,
+        delay,
+    });
+}
+
+/**
+ * Remove a pending escalation level
+ */
+async function removeEscalationJob(incidentId, level) {
+    const job = await escalationQueue.getJob(`escalation-${incidentId}-${level}`);
     if (job) {
         await job.remove();
     }
 }
 
+/**
+ * Remove all jobs for a monitor
+ */
+async function removeMonitorJobs(monitorId) {
+    const jobs = await Promise.all([
+        monitorQueue.getJob(`check-${monitorId}`),
+        sslQueue.getJob(`ssl-${monitorId}`),
+    ]);
+    for (const job of jobs) {
+        if (job) {
+            await job.remove();
+        }
+    }
+}
+
 /**
  * Get priority based on interval (lower interval = higher priority)
  */
@@ -165,6 +221,7 @@ async function closeQueues() {
         alertQueue.close(),
         incidentQueue.close(),
         sslQueue.close(),
+        escalationQueue.close(),
     ]);
 }
 
@@ -174,10 +231,13 @@ module.exports = {
     alertQueue,
     incidentQueue,
     sslQueue,
+    escalationQueue,
     addMonitorCheckJob,
     addAlertJob,
     addIncidentJob,
     addSslCheckJob,
+    addEscalationJob,
+    removeEscalationJob,
     removeMonitorJobs,
     getQueueStats,
     closeQueues,
@@ -1,9 +1,11 @@
 /**
  * Alert Channel Controller
- * Manages alert configurations (Email, Telegram, Webhook)
+ * Manages alert configurations (Email, Telegram, Webhook, Slack, Discord)
  */
 
 const AlertChannel = require('../models/AlertChannel');
+const Monitor = require('../models/Monitor');
+const Team = require('../models/Team');
 const alertService = require('../services/alerts');
 
 // @desc    Get all alert channels for team
@@ -51,7 +53,7 @@ exports.createAlertChannel = async (req, res) => {
             name,
             type,
             config,
-            notifyOn = { down: true, up: true, degraded: true, sslExpiry: true },
+            notifyOn = { down: true, up: true, degraded: true, sslExpiry: true, sslProblem: true, domainExpiry: true, dnsChanged: true },
             cooldownMinutes = 5,
         } = req.body;
 
@@ -109,7 +111,7 @@ exports.updateAlertChannel = async (req, res) => {
         if (name) channel.name = name;
         if (typeof enabled === 'boolean') channel.enabled = enabled;
         if (notifyOn) channel.notifyOn = { ...channel.notifyOn, ...notifyOn };
-        if (cooldownMinutes) channel.cooldownMinutes = cooldownMinutes;
+        if (cooldownMinutes !== undefined) channel.cooldownMinutes = cooldownMinutes;
 
         await channel.save();
 
@@ -134,6 +136,18 @@ exports.deleteAlertChannel = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Channel not found' });
         }
 
+        // Detach from monitors and team defaults
+        await Promise.all([
+            Monitor.updateMany(
+                { teamId: req.params.teamId, alertChannels: channel._id },
+                { $pull: { alertChannels: channel._id } }
+            ),
+            Team.updateOne(
+                { _id: req.params.teamId },
+                { $pull: { defaultAlertChannels: channel._id } }
+            ),
+        ]);
+
         res.status(200).json({ success: true, message: 'Channel deleted' });
     } catch (error) {
         console.error('Delete channel error:', error);
@@ -240,19 +254,19 @@ function validateChannelConfig(type, config) {
             break;
 
         case 'slack':
-            if (!config.webhookUrl) {
+            if (!config.slackWebhookUrl) {
                 return 'Slack Webhook URL is required';
             }
-            if (!config.webhookUrl.includes('hooks.slack.com')) {
+            if (!isWebhookUrl(config.slackWebhookUrl, ['hooks.slack.com'], '/services/')) {
                 return 'Invalid Slack Webhook URL';
             }
             break;
 
         case 'discord':
-            if (!config.webhookUrl) {
+            if (!config.discordWebhookUrl) {
                 return 'Discord Webhook URL is required';
             }
-            if (!config.webhookUrl.includes('discord.com/api/webhooks') && !config.webhookUrl.includes('discordapp.com/api/webhooks')) {
+            if (!isWebhookUrl(config.discordWebhookUrl, ['discord.com', 'discordapp.com'], '/api/webhooks/')) {
                 return 'Invalid Discord Webhook URL';
             }
             break;
@@ -263,3 +277,17 @@ function validateChannelConfig(type, config) {
 
     return null;
 }
+
+/**
+ * Check that a URL is an https webhook on one of the given hosts
+ */
+function isWebhookUrl(value, hosts, pathPrefix) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' &&
+            hosts.includes(url.hostname) &&
+            url.pathname.startsWith(pathPrefix);
+    } catch {
+        return false;
+    }
+}
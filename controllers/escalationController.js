@@ -0,0 +1,182 @@
+/**
+ * Escalation Policy Controller
+ * Manages on-call escalation levels that monitors can be attached to
+ */
+
+const EscalationPolicy = require('../models/EscalationPolicy');
+const AlertChannel = require('../models/AlertChannel');
+const Monitor = require('../models/Monitor');
+
+const ROLES = ['owner', 'admin', 'member'];
+
+// @desc    Get all escalation policies for team
+// @route   GET /api/teams/:teamId/escalation-policies
+// @access  Private
+exports.getEscalationPolicies = async (req, res) => {
+    try {
+        const policies = await EscalationPolicy.find({ teamId: req.params.teamId })
+            .populate('levels.channels', 'name type')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({ success: true, policies });
+    } catch (error) {
+        console.error('Get escalation policies error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Get single escalation policy
+// @route   GET /api/teams/:teamId/escalation-policies/:id
+// @access  Private
+exports.getEscalationPolicy = async (req, res) => {
+    try {
+        const policy = await EscalationPolicy.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        }).populate('levels.channels', 'name type');
+
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Escalation policy not found' });
+        }
+
+        const monitors = await Monitor.find({
+            teamId: req.params.teamId,
+            escalationPolicyId: policy._id,
+        }).select('name url type');
+
+        res.status(200).json({ success: true, policy, monitors });
+    } catch (error) {
+        console.error('Get escalation policy error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Create escalation policy
+// @route   POST /api/teams/:teamId/escalation-policies
+// @access  Private
+exports.createEscalationPolicy = async (req, res) => {
+    try {
+        const { name, description, levels = [], enabled = true } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        const validationError = await validateLevels(req.params.teamId, levels);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const policy = await EscalationPolicy.create({
+            teamId: req.params.teamId,
+            name,
+            description,
+            levels,
+            enabled,
+        });
+
+        res.status(201).json({ success: true, policy });
+    } catch (error) {
+        console.error('Create escalation policy error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Update escalation policy
+// @route   PUT /api/teams/:teamId/escalation-policies/:id
+// @access  Private
+exports.updateEscalationPolicy = async (req, res) => {
+    try {
+        const { name, description, levels, enabled } = req.body;
+
+        const policy = await EscalationPolicy.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Escalation policy not found' });
+        }
+
+        if (levels) {
+            const validationError = await validateLevels(req.params.teamId, levels);
+            if (validationError) {
+                return res.status(400).json({ success: false, message: validationError });
+            }
+            policy.levels = levels;
+        }
+
+        if (name) policy.name = name;
+        if (description !== undefined) policy.description = description;
+        if (typeof enabled === 'boolean') policy.enabled = enabled;
+
+        await policy.save();
+
+        res.status(200).json({ success: true, policy });
+    } catch (error) {
+        console.error('Update escalation policy error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Delete escalation policy
+// @route   DELETE /api/teams/:teamId/escalation-policies/:id
+// @access  Private
+exports.deleteEscalationPolicy = async (req, res) => {
+    try {
+        const policy = await EscalationPolicy.findOneAndDelete({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Escalation policy not found' });
+        }
+
+        // Detach from monitors (they fall back to regular alerts)
+        await Monitor.updateMany(
+            { teamId: req.params.teamId, escalationPolicyId: policy._id },
+            { $unset: { escalationPolicyId: 1 } }
+        );
+
+        res.status(200).json({ success: true, message: 'Escalation policy deleted' });
+    } catch (error) {
+        console.error('Delete escalation policy error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+/**
+ * Validate policy levels
+ */
+async function validateLevels(teamId, levels) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+        return 'At least one level is required';
+    }
+
+    for (const [index, level] of levels.entries()) {
+        const label = `Level ${index + 1}`;
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            return `${label}: must be an object`;
+        }
+        const { delayMinutes = 0, channels = [], notifyRoles = [] } = level;
+
+        if (typeof delayMinutes !== 'number' || delayMinutes < 0) {
+            return `${label}: delay must be a positive number of minutes`;
+        }
+        if (!Array.isArray(channels) || !Array.isArray(notifyRoles)) {
+            return `${label}: channels and roles must be arrays`;
+        }
+        if (channels.length === 0 && notifyRoles.length === 0) {
+            return `${label}: add at least one channel or role to notify`;
+        }
+        if (notifyRoles.some((role) => !ROLES.includes(role))) {
+            return `${label}: invalid role`;
+        }
+        if (!(await AlertChannel.belongToTeam(channels, teamId))) {
+            return `${label}: one or more channels do not belong to this team`;
+        }
+    }
+
+    return null;
+}
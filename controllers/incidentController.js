@@ -6,6 +6,8 @@
 const Incident = require('../models/Incident');
 const Monitor = require('../models/Monitor');
 const { sendAlert } = require('../services/alerts');
+const { notifyIncidentSubscribers } = require('../services/alerts/subscribers');
+const { acknowledgeIncident, verifyAcknowledgeToken, renderAcknowledgePage } = require('../services/alerts/acknowledgement');
 
 // @desc    Get all incidents for team
 // @route   GET /api/teams/:teamId/incidents
@@ -236,6 +238,114 @@ exports.addTimelineEntry = async (req, res) => {
     }
 };
 
+// @desc    Acknowledge incident (stops escalation and repeat alerts)
+// @route   POST /api/teams/:teamId/incidents/:id/acknowledge
+// @access  Private
+exports.acknowledgeIncident = async (req, res) => {
+    try {
+        const incident = await Incident.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!incident) {
+            return res.status(404).json({ success: false, message: 'Incident not found' });
+        }
+
+        const acknowledged = await acknowledgeIncident(incident, req.user._id);
+        if (!acknowledged) {
+            return res.status(400).json({
+                success: false,
+                message: incident.status === 'resolved'
+                    ? 'Incident is already resolved'
+                    : 'Incident is already acknowledged',
+            });
+        }
+
+        await incident.populate('acknowledgedBy', 'name email');
+
+        res.status(200).json({ success: true, incident });
+    } catch (error) {
+        console.error('Acknowledge incident error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+/**
+ * Incident an acknowledge link token is valid for (null if invalid or expired)
+ */
+async function findIncidentForLink(req, token) {
+    const decoded = verifyAcknowledgeToken(token);
+    if (!decoded || decoded.incidentId !== req.params.id) {
+        return null;
+    }
+
+    return Incident.findOne({
+        _id: req.params.id,
+        teamId: req.params.teamId,
+    });
+}
+
+const INVALID_LINK_PAGE = {
+    heading: 'Link not valid',
+    message: 'This acknowledge link is invalid or has expired. Acknowledge the incident from the dashboard instead.',
+};
+
+// @desc    Confirmation page for an alert's acknowledge link (doesn't acknowledge)
+// @route   GET /api/teams/:teamId/incidents/:id/acknowledge?token=
+// @access  Public (signed token)
+exports.showAcknowledgePage = async (req, res) => {
+    try {
+        const incident = await findIncidentForLink(req, req.query.token);
+
+        if (!incident) {
+            return res.status(400).send(renderAcknowledgePage(INVALID_LINK_PAGE));
+        }
+
+        if (incident.acknowledgedAt || incident.status === 'resolved') {
+            return res.status(200).send(renderAcknowledgePage({
+                heading: incident.title,
+                message: `This incident was already ${incident.status === 'resolved' ? 'resolved' : 'acknowledged'}.`,
+            }));
+        }
+
+        res.status(200).send(renderAcknowledgePage({
+            heading: incident.title,
+            message: 'Acknowledge this incident? Escalation to further contacts will stop.',
+            action: `${req.baseUrl}/${incident._id}/acknowledge/confirm`,
+            token: req.query.token,
+        }));
+    } catch (error) {
+        console.error('Acknowledge page error:', error);
+        res.status(500).send(renderAcknowledgePage({ heading: 'Server error', message: 'Please try again.' }));
+    }
+};
+
+// @desc    Acknowledge incident from an alert link
+// @route   POST /api/teams/:teamId/incidents/:id/acknowledge/confirm (body: token)
+// @access  Public (signed token)
+exports.acknowledgeIncidentByLink = async (req, res) => {
+    try {
+        const incident = await findIncidentForLink(req, req.body?.token);
+
+        if (!incident) {
+            return res.status(400).send(renderAcknowledgePage(INVALID_LINK_PAGE));
+        }
+
+        const acknowledged = await acknowledgeIncident(incident);
+
+        res.status(200).send(renderAcknowledgePage({
+            heading: incident.title,
+            message: acknowledged
+                ? 'Incident acknowledged.'
+                : `This incident was already ${incident.status === 'resolved' ? 'resolved' : 'acknowledged'}.`,
+        }));
+    } catch (error) {
+        console.error('Acknowledge incident link error:', error);
+        res.status(500).send(renderAcknowledgePage({ heading: 'Server error', message: 'Please try again.' }));
+    }
+};
+
 // @desc    Delete incident
 // @route   DELETE /api/teams/:teamId/incidents/:id
 // @access  Private (Admin only)
@@ -282,7 +392,7 @@ exports.getActiveIncidentsCount = async (req, res) => {
 };
 
 /**
- * Send incident notification
+ * Send incident notification to team channels and status page subscribers
  */
 async function sendIncidentNotification(incident, teamId, eventType) {
     try {
@@ -297,4 +407,10 @@ async function sendIncidentNotification(incident, teamId, eventType) {
     } catch (error) {
         console.error('Incident notification failed:', error);
     }
+
+    try {
+        await notifyIncidentSubscribers(incident, eventType);
+    } catch (error) {
+        console.error('Subscriber notification failed:', error);
+    }
 }
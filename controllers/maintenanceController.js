@@ -0,0 +1,231 @@
+/**
+ * Maintenance Controller
+ * Manages scheduled maintenance windows that suppress incidents and alerts
+ */
+
+const Maintenance = require('../models/Maintenance');
+const Monitor = require('../models/Monitor');
+const { isValidTimezone } = require('../utils/timezone');
+
+// @desc    Get all maintenance windows for team
+// @route   GET /api/teams/:teamId/maintenance
+// @access  Private
+exports.getMaintenanceWindows = async (req, res) => {
+    try {
+        const maintenance = await Maintenance.find({ teamId: req.params.teamId })
+            .populate('affectedMonitors', 'name url type')
+            .sort({ startTime: -1 });
+
+        res.status(200).json({ success: true, maintenance });
+    } catch (error) {
+        console.error('Get maintenance error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch maintenance windows' });
+    }
+};
+
+// @desc    Get single maintenance window
+// @route   GET /api/teams/:teamId/maintenance/:id
+// @access  Private
+exports.getMaintenanceWindow = async (req, res) => {
+    try {
+        const maintenance = await Maintenance.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        }).populate('affectedMonitors', 'name url type');
+
+        if (!maintenance) {
+            return res.status(404).json({ success: false, message: 'Maintenance window not found' });
+        }
+
+        res.status(200).json({ success: true, maintenance });
+    } catch (error) {
+        console.error('Get maintenance window error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Create maintenance window
+// @route   POST /api/teams/:teamId/maintenance
+// @access  Private
+exports.createMaintenanceWindow = async (req, res) => {
+    try {
+        const {
+            title,
+            description,
+            startTime,
+            endTime,
+            timezone = 'UTC',
+            recurring = 'none',
+            daysOfWeek = [],
+            recurringUntil,
+            affectedMonitors = [],
+        } = req.body;
+
+        const validationError = await validateMaintenance(req.params.teamId, {
+            title,
+            startTime,
+            endTime,
+            timezone,
+            recurring,
+            daysOfWeek,
+            affectedMonitors,
+        });
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const maintenance = await Maintenance.create({
+            teamId: req.params.teamId,
+            title,
+            description,
+            startTime,
+            endTime,
+            timezone,
+            recurring,
+            daysOfWeek,
+            recurringUntil,
+            affectedMonitors,
+            createdBy: req.user._id,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Maintenance window created',
+            maintenance,
+        });
+    } catch (error) {
+        console.error('Create maintenance error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create maintenance window' });
+    }
+};
+
+// @desc    Update maintenance window
+// @route   PUT /api/teams/:teamId/maintenance/:id
+// @access  Private
+exports.updateMaintenanceWindow = async (req, res) => {
+    try {
+        const maintenance = await Maintenance.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!maintenance) {
+            return res.status(404).json({ success: false, message: 'Maintenance window not found' });
+        }
+
+        const fields = [
+            'title',
+            'description',
+            'startTime',
+            'endTime',
+            'timezone',
+            'recurring',
+            'daysOfWeek',
+            'recurringUntil',
+            'affectedMonitors',
+            'enabled',
+        ];
+
+        // Checked before assigning, the model would fail to cast invalid days
+        if (req.body.daysOfWeek !== undefined) {
+            const daysError = validateDaysOfWeek(req.body.daysOfWeek);
+            if (daysError) {
+                return res.status(400).json({ success: false, message: daysError });
+            }
+        }
+
+        for (const field of fields) {
+            if (req.body[field] !== undefined) {
+                maintenance[field] = req.body[field];
+            }
+        }
+
+        const validationError = await validateMaintenance(req.params.teamId, maintenance);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        await maintenance.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Maintenance window updated',
+            maintenance,
+        });
+    } catch (error) {
+        console.error('Update maintenance error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update maintenance window' });
+    }
+};
+
+// @desc    Delete maintenance window
+// @route   DELETE /api/teams/:teamId/maintenance/:id
+// @access  Private
+exports.deleteMaintenanceWindow = async (req, res) => {
+    try {
+        const maintenance = await Maintenance.findOneAndDelete({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!maintenance) {
+            return res.status(404).json({ success: false, message: 'Maintenance window not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Maintenance window deleted',
+        });
+    } catch (error) {
+        console.error('Delete maintenance error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete maintenance window' });
+    }
+};
+
+/**
+ * Validate weekly recurrence days (0 = Sunday to 6 = Saturday)
+ */
+function validateDaysOfWeek(daysOfWeek) {
+    if (!Array.isArray(daysOfWeek) || !daysOfWeek.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return 'Days of week must be whole numbers from 0 (Sunday) to 6 (Saturday)';
+    }
+    return null;
+}
+
+/**
+ * Validate maintenance window fields
+ */
+async function validateMaintenance(teamId, data) {
+    const { title, startTime, endTime, timezone, recurring, daysOfWeek, affectedMonitors } = data;
+
+    if (!title) return 'Title is required';
+    if (!startTime || !endTime) return 'Start and end time are required';
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (isNaN(start) || isNaN(end)) return 'Invalid start or end time';
+    if (end <= start) return 'End time must be after start time';
+
+    if (timezone && !isValidTimezone(timezone)) return `Invalid timezone: ${timezone}`;
+
+    if (!['none', 'daily', 'weekly', 'monthly'].includes(recurring)) {
+        return `Invalid recurrence: ${recurring}`;
+    }
+
+    if (daysOfWeek !== undefined) {
+        const daysError = validateDaysOfWeek(daysOfWeek);
+        if (daysError) return daysError;
+    }
+
+    if (affectedMonitors && affectedMonitors.length > 0) {
+        const count = await Monitor.countDocuments({
+            _id: { $in: affectedMonitors },
+            teamId,
+        });
+        if (count !== affectedMonitors.length) {
+            return 'One or more monitors do not belong to this team';
+        }
+    }
+
+    return null;
+}
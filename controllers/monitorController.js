@@ -1,7 +1,54 @@
+const mongoose = require('mongoose');
 const Monitor = require('../models/Monitor');
+const AlertChannel = require('../models/AlertChannel');
+const EscalationPolicy = require('../models/EscalationPolicy');
 const MonitorHistory = require('../models/MonitorHistory');
+const CronRun = require('../models/CronRun');
+const HeartbeatPing = require('../models/HeartbeatPing');
+const SslCertificate = require('../models/SslCertificate');
 const workerCache = require('../workers/workerCache');
 const socketService = require('../services/socketService');
+const { validateMonitorConfig } = require('../workers/checks');
+const { PHASES: TIMING_PHASES } = require('../workers/checks/timing');
+const { getNextRuns } = require('../utils/cron');
+const { isValidTimezone } = require('../utils/timezone');
+
+// Type-specific fields that can be set directly from the request body
+const TYPE_FIELDS = [
+    'pingCount',
+    'pingIpVersion',
+    'port',
+    'portProtocol',
+    'dnsRecordType',
+    'dnsExpectedValue',
+    'dnsExpectedValues',
+    'dnsMatchMode',
+    'dnsResolvers',
+    'dnssecRequired',
+    'dnsAlertOnChange',
+    'keyword',
+    'keywordType',
+    'heartbeatInterval',
+    'heartbeatGracePeriod',
+    'cronExpression',
+    'cronTimezone',
+    'cronGracePeriod',
+    'cronMaxDuration',
+    'sslCheck',
+    'sslAlertDays',
+    'sslProtocol',
+    'sslAlertOnRotation',
+    'domainAlertDays',
+    'assertions',
+    'steps',
+    'degradedResponseMs',
+    'degradedAfterChecks',
+    'degradedSslDays',
+    'degradedPacketLoss',
+    'degradedJitterMs',
+];
+
+const MAX_CRON_PREVIEW = 50;
 
 // @desc    Get all monitors for team
 // @route   GET /api/teams/:teamId/monitors
@@ -65,27 +112,44 @@ exports.createMonitor = async (req, res) => {
     try {
         const {
             name,
+            type = 'http',
             url,
             method = 'GET',
-            intervalSec = 60,
+            intervalSec = ['ssl', 'domain'].includes(type) ? 86400 : 60, // Certificates and registrations change rarely, check daily
             expectedCode = 200,
             timeout = 30000,
             headers = {},
             body = '',
             alertAfterFailures = 1,
-            alertChannels = [],
+            alertChannels = req.team.defaultAlertChannels || [],
+            escalationPolicyId,
         } = req.body;
 
-        if (!name || !url) {
+        if (!name) {
             return res.status(400).json({
                 success: false,
-                message: 'Name and URL are required',
+                message: 'Name is required',
+            });
+        }
+
+        if (!(await AlertChannel.belongToTeam(alertChannels, req.params.teamId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert channels',
+            });
+        }
+
+        if (escalationPolicyId && !(await isTeamPolicy(escalationPolicyId, req.params.teamId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid escalation policy',
             });
         }
 
         const monitor = new Monitor({
             teamId: req.params.teamId,
             name,
+            type,
             url,
             method,
             intervalSec,
@@ -95,7 +159,18 @@ exports.createMonitor = async (req, res) => {
             body,
             alertAfterFailures,
             alertChannels,
+            escalationPolicyId: escalationPolicyId || undefined,
         });
+        applyTypeFields(monitor, req.body);
+        if (req.body.auth !== undefined) monitor.setAuth(req.body.auth);
+
+        const configError = getConfigError(monitor);
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                message: configError,
+            });
+        }
 
         await monitor.save();
 
@@ -161,7 +236,44 @@ exports.updateMonitor = async (req, res) => {
         if (headers) monitor.headers = headers;
         if (body !== undefined) monitor.body = body;
         if (alertAfterFailures) monitor.alertAfterFailures = alertAfterFailures;
-        if (req.body.alertChannels) monitor.alertChannels = req.body.alertChannels;
+        if (req.body.alertChannels) {
+            if (!(await AlertChannel.belongToTeam(req.body.alertChannels, req.params.teamId))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid alert channels',
+                });
+            }
+            monitor.alertChannels = req.body.alertChannels;
+        }
+        if (req.body.escalationPolicyId !== undefined) {
+            const { escalationPolicyId } = req.body;
+            if (escalationPolicyId && !(await isTeamPolicy(escalationPolicyId, req.params.teamId))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid escalation policy',
+                });
+            }
+            monitor.escalationPolicyId = escalationPolicyId || undefined;
+        }
+        applyTypeFields(monitor, req.body);
+        if (req.body.auth !== undefined) monitor.setAuth(req.body.auth);
+
+        // Looking up something else isn't a DNS change
+        if (['url', 'dnsRecordType', 'dnsResolvers'].some((field) => monitor.isModified(field))) {
+            monitor.dnsLastRecords = [];
+        }
+        // Another server's certificate starts the expiry thresholds over
+        if (['url', 'port'].some((field) => monitor.isModified(field))) {
+            monitor.sslExpiryAlertsFor = undefined;
+        }
+
+        const configError = getConfigError(monitor);
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                message: configError,
+            });
+        }
 
         await monitor.save();
 
@@ -218,6 +330,9 @@ exports.deleteMonitor = async (req, res) => {
 
         // Delete history
         await MonitorHistory.deleteMany({ monitorId: monitor._id });
+        await CronRun.deleteMany({ monitorId: monitor._id });
+        await HeartbeatPing.deleteMany({ monitorId: monitor._id });
+        await SslCertificate.deleteMany({ monitorId: monitor._id });
 
         // Emit event
         socketService.emitToTeam(req.params.teamId, 'monitor_deleted', req.params.id);
@@ -431,6 +546,18 @@ exports.getMonitorStats = async (req, res) => {
             ? Math.max(...responseTimes)
             : 0;
 
+        // Average request phases (DNS, TCP, TLS, TTFB, transfer) of HTTP checks
+        const avgTimings = {};
+        for (const phase of TIMING_PHASES) {
+            const values = history
+                .map((h) => h.timings?.[phase])
+                .filter((value) => typeof value === 'number');
+
+            avgTimings[phase] = values.length > 0
+                ? Math.round(values.reduce((a, b) => a + b, 0) / values.length)
+                : null;
+        }
+
         // Get incidents (status changes to down)
         const incidents = [];
         let currentIncident = null;
@@ -466,11 +593,13 @@ exports.getMonitorStats = async (req, res) => {
                 avgResponseTime,
                 minResponseTime,
                 maxResponseTime,
+                avgTimings,
                 incidents: incidents.reverse().slice(0, 10),
             },
             chartData: history.map((h) => ({
                 time: h.checkedAt,
                 responseMs: h.responseMs || 0,
+                timings: h.timings,
                 success: h.success,
             })),
         });
@@ -494,6 +623,7 @@ exports.getDashboardStats = async (req, res) => {
         const activeMonitors = monitors.filter((m) => m.active).length;
         const upMonitors = monitors.filter((m) => m.lastStatus === 'up').length;
         const downMonitors = monitors.filter((m) => m.lastStatus === 'down').length;
+        const degradedMonitors = monitors.filter((m) => m.lastStatus === 'degraded').length;
 
         // Get 24h history for all monitors
         const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
@@ -534,6 +664,7 @@ exports.getDashboardStats = async (req, res) => {
                 activeMonitors,
                 upMonitors,
                 downMonitors,
+                degradedMonitors,
                 overallUptime: parseFloat(overallUptime),
                 avgResponseTime,
                 totalChecks24h: totalChecks,
@@ -548,3 +679,213 @@ exports.getDashboardStats = async (req, res) => {
         });
     }
 };
+
+// @desc    Get recent runs of a cronjob monitor
+// @route   GET /api/teams/:teamId/monitors/:id/runs
+// @access  Private
+exports.getCronRuns = async (req, res) => {
+    try {
+        const { limit = 50, offset = 0, status } = req.query;
+
+        const monitor = await Monitor.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!monitor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Monitor not found',
+            });
+        }
+
+        const query = { monitorId: monitor._id };
+        if (status) query.status = status;
+
+        const runs = await CronRun.find(query)
+            .sort({ startedAt: -1 })
+            .skip(parseInt(offset))
+            .limit(Math.min(parseInt(limit), 200));
+
+        const total = await CronRun.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            runs,
+            total,
+        });
+    } catch (error) {
+        console.error('Get cron runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+// @desc    Get received pings of a heartbeat monitor
+// @route   GET /api/teams/:teamId/monitors/:id/heartbeats
+// @access  Private
+exports.getHeartbeatPings = async (req, res) => {
+    try {
+        const { limit = 50, offset = 0 } = req.query;
+
+        const monitor = await Monitor.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!monitor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Monitor not found',
+            });
+        }
+
+        const query = { monitorId: monitor._id };
+
+        const pings = await HeartbeatPing.find(query)
+            .sort({ receivedAt: -1 })
+            .skip(parseInt(offset))
+            .limit(Math.min(parseInt(limit), 200));
+
+        const total = await HeartbeatPing.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            pings,
+            total,
+        });
+    } catch (error) {
+        console.error('Get heartbeat pings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+// @desc    Get certificate history of an ssl monitor
+// @route   GET /api/teams/:teamId/monitors/:id/certificates
+// @access  Private
+exports.getSslCertificates = async (req, res) => {
+    try {
+        const { limit = 50, offset = 0 } = req.query;
+
+        const monitor = await Monitor.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!monitor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Monitor not found',
+            });
+        }
+
+        const query = { monitorId: monitor._id };
+
+        const certificates = await SslCertificate.find(query)
+            .sort({ firstSeenAt: -1 })
+            .skip(parseInt(offset))
+            .limit(Math.min(parseInt(limit), 200));
+
+        const total = await SslCertificate.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            certificates,
+            total,
+        });
+    } catch (error) {
+        console.error('Get SSL certificates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+// @desc    Preview the next run times of a cron expression
+// @route   GET /api/teams/:teamId/monitors/cron-preview?expression=&timezone=&count=
+// @access  Private
+exports.previewCronSchedule = async (req, res) => {
+    try {
+        const { expression, timezone = 'UTC' } = req.query;
+        const count = Math.min(parseInt(req.query.count, 10) || 5, MAX_CRON_PREVIEW);
+
+        if (!expression) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cron expression is required',
+            });
+        }
+
+        if (!isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid timezone: ${timezone}`,
+            });
+        }
+
+        let runs;
+        try {
+            runs = getNextRuns(expression, timezone, count);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.message,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            expression,
+            timezone,
+            runs,
+        });
+    } catch (error) {
+        console.error('Cron preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+/**
+ * Copy type-specific fields from the request body onto a monitor
+ */
+function applyTypeFields(monitor, body) {
+    for (const field of TYPE_FIELDS) {
+        if (body[field] !== undefined) {
+            monitor[field] = body[field];
+        }
+    }
+}
+
+/**
+ * Validate type-specific configuration, returns an error message or null
+ */
+function getConfigError(monitor) {
+    const { valid, errors } = validateMonitorConfig(monitor);
+    if (!valid) return errors[0];
+
+    const validationError = monitor.validateSync();
+    if (validationError) {
+        return Object.values(validationError.errors)[0].message;
+    }
+
+    return null;
+}
+
+/**
+ * Whether an escalation policy id is well-formed and belongs to the team
+ */
+async function isTeamPolicy(escalationPolicyId, teamId) {
+    if (typeof escalationPolicyId !== 'string' || !mongoose.isValidObjectId(escalationPolicyId)) {
+        return false;
+    }
+    return Boolean(await EscalationPolicy.exists({ _id: escalationPolicyId, teamId }));
+}
@@ -1,71 +1,21 @@
-const Team = require('../models/Team');
+const StatusPage = require('../models/StatusPage');
 const Monitor = require('../models/Monitor');
 const MonitorHistory = require('../models/MonitorHistory');
+const Incident = require('../models/Incident');
+const subscriberService = require('../services/alerts/subscribers');
+const { generateStatusPageToken, ACCESS_TOKEN_EXPIRES_IN } = require('../middleware/statusPageAccess');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 // @desc    Get public status page data
-// @route   GET /api/status/:teamSlug
-// @access  Public
+// @route   GET /api/status/:slug
+// @access  Public (private/password protected pages need access)
 exports.getStatusPage = async (req, res) => {
     try {
-        const team = await Team.findOne({ slug: req.params.teamSlug });
-
-        if (!team) {
-            return res.status(404).json({
-                success: false,
-                message: 'Status page not found',
-            });
-        }
-
-        // Get active monitors
-        const monitors = await Monitor.find({
-            teamId: team._id,
-            active: true,
-        }).select('name url lastStatus lastChecked lastResponseMs');
-
-        // Calculate uptime for each monitor (last 24 hours)
-        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
-
-        const monitorsWithUptime = await Promise.all(
-            monitors.map(async (monitor) => {
-                const history = await MonitorHistory.find({
-                    monitorId: monitor._id,
-                    checkedAt: { $gte: yesterday },
-                });
-
-                const totalChecks = history.length;
-                const successfulChecks = history.filter((h) => h.success).length;
-                const uptimePercentage = totalChecks > 0
-                    ? ((successfulChecks / totalChecks) * 100).toFixed(2)
-                    : 100;
-
-                return {
-                    id: monitor._id,
-                    name: monitor.name,
-                    url: monitor.url,
-                    status: monitor.lastStatus,
-                    lastChecked: monitor.lastChecked,
-                    responseTime: monitor.lastResponseMs,
-                    uptime24h: parseFloat(uptimePercentage),
-                };
-            })
-        );
-
-        // Calculate overall status
-        const allUp = monitorsWithUptime.every((m) => m.status === 'up');
-        const someDown = monitorsWithUptime.some((m) => m.status === 'down');
-        const overallStatus = someDown ? 'down' : allUp ? 'up' : 'degraded';
-
         res.status(200).json({
             success: true,
-            statusPage: {
-                team: {
-                    name: team.name,
-                    slug: team.slug,
-                },
-                overallStatus,
-                monitors: monitorsWithUptime,
-                lastUpdated: new Date(),
-            },
+            statusPage: await buildStatusPage(req.statusPage),
         });
     } catch (error) {
         console.error('Get status page error:', error);
@@ -76,33 +26,24 @@ exports.getStatusPage = async (req, res) => {
     }
 };
 
-// @desc    Get status page uptime history (last 90 days)
-// @route   GET /api/status/:teamSlug/history
-// @access  Public
+// @desc    Get status page daily uptime history (last uptimeDays days)
+// @route   GET /api/status/:slug/history
+// @access  Public (private/password protected pages need access)
 exports.getStatusPageHistory = async (req, res) => {
     try {
-        const team = await Team.findOne({ slug: req.params.teamSlug });
+        const { statusPage } = req;
 
-        if (!team) {
-            return res.status(404).json({
-                success: false,
-                message: 'Status page not found',
-            });
+        if (!statusPage.showUptime) {
+            return res.status(200).json({ success: true, history: [] });
         }
 
-        const monitors = await Monitor.find({
-            teamId: team._id,
-            active: true,
-        }).select('name');
-
-        // Get daily uptime for last 90 days
-        const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+        const since = new Date(Date.now() - statusPage.uptimeDays * DAY_MS);
 
         const dailyStats = await MonitorHistory.aggregate([
             {
                 $match: {
-                    monitorId: { $in: monitors.map((m) => m._id) },
-                    checkedAt: { $gte: ninetyDaysAgo },
+                    monitorId: { $in: statusPage.monitors.map((m) => m.monitorId) },
+                    checkedAt: { $gte: since },
                 },
             },
             {
@@ -140,3 +81,279 @@ exports.getStatusPageHistory = async (req, res) => {
         });
     }
 };
+
+// @desc    Unlock a password protected status page
+// @route   POST /api/status/:slug/unlock
+// @access  Public
+exports.unlockStatusPage = async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is required',
+            });
+        }
+
+        const statusPage = await StatusPage.findOne({ slug: req.params.slug });
+
+        if (!statusPage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Status page not found',
+            });
+        }
+
+        if (!statusPage.isPublic) {
+            return res.status(403).json({
+                success: false,
+                message: 'This status page is private',
+            });
+        }
+
+        if (!statusPage.passwordProtected) {
+            return res.status(400).json({
+                success: false,
+                message: 'This status page is not password protected',
+            });
+        }
+
+        if (!password || !(await statusPage.comparePassword(password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Incorrect password',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            token: generateStatusPageToken(statusPage._id),
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        });
+    } catch (error) {
+        console.error('Unlock status page error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+// @desc    Subscribe to status page incident updates
+// @route   POST /api/status/:slug/subscribe
+// @access  Public (private/password protected pages need access)
+exports.subscribe = async (req, res) => {
+    try {
+        const { email } = req.body;
+        const { statusPage } = req;
+
+        if (!email || !EMAIL_REGEX.test(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid email address is required',
+            });
+        }
+
+        if (!statusPage.showSubscribe) {
+            return res.status(403).json({
+                success: false,
+                message: 'Subscriptions are disabled for this status page',
+            });
+        }
+
+        let token;
+        try {
+            token = await statusPage.addSubscriber(email);
+        } catch (err) {
+            return res.status(400).json({ success: false, message: err.message });
+        }
+
+        await subscriberService.sendVerification(statusPage, email, token);
+
+        res.status(200).json({
+            success: true,
+            message: 'Check your email to confirm your subscription',
+        });
+    } catch (error) {
+        console.error('Subscribe error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+// @desc    Confirm a status page subscription
+// @route   GET /api/status/:slug/subscribe/verify?token=
+// @access  Public
+exports.verifySubscription = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        const statusPage = await StatusPage.findOne({ slug: req.params.slug });
+
+        if (!statusPage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Status page not found',
+            });
+        }
+
+        try {
+            await statusPage.verifySubscriber(token);
+        } catch (err) {
+            return res.status(400).json({ success: false, message: err.message });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `You are now subscribed to ${statusPage.name} updates`,
+        });
+    } catch (error) {
+        console.error('Verify subscription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+// @desc    One-click unsubscribe from status page updates
+// @route   GET/POST /api/status/:slug/unsubscribe?token=
+// @access  Public (signed token)
+exports.unsubscribe = async (req, res) => {
+    try {
+        const decoded = subscriberService.verifyUnsubscribeToken(req.query.token);
+
+        const statusPage = await StatusPage.findOne({ slug: req.params.slug });
+
+        if (!decoded || !statusPage || decoded.pageId !== statusPage._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid unsubscribe link',
+            });
+        }
+
+        await statusPage.removeSubscriber(decoded.email);
+
+        res.status(200).json({
+            success: true,
+            message: `You have been unsubscribed from ${statusPage.name} updates`,
+        });
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+/**
+ * Build the public payload for a status page,
+ * honoring its showUptime/showResponseTime/showIncidents settings
+ */
+async function buildStatusPage(statusPage) {
+    const since = new Date(Date.now() - statusPage.uptimeDays * DAY_MS);
+
+    const entries = [...statusPage.monitors].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const monitorIds = entries.map((e) => e.monitorId);
+
+    const monitors = await Monitor.find({
+        _id: { $in: monitorIds },
+        teamId: statusPage.teamId,
+    }).select('name url lastStatus lastChecked lastResponseMs active');
+
+    const monitorMap = new Map(monitors.map((m) => [m._id.toString(), m]));
+
+    const stats = statusPage.showUptime || statusPage.showResponseTime
+        ? await getMonitorStats(monitorIds, since)
+        : new Map();
+
+    const pageMonitors = entries
+        .filter((entry) => monitorMap.has(entry.monitorId.toString()))
+        .map((entry) => {
+            const monitor = monitorMap.get(entry.monitorId.toString());
+            const monitorStats = stats.get(monitor._id.toString());
+
+            const item = {
+                id: monitor._id,
+                name: entry.displayName || monitor.name,
+                description: entry.description,
+                status: monitor.active ? monitor.lastStatus : 'paused',
+                lastChecked: monitor.lastChecked,
+            };
+
+            if (statusPage.showResponseTime) {
+                item.responseTime = monitor.lastResponseMs;
+                item.avgResponseTime = monitorStats ? Math.round(monitorStats.avgResponseMs || 0) : null;
+            }
+
+            if (statusPage.showUptime) {
+                item.uptime = monitorStats && monitorStats.totalChecks > 0
+                    ? parseFloat(((monitorStats.successfulChecks / monitorStats.totalChecks) * 100).toFixed(2))
+                    : 100;
+            }
+
+            return item;
+        });
+
+    // Calculate overall status: any monitor down, else any degraded, else up
+    const someDown = pageMonitors.some((m) => m.status === 'down');
+    const someDegraded = pageMonitors.some((m) => m.status === 'degraded');
+    const overallStatus = someDown ? 'down' : someDegraded ? 'degraded' : 'up';
+
+    const payload = {
+        name: statusPage.name,
+        slug: statusPage.slug,
+        header: statusPage.header,
+        footer: statusPage.footer,
+        branding: statusPage.branding,
+        overallStatus,
+        monitors: pageMonitors,
+        showSubscribe: statusPage.showSubscribe,
+        uptimeDays: statusPage.uptimeDays,
+        lastUpdated: new Date(),
+    };
+
+    if (statusPage.showIncidents) {
+        payload.incidents = await Incident.find({
+            teamId: statusPage.teamId,
+            monitorId: { $in: monitorIds },
+            $or: [
+                { status: { $ne: 'resolved' } },
+                { startedAt: { $gte: since } },
+            ],
+        })
+            .select('title description status severity startedAt resolvedAt timeline.status timeline.message timeline.createdAt')
+            .sort({ startedAt: -1 })
+            .limit(20);
+    }
+
+    return payload;
+}
+
+/**
+ * Aggregate check counts and average response time per monitor since a date
+ */
+async function getMonitorStats(monitorIds, since) {
+    const results = await MonitorHistory.aggregate([
+        {
+            $match: {
+                monitorId: { $in: monitorIds },
+                checkedAt: { $gte: since },
+            },
+        },
+        {
+            $group: {
+                _id: '$monitorId',
+                totalChecks: { $sum: 1 },
+                successfulChecks: { $sum: { $cond: ['$success', 1, 0] } },
+                avgResponseMs: { $avg: '$responseMs' },
+            },
+        },
+    ]);
+
+    return new Map(results.map((r) => [r._id.toString(), r]));
+}
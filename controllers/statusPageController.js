@@ -0,0 +1,434 @@
+/**
+ * Status Page Controller
+ * Team-scoped management of public status pages
+ */
+
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const validator = require('validator');
+const StatusPage = require('../models/StatusPage');
+const Monitor = require('../models/Monitor');
+const { getVerificationRecord, verifyStatusPageDomain } = require('../workers/domainVerifier');
+const { clearDomainCache } = require('../middleware/customDomain');
+
+// Fields that can be set directly from the request body
+const EDITABLE_FIELDS = [
+    'name',
+    'header',
+    'footer',
+    'branding',
+    'isPublic',
+    'showIncidents',
+    'showUptime',
+    'showResponseTime',
+    'showSubscribe',
+    'uptimeDays',
+];
+
+// @desc    Get all status pages for team
+// @route   GET /api/teams/:teamId/status-pages
+// @access  Private
+exports.getStatusPages = async (req, res) => {
+    try {
+        const statusPages = await StatusPage.find({ teamId: req.params.teamId })
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({ success: true, statusPages });
+    } catch (error) {
+        console.error('Get status pages error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Get single status page
+// @route   GET /api/teams/:teamId/status-pages/:id
+// @access  Private
+exports.getStatusPage = async (req, res) => {
+    try {
+        const statusPage = await StatusPage.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        }).populate('monitors.monitorId', 'name url type lastStatus active');
+
+        if (!statusPage) {
+            return res.status(404).json({ success: false, message: 'Status page not found' });
+        }
+
+        res.status(200).json({ success: true, statusPage });
+    } catch (error) {
+        console.error('Get status page error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Create status page
+// @route   POST /api/teams/:teamId/status-pages
+// @access  Private
+exports.createStatusPage = async (req, res) => {
+    try {
+        const { name, slug, monitors = [] } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        const statusPage = new StatusPage({ teamId: req.params.teamId });
+        applyEditableFields(statusPage, req.body);
+
+        const passwordError = applyPassword(statusPage, req.body);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+
+        if (slug) {
+            const slugError = await validateSlug(slug);
+            if (slugError) {
+                return res.status(400).json({ success: false, message: slugError });
+            }
+            statusPage.slug = slug;
+        }
+
+        const { monitors: pageMonitors, error } = await normalizeMonitors(req.params.teamId, monitors);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        statusPage.monitors = pageMonitors;
+
+        await statusPage.save();
+
+        res.status(201).json({ success: true, statusPage });
+    } catch (error) {
+        console.error('Create status page error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Update status page
+// @route   PUT /api/teams/:teamId/status-pages/:id
+// @access  Private
+exports.updateStatusPage = async (req, res) => {
+    try {
+        const { slug, monitors } = req.body;
+
+        const statusPage = await StatusPage.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!statusPage) {
+            return res.status(404).json({ success: false, message: 'Status page not found' });
+        }
+
+        applyEditableFields(statusPage, req.body);
+
+        const passwordError = applyPassword(statusPage, req.body);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+
+        if (slug && slug !== statusPage.slug) {
+            const slugError = await validateSlug(slug, statusPage._id);
+            if (slugError) {
+                return res.status(400).json({ success: false, message: slugError });
+            }
+            statusPage.slug = slug;
+        }
+
+        if (monitors) {
+            const { monitors: pageMonitors, error } = await normalizeMonitors(req.params.teamId, monitors);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            statusPage.monitors = pageMonitors;
+        }
+
+        await statusPage.save();
+
+        res.status(200).json({ success: true, statusPage });
+    } catch (error) {
+        console.error('Update status page error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Replace the monitor list (order, display names, descriptions)
+// @route   PUT /api/teams/:teamId/status-pages/:id/monitors
+// @access  Private
+exports.updateStatusPageMonitors = async (req, res) => {
+    try {
+        const { monitors } = req.body;
+
+        if (!Array.isArray(monitors)) {
+            return res.status(400).json({ success: false, message: 'Monitors must be an array' });
+        }
+
+        const statusPage = await StatusPage.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!statusPage) {
+            return res.status(404).json({ success: false, message: 'Status page not found' });
+        }
+
+        const { monitors: pageMonitors, error } = await normalizeMonitors(req.params.teamId, monitors);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        statusPage.monitors = pageMonitors;
+        await statusPage.save();
+
+        res.status(200).json({ success: true, monitors: statusPage.monitors });
+    } catch (error) {
+        console.error('Update status page monitors error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Attach a custom domain (starts DNS verification)
+// @route   PUT /api/teams/:teamId/status-pages/:id/domain
+// @access  Private
+exports.setCustomDomain = async (req, res) => {
+    try {
+        const domain = normalizeDomain(req.body.domain);
+
+        if (!domain || !validator.isFQDN(domain)) {
+            return res.status(400).json({ success: false, message: 'A valid domain is required' });
+        }
+
+        const statusPage = await StatusPage.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!statusPage) {
+            return res.status(404).json({ success: false, message: 'Status page not found' });
+        }
+
+        // Unverified claims don't block anyone, verifying clears the others
+        const taken = await StatusPage.findOne({
+            'customDomain.domain': domain,
+            'customDomain.verified': true,
+            _id: { $ne: statusPage._id },
+        });
+        if (taken) {
+            return res.status(400).json({ success: false, message: 'Domain is already in use' });
+        }
+
+        const previousDomain = statusPage.customDomain?.domain;
+
+        statusPage.customDomain = { domain, verified: false };
+        statusPage.generateDomainVerificationToken();
+        await statusPage.save();
+
+        clearDomainCache(previousDomain);
+
+        res.status(200).json({
+            success: true,
+            customDomain: statusPage.customDomain,
+            verificationRecord: getVerificationRecord(statusPage),
+        });
+    } catch (error) {
+        console.error('Set custom domain error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Check the verification TXT record now
+// @route   POST /api/teams/:teamId/status-pages/:id/domain/verify
+// @access  Private
+exports.verifyCustomDomain = async (req, res) => {
+    try {
+        const statusPage = await StatusPage.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!statusPage) {
+            return res.status(404).json({ success: false, message: 'Status page not found' });
+        }
+
+        if (!statusPage.customDomain?.domain) {
+            return res.status(400).json({ success: false, message: 'No custom domain configured' });
+        }
+
+        const { verified, error } = await verifyStatusPageDomain(statusPage);
+        clearDomainCache(statusPage.customDomain.domain);
+
+        res.status(200).json({
+            success: true,
+            verified,
+            error,
+            customDomain: statusPage.customDomain,
+            verificationRecord: getVerificationRecord(statusPage),
+        });
+    } catch (error) {
+        console.error('Verify custom domain error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Remove custom domain
+// @route   DELETE /api/teams/:teamId/status-pages/:id/domain
+// @access  Private
+exports.removeCustomDomain = async (req, res) => {
+    try {
+        const statusPage = await StatusPage.findOne({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!statusPage) {
+            return res.status(404).json({ success: false, message: 'Status page not found' });
+        }
+
+        const previousDomain = statusPage.customDomain?.domain;
+
+        statusPage.customDomain = { verified: false };
+        await statusPage.save();
+
+        clearDomainCache(previousDomain);
+
+        res.status(200).json({ success: true, message: 'Custom domain removed' });
+    } catch (error) {
+        console.error('Remove custom domain error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Delete status page
+// @route   DELETE /api/teams/:teamId/status-pages/:id
+// @access  Private
+exports.deleteStatusPage = async (req, res) => {
+    try {
+        const statusPage = await StatusPage.findOneAndDelete({
+            _id: req.params.id,
+            teamId: req.params.teamId,
+        });
+
+        if (!statusPage) {
+            return res.status(404).json({ success: false, message: 'Status page not found' });
+        }
+
+        clearDomainCache(statusPage.customDomain?.domain);
+
+        res.status(200).json({ success: true, message: 'Status page deleted' });
+    } catch (error) {
+        console.error('Delete status page error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+/**
+ * Copy editable fields from the request body onto a status page
+ */
+function applyEditableFields(statusPage, body) {
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            statusPage[field] = body[field];
+        }
+    }
+}
+
+/**
+ * Apply password protection settings (password is hashed on save)
+ */
+function applyPassword(statusPage, { passwordProtected, password }) {
+    if (password) {
+        if (password.length < 6) {
+            return 'Password must be at least 6 characters';
+        }
+        statusPage.password = password;
+    }
+
+    if (typeof passwordProtected === 'boolean') {
+        statusPage.passwordProtected = passwordProtected;
+        if (!passwordProtected) {
+            statusPage.password = undefined;
+        }
+    }
+
+    if (statusPage.passwordProtected && !statusPage.password) {
+        return 'A password is required for password protected pages';
+    }
+
+    return null;
+}
+
+/**
+ * Reduce user input like "https://Status.Example.com/" to a bare hostname
+ */
+function normalizeDomain(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    return input
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split('/')[0]
+        .split(':')[0]
+        .replace(/\.$/, '');
+}
+
+/**
+ * Validate a custom slug and make sure it's not taken
+ */
+async function validateSlug(slug, excludeId = null) {
+    if (slugify(slug, { lower: true, strict: true }) !== slug) {
+        return 'Slug may only contain lowercase letters, numbers and dashes';
+    }
+
+    const existing = await StatusPage.findOne({ slug, _id: { $ne: excludeId } });
+    if (existing) {
+        return 'Slug is already taken';
+    }
+
+    return null;
+}
+
+/**
+ * Normalize a monitor list from the request
+ * Accepts monitor ids or { monitorId, displayName, description } objects;
+ * array position becomes the display order
+ */
+async function normalizeMonitors(teamId, monitors) {
+    if (!Array.isArray(monitors)) {
+        return { error: 'Monitors must be an array' };
+    }
+
+    const entries = [];
+    for (const [index, m] of monitors.entries()) {
+        const entry = typeof m === 'string' ? { monitorId: m } : m;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return { error: 'Each monitor must be a monitor id or an object with a monitorId' };
+        }
+        if (!entry.monitorId) {
+            return { error: 'Each monitor needs a monitorId' };
+        }
+        if (typeof entry.monitorId !== 'string' || !mongoose.isValidObjectId(entry.monitorId)) {
+            return { error: 'Each monitorId must be a valid monitor id' };
+        }
+        if (['displayName', 'description'].some((field) => entry[field] != null && typeof entry[field] !== 'string')) {
+            return { error: 'Monitor displayName and description must be strings' };
+        }
+        entries.push({
+            monitorId: entry.monitorId,
+            displayName: entry.displayName || undefined,
+            description: entry.description || undefined,
+            order: index,
+        });
+    }
+
+    const ids = entries.map((e) => e.monitorId);
+    if (new Set(ids).size !== ids.length) {
+        return { error: 'Duplicate monitors in list' };
+    }
+
+    const count = await Monitor.countDocuments({ _id: { $in: ids }, teamId });
+    if (count !== ids.length) {
+        return { error: 'One or more monitors do not belong to this team' };
+    }
+
+    return { monitors: entries };
+}
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const Team = require('../models/Team');
+const AlertChannel = require('../models/AlertChannel');
 const User = require('../models/User');
 const { sendTeamInviteEmail } = require('../utils/email');
 
@@ -110,11 +111,21 @@ exports.getTeam = async (req, res) => {
 // @access  Private (Admin+)
 exports.updateTeam = async (req, res) => {
     try {
-        const { name } = req.body;
+        const { name, defaultAlertChannels } = req.body;
 
         const team = req.team;
         if (name) team.name = name;
 
+        if (defaultAlertChannels !== undefined) {
+            if (!(await AlertChannel.belongToTeam(defaultAlertChannels, team._id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid default alert channels',
+                });
+            }
+            team.defaultAlertChannels = defaultAlertChannels;
+        }
+
         await team.save();
 
         res.status(200).json({
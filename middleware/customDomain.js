@@ -0,0 +1,58 @@
+const StatusPage = require('../models/StatusPage');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Map: hostname -> { slug, expiresAt } (slug is null for unknown hosts)
+const domainCache = new Map();
+
+// Paths served normally even on custom domains
+const PASSTHROUGH_PREFIXES = ['/api/', '/uploads/', '/health'];
+
+// Find the verified status page slug for a hostname
+const lookupSlug = async (hostname) => {
+    const cached = domainCache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.slug;
+    }
+
+    const statusPage = await StatusPage.findOne({
+        'customDomain.domain': hostname,
+        'customDomain.verified': true,
+    }).select('slug');
+
+    const slug = statusPage ? statusPage.slug : null;
+    domainCache.set(hostname, { slug, expiresAt: Date.now() + CACHE_TTL_MS });
+    return slug;
+};
+
+// Forget a cached hostname (after a domain is changed or removed)
+const clearDomainCache = (hostname) => {
+    if (hostname) {
+        domainCache.delete(hostname);
+    } else {
+        domainCache.clear();
+    }
+};
+
+// Serve status pages on their verified custom domain
+// e.g. GET status.example.com/history -> /api/status/:slug/history
+const customDomain = async (req, res, next) => {
+    try {
+        const hostname = (req.headers.host || '').split(':')[0].toLowerCase();
+        if (!hostname || PASSTHROUGH_PREFIXES.some((p) => req.path.startsWith(p))) {
+            return next();
+        }
+
+        const slug = await lookupSlug(hostname);
+        if (slug) {
+            req.url = `/api/status/${slug}${req.url === '/' ? '' : req.url}`;
+        }
+
+        next();
+    } catch (error) {
+        console.error('Custom domain error:', error.message);
+        next();
+    }
+};
+
+module.exports = { customDomain, clearDomainCache };
@@ -0,0 +1,89 @@
+const jwt = require('jsonwebtoken');
+const StatusPage = require('../models/StatusPage');
+const Team = require('../models/Team');
+
+const ACCESS_TOKEN_EXPIRES_IN = '1h';
+
+// Generate short-lived access token for a password protected status page
+const generateStatusPageToken = (statusPageId) => {
+    return jwt.sign(
+        { pageId: statusPageId.toString(), purpose: 'status-page-access' },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+// Check if the request carries a valid unlock token for this page
+const hasValidAccessToken = (req, statusPage) => {
+    const token = req.headers['x-status-page-token'] || req.query.accessToken;
+    if (!token) return false;
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === 'status-page-access' &&
+            decoded.pageId === statusPage._id.toString();
+    } catch {
+        return false;
+    }
+};
+
+// Check if the request is from an authenticated member of the page's team
+const isTeamMember = async (req, statusPage) => {
+    const header = req.headers.authorization;
+    if (!header || !header.startsWith('Bearer')) return false;
+
+    try {
+        const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+        const team = await Team.findById(statusPage.teamId);
+        return !!team && team.members.some((m) => m.userId.toString() === decoded.id);
+    } catch {
+        return false;
+    }
+};
+
+// Load status page by slug and enforce private/password protection
+const statusPageAccess = async (req, res, next) => {
+    try {
+        const statusPage = await StatusPage.findOne({ slug: req.params.slug });
+
+        if (!statusPage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Status page not found',
+            });
+        }
+
+        // Private pages are only visible to team members
+        if (!statusPage.isPublic) {
+            if (!(await isTeamMember(req, statusPage))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This status page is private',
+                });
+            }
+        } else if (statusPage.passwordProtected && !hasValidAccessToken(req, statusPage)) {
+            if (!(await isTeamMember(req, statusPage))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'This status page is password protected',
+                    passwordRequired: true,
+                });
+            }
+        }
+
+        req.statusPage = statusPage;
+        next();
+    } catch (error) {
+        console.error('Status page access error:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error',
+        });
+    }
+};
+
+module.exports = {
+    statusPageAccess,
+    generateStatusPageToken,
+    ACCESS_TOKEN_EXPIRES_IN,
+};
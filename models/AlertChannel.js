@@ -15,7 +15,7 @@ const alertChannelSchema = new mongoose.Schema(
         },
         type: {
             type: String,
-            enum: ['email', 'telegram', 'webhook'],
+            enum: ['email', 'telegram', 'webhook', 'slack', 'discord'],
             required: true,
         },
         enabled: {
@@ -42,6 +42,12 @@ const alertChannelSchema = new mongoose.Schema(
                 type: Map,
                 of: String,
             },
+
+            // Slack (Incoming Webhook)
+            slackWebhookUrl: String,
+
+            // Discord (Channel Webhook)
+            discordWebhookUrl: String,
         },
         // Alert settings
         notifyOn: {
@@ -49,11 +55,15 @@ const alertChannelSchema = new mongoose.Schema(
             up: { type: Boolean, default: true },
             degraded: { type: Boolean, default: true },
             sslExpiry: { type: Boolean, default: true },
+            sslProblem: { type: Boolean, default: true },
+            domainExpiry: { type: Boolean, default: true },
+            dnsChanged: { type: Boolean, default: true },
         },
         // Rate limiting
         cooldownMinutes: {
             type: Number,
-            default: 5, // Don't send more than 1 alert per 5 minutes per monitor
+            default: 5, // Don't send more than 1 down alert per 5 minutes per monitor
+            min: 0,
         },
         lastAlertAt: Date,
         // Stats
@@ -61,6 +71,10 @@ const alertChannelSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        alertsSuppressed: {
+            type: Number,
+            default: 0,
+        },
         lastError: String,
     },
     {
@@ -72,4 +86,16 @@ const alertChannelSchema = new mongoose.Schema(
 alertChannelSchema.index({ teamId: 1, type: 1 });
 alertChannelSchema.index({ teamId: 1, enabled: 1 });
 
+// Check that every channel id in the list belongs to the team
+alertChannelSchema.statics.belongToTeam = async function (channelIds, teamId) {
+    if (!Array.isArray(channelIds)) return false;
+    if (channelIds.length === 0) return true;
+
+    const ids = [...new Set(channelIds.map(String))];
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) return false;
+
+    const count = await this.countDocuments({ _id: { $in: ids }, teamId });
+    return count === ids.length;
+};
+
 module.exports = mongoose.model('AlertChannel', alertChannelSchema);
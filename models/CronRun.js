@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Longest output kept per run
+const MAX_OUTPUT_LENGTH = 10000;
+
+const cronRunSchema = new mongoose.Schema(
+    {
+        monitorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Monitor',
+            required: true,
+            index: true,
+        },
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['running', 'success', 'failed', 'timeout'],
+            default: 'running',
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        finishedAt: Date,
+        durationMs: Number,
+        exitCode: Number,
+        // Captured stdout/stderr sent with the finish ping (truncated)
+        output: {
+            type: String,
+            maxlength: MAX_OUTPUT_LENGTH,
+        },
+        error: String,
+    },
+    {
+        timestamps: false,
+    }
+);
+
+// Finish a run, computing the duration unless the job reported its own
+cronRunSchema.methods.finish = function (status, { exitCode, output, durationMs, error } = {}) {
+    this.status = status;
+    this.finishedAt = new Date();
+    this.durationMs = durationMs ?? this.finishedAt - this.startedAt;
+    if (exitCode !== undefined && exitCode !== null) this.exitCode = exitCode;
+    if (output) this.output = output.slice(0, MAX_OUTPUT_LENGTH);
+    if (error) this.error = error;
+};
+
+// Compound index for efficient queries
+cronRunSchema.index({ monitorId: 1, startedAt: -1 });
+
+// TTL index to auto-delete old records (30 days retention, same as check history)
+cronRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('CronRun', cronRunSchema);
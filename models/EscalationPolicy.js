@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const escalationPolicySchema = new mongoose.Schema(
+    {
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Policy name is required'],
+            trim: true,
+        },
+        description: {
+            type: String,
+            default: '',
+        },
+        // Ordered levels, each fired unless the incident is acknowledged or resolved first
+        levels: [
+            {
+                // Minutes after the incident started
+                delayMinutes: {
+                    type: Number,
+                    default: 0,
+                    min: 0,
+                },
+                channels: [{
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'AlertChannel',
+                }],
+                // Also email team members with these roles
+                notifyRoles: [{
+                    type: String,
+                    enum: ['owner', 'admin', 'member'],
+                }],
+            },
+        ],
+        enabled: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Keep levels ordered by delay
+escalationPolicySchema.pre('validate', function (next) {
+    if (this.isModified('levels')) {
+        this.levels.sort((a, b) => a.delayMinutes - b.delayMinutes);
+    }
+    next();
+});
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
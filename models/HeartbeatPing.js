@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const heartbeatPingSchema = new mongoose.Schema(
+    {
+        monitorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Monitor',
+            required: true,
+            index: true,
+        },
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true,
+        },
+        receivedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        sourceIp: String,
+        // Optional payload sent with the ping (size-capped by the route)
+        message: String,
+        metrics: mongoose.Schema.Types.Mixed,
+    },
+    {
+        timestamps: false,
+    }
+);
+
+// Compound index for efficient queries
+heartbeatPingSchema.index({ monitorId: 1, receivedAt: -1 });
+
+// TTL index to auto-delete old records (30 days retention, same as check history)
+heartbeatPingSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('HeartbeatPing', heartbeatPingSchema);
@@ -68,6 +68,27 @@ const incidentSchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+        // Acknowledging stops escalation and repeat alerts
+        acknowledgedAt: Date,
+        acknowledgedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        // Escalation progress (level is the last level fired, -1 = none yet)
+        escalation: {
+            policyId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'EscalationPolicy',
+            },
+            level: {
+                type: Number,
+                default: -1,
+            },
+            notifiedChannels: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'AlertChannel',
+            }],
+        },
     },
     {
         timestamps: true,
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { getZonedParts, zonedTimeToUtc, isValidTimezone } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const maintenanceSchema = new mongoose.Schema(
+    {
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true,
+            index: true,
+        },
+        title: {
+            type: String,
+            required: [true, 'Maintenance title is required'],
+            trim: true,
+        },
+        description: {
+            type: String,
+            default: '',
+        },
+        // First occurrence of the window
+        startTime: {
+            type: Date,
+            required: [true, 'Start time is required'],
+        },
+        endTime: {
+            type: Date,
+            required: [true, 'End time is required'],
+        },
+        // Recurring windows repeat at the same wall-clock time in this timezone
+        timezone: {
+            type: String,
+            default: 'UTC',
+            validate: {
+                validator: isValidTimezone,
+                message: 'Invalid timezone',
+            },
+        },
+        recurring: {
+            type: String,
+            enum: ['none', 'daily', 'weekly', 'monthly'],
+            default: 'none',
+        },
+        // Weekly only - defaults to the weekday of startTime
+        daysOfWeek: [{
+            type: Number,
+            min: 0,
+            max: 6,
+        }],
+        recurringUntil: Date,
+        // Empty = every monitor of the team
+        affectedMonitors: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Monitor',
+        }],
+        enabled: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Check if a candidate occurrence start falls on a day the schedule repeats on
+ */
+function matchesRecurrence(maintenance, candidate, startParts) {
+    const parts = getZonedParts(candidate, maintenance.timezone);
+
+    switch (maintenance.recurring) {
+        case 'daily':
+            return true;
+        case 'weekly': {
+            const days = maintenance.daysOfWeek?.length
+                ? maintenance.daysOfWeek
+                : [startParts.weekday];
+            return days.includes(parts.weekday);
+        }
+        case 'monthly':
+            // Months without that day (e.g. the 31st) are skipped
+            return parts.day === startParts.day;
+        default:
+            return false;
+    }
+}
+
+// Get the occurrence { start, end } covering a date, or null
+maintenanceSchema.methods.getOccurrenceAt = function (date = new Date()) {
+    const duration = this.endTime - this.startTime;
+
+    if (!this.enabled || duration <= 0 || date < this.startTime) return null;
+
+    if (this.recurring === 'none') {
+        return date < this.endTime ? { start: this.startTime, end: this.endTime } : null;
+    }
+
+    if (this.recurringUntil && date > this.recurringUntil) return null;
+
+    const timezone = this.timezone || 'UTC';
+    const startParts = getZonedParts(this.startTime, timezone);
+    const nowParts = getZonedParts(date, timezone);
+
+    // Walk back over enough local days to catch windows that started earlier
+    const lookbackDays = Math.ceil(duration / DAY_MS);
+
+    for (let i = 0; i <= lookbackDays; i++) {
+        const start = zonedTimeToUtc({
+            year: nowParts.year,
+            month: nowParts.month,
+            day: nowParts.day - i,
+            hour: startParts.hour,
+            minute: startParts.minute,
+            second: startParts.second,
+        }, timezone);
+
+        // Candidates before the first occurrence don't count
+        if (start.getTime() < this.startTime.getTime() - 1000) continue;
+        if (!matchesRecurrence(this, start, startParts)) continue;
+
+        const end = new Date(start.getTime() + duration);
+        if (date >= start && date < end) {
+            return { start, end };
+        }
+    }
+
+    return null;
+};
+
+// Check if the window is active at a given time
+maintenanceSchema.methods.isActiveAt = function (date = new Date()) {
+    return this.getOccurrenceAt(date) !== null;
+};
+
+// Current state of the window
+maintenanceSchema.virtual('status').get(function () {
+    const now = new Date();
+
+    if (!this.enabled) return 'disabled';
+    if (this.isActiveAt(now)) return 'active';
+    if (this.startTime > now) return 'scheduled';
+    if (this.recurring !== 'none' && (!this.recurringUntil || this.recurringUntil > now)) {
+        return 'scheduled';
+    }
+    return 'completed';
+});
+
+// Find the window currently covering a monitor, if any
+maintenanceSchema.statics.findActiveForMonitor = async function (monitorId, teamId, date = new Date()) {
+    const windows = await this.find({
+        teamId,
+        enabled: true,
+        startTime: { $lte: date },
+        $and: [
+            { $or: [{ affectedMonitors: { $size: 0 } }, { affectedMonitors: monitorId }] },
+            { $or: [{ recurring: 'none', endTime: { $gt: date } }, { recurring: { $ne: 'none' } }] },
+        ],
+    });
+
+    return windows.find((w) => w.isActiveAt(date)) || null;
+};
+
+// Indexes
+maintenanceSchema.index({ teamId: 1, enabled: 1, startTime: 1 });
+maintenanceSchema.index({ affectedMonitors: 1 });
+
+// Include virtuals in JSON
+maintenanceSchema.set('toJSON', { virtuals: true });
+maintenanceSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Maintenance', maintenanceSchema);
@@ -1,5 +1,79 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { isValidTimezone } = require('../utils/timezone');
+const { validateCron } = require('../utils/cron');
+const { ASSERTION_TYPES, OPERATORS_BY_TYPE } = require('../utils/assertions');
+const { encrypt } = require('../utils/encryption');
+
+// Auth settings stored encrypted and masked in API responses
+const AUTH_SECRET_FIELDS = ['password', 'token', 'oauth2.clientSecret', 'clientKey', 'clientKeyPassphrase'];
+const SECRET_MASK = '********';
+
+// A check on the HTTP response, e.g. { type: 'jsonPath', property: '$.status', operator: 'equals', target: 'ok' }
+const assertionSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ASSERTION_TYPES,
+            required: true,
+        },
+        // Header name or JSONPath
+        property: String,
+        operator: {
+            type: String,
+            enum: [...new Set(Object.values(OPERATORS_BY_TYPE).flat())],
+            required: true,
+        },
+        target: String,
+    },
+    { _id: false }
+);
+
+// One request of a multistep monitor; extracted values are available to later
+// steps as {{name}} in the URL, headers and body
+const stepSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            trim: true,
+        },
+        method: {
+            type: String,
+            enum: ['GET', 'POST', 'HEAD', 'PUT', 'DELETE', 'PATCH'],
+            default: 'GET',
+        },
+        url: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        headers: {
+            type: Object,
+            default: {},
+        },
+        body: {
+            type: String,
+            default: '',
+        },
+        extract: [{
+            _id: false,
+            name: { type: String, required: true },
+            source: {
+                type: String,
+                enum: ['jsonPath', 'header', 'regex'],
+                required: true,
+            },
+            // JSONPath, header name or regex (first capture group is used)
+            property: { type: String, required: true },
+        }],
+        // Defaults to a 2xx status code check
+        assertions: {
+            type: [assertionSchema],
+            default: [],
+        },
+    },
+    { _id: false }
+);
 
 const monitorSchema = new mongoose.Schema(
     {
@@ -17,10 +91,10 @@ const monitorSchema = new mongoose.Schema(
         // Monitor type
         type: {
             type: String,
-            enum: ['http', 'ping', 'port', 'dns', 'keyword', 'heartbeat', 'cronjob'],
+            enum: ['http', 'ping', 'port', 'dns', 'keyword', 'heartbeat', 'cronjob', 'multistep', 'ssl', 'domain'],
             default: 'http',
         },
-        // URL/Host (used by http, ping, dns, keyword)
+        // URL/Host (used by http, ping, dns, keyword, ssl, domain)
         url: {
             type: String,
             trim: true,
@@ -43,6 +117,50 @@ const monitorSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+        // Response assertions (expectedCode applies unless one checks the status code)
+        assertions: {
+            type: [assertionSchema],
+            default: [],
+        },
+        // Authentication for http/keyword requests (secrets encrypted at rest)
+        auth: {
+            type: {
+                type: String,
+                enum: ['none', 'basic', 'bearer', 'oauth2'],
+                default: 'none',
+            },
+            username: String,
+            password: String,
+            token: String,
+            oauth2: {
+                tokenUrl: String,
+                clientId: String,
+                clientSecret: String,
+                scope: String,
+                audience: String,
+            },
+            // Client certificate for mutual TLS (PEM), works with any auth type
+            clientCert: String,
+            clientKey: String,
+            clientKeyPassphrase: String,
+        },
+        // Multistep monitor specific
+        steps: {
+            type: [stepSchema],
+            default: [],
+        },
+        // Ping check specific
+        pingCount: {
+            type: Number,
+            default: 4,
+            min: 1,
+            max: 20,
+        },
+        pingIpVersion: {
+            type: String,
+            enum: ['auto', 'ipv4', 'ipv6'],
+            default: 'auto',
+        },
         // Port check specific
         port: {
             type: Number,
@@ -57,10 +175,43 @@ const monitorSchema = new mongoose.Schema(
         // DNS check specific
         dnsRecordType: {
             type: String,
-            enum: ['A', 'AAAA', 'MX', 'CNAME', 'TXT', 'NS', 'SOA'],
+            enum: ['A', 'AAAA', 'MX', 'CNAME', 'TXT', 'NS', 'SOA', 'SRV', 'CAA', 'PTR'],
             default: 'A',
         },
+        // Single expected value, matched as a substring of any record
         dnsExpectedValue: String,
+        // Expected records, compared using dnsMatchMode (takes over dnsExpectedValue)
+        dnsExpectedValues: {
+            type: [String],
+            default: [],
+        },
+        dnsMatchMode: {
+            type: String,
+            enum: ['exact', 'containsAny', 'containsAll', 'regex'],
+            default: 'containsAny',
+        },
+        // Nameservers to query instead of the system resolver ("ip" or "ip:port")
+        dnsResolvers: {
+            type: [String],
+            default: [],
+        },
+        // Fail unless the resolver validated the answer with DNSSEC
+        dnssecRequired: {
+            type: Boolean,
+            default: false,
+        },
+        // Alert when the resolved records differ from the last check (opt-in:
+        // round-robin and CDN hosts return a different subset on most checks)
+        dnsAlertOnChange: {
+            type: Boolean,
+            default: false,
+        },
+        dnsLastRecords: {
+            type: [String],
+            default: [],
+        },
+        dnsLastChangedAt: Date,
+        dnssecStatus: String,
         // Keyword check specific
         keyword: String,
         keywordType: {
@@ -78,13 +229,47 @@ const monitorSchema = new mongoose.Schema(
             type: Number,
             default: 300, // Expected heartbeat every 5 minutes
         },
+        heartbeatGracePeriod: {
+            type: Number,
+            default: 30, // 30 seconds grace period
+            min: 0,
+        },
         lastHeartbeat: Date,
+        // Payload sent with the most recent heartbeat, included in down alerts
+        lastHeartbeatPayload: {
+            message: String,
+            metrics: mongoose.Schema.Types.Mixed,
+            sourceIp: String,
+            receivedAt: Date,
+        },
         // Cronjob monitor specific
-        cronExpression: String,
+        cronExpression: {
+            type: String,
+            trim: true,
+            validate: {
+                validator: (value) => !value || !validateCron(value),
+                message: (props) => validateCron(props.value),
+            },
+        },
+        // Schedule is evaluated in this timezone
+        cronTimezone: {
+            type: String,
+            default: 'UTC',
+            validate: {
+                validator: isValidTimezone,
+                message: 'Invalid timezone',
+            },
+        },
         cronGracePeriod: {
             type: Number,
             default: 60, // 60 seconds grace period
         },
+        // Alert when a run takes longer than this (seconds, 0 = no limit)
+        cronMaxDuration: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
         lastCronRun: Date,
         expectedCronRun: Date,
         // Common settings
@@ -107,6 +292,97 @@ const monitorSchema = new mongoose.Schema(
         sslExpiresAt: Date,
         sslDaysRemaining: Number,
         sslIssuer: String,
+        // Days before expiry to alert at (each alerts once per certificate)
+        sslAlertDays: {
+            type: [Number],
+            default: [30, 14, 7, 3, 1],
+            validate: {
+                validator: (days) => days.every((day) => Number.isInteger(day) && day >= 1 && day <= 365),
+                message: 'SSL alert days must be whole numbers from 1 to 365',
+            },
+        },
+        sslExpiryAlertsSent: {
+            type: [Number],
+            default: [],
+        },
+        // Expiry of the certificate the thresholds above were counted against
+        sslExpiryAlertsFor: Date,
+        // Certificate validation problems (hostname mismatch, untrusted, revoked...)
+        sslProblems: [{
+            _id: false,
+            code: String,
+            message: String,
+        }],
+        sslProblemsAlerted: {
+            type: [String],
+            default: [],
+        },
+        // SSL monitor specific: how to reach TLS (directly or via STARTTLS)
+        sslProtocol: {
+            type: String,
+            enum: ['tls', 'smtp', 'imap', 'postgres'],
+            default: 'tls',
+        },
+        // Alert when the certificate is replaced well before it expires
+        sslAlertOnRotation: {
+            type: Boolean,
+            default: true,
+        },
+        sslFingerprint: String,
+        // Domain monitor specific: registration details from RDAP/WHOIS
+        domainExpiresAt: Date,
+        domainDaysRemaining: Number,
+        domainRegistrar: String,
+        domainNameservers: {
+            type: [String],
+            default: [],
+        },
+        // Days before expiry to alert at (each alerts once per registration period)
+        domainAlertDays: {
+            type: [Number],
+            default: [30, 14, 7, 3, 1],
+            validate: {
+                validator: (days) => days.every((day) => Number.isInteger(day) && day >= 1 && day <= 365),
+                message: 'Domain alert days must be whole numbers from 1 to 365',
+            },
+        },
+        domainExpiryAlertsSent: {
+            type: [Number],
+            default: [],
+        },
+        // Degraded thresholds (0 = disabled)
+        degradedResponseMs: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Consecutive slow checks before the monitor counts as degraded
+        degradedAfterChecks: {
+            type: Number,
+            default: 3,
+            min: 1,
+        },
+        degradedSslDays: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Ping checks: packet loss (%) and jitter (ms) above these are degraded
+        degradedPacketLoss: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 100,
+        },
+        degradedJitterMs: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        consecutiveSlowChecks: {
+            type: Number,
+            default: 0,
+        },
         // Multi-region (future)
         regions: [{
             type: String,
@@ -121,6 +397,10 @@ const monitorSchema = new mongoose.Schema(
             type: Number,
             default: 1,
         },
+        escalationPolicyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EscalationPolicy',
+        },
         // Status
         active: {
             type: Boolean,
@@ -129,7 +409,7 @@ const monitorSchema = new mongoose.Schema(
         },
         lastStatus: {
             type: String,
-            enum: ['up', 'down', 'degraded', 'pending', null],
+            enum: ['up', 'down', 'degraded', 'maintenance', 'pending', null],
             default: 'pending',
         },
         lastChecked: Date,
@@ -166,9 +446,9 @@ const monitorSchema = new mongoose.Schema(
     }
 );
 
-// Generate heartbeat token before save
+// Generate heartbeat token before save (cronjob monitors ping with it too)
 monitorSchema.pre('save', function (next) {
-    if (this.type === 'heartbeat' && !this.heartbeatToken) {
+    if ((this.type === 'heartbeat' || this.type === 'cronjob') && !this.heartbeatToken) {
         this.heartbeatToken = crypto.randomBytes(16).toString('hex');
     }
     next();
@@ -182,14 +462,60 @@ monitorSchema.virtual('heartbeatUrl').get(function () {
     return null;
 });
 
+// Virtual for cronjob ping URL
+monitorSchema.virtual('cronUrl').get(function () {
+    if (this.type === 'cronjob') {
+        return `${process.env.API_URL || 'http://localhost:4000'}/api/cronjob/${this.heartbeatToken}`;
+    }
+    return null;
+});
+
+// Encrypt auth secrets before save
+monitorSchema.pre('save', function (next) {
+    for (const field of AUTH_SECRET_FIELDS) {
+        const path = `auth.${field}`;
+        if (this.isModified(path) && this.get(path)) {
+            this.set(path, encrypt(this.get(path)));
+        }
+    }
+    next();
+});
+
+// Set auth settings from a request, keeping stored secrets sent back masked
+monitorSchema.methods.setAuth = function (auth) {
+    const previous = this.toObject({ virtuals: false }).auth || {};
+    this.set('auth', auth);
+
+    for (const field of AUTH_SECRET_FIELDS) {
+        const path = `auth.${field}`;
+        if (this.get(path) === SECRET_MASK) {
+            const [key, subKey] = field.split('.');
+            this.set(path, subKey ? previous[key]?.[subKey] : previous[key]);
+        }
+    }
+};
+
 // Compound indexes
 monitorSchema.index({ teamId: 1, active: 1 });
 monitorSchema.index({ type: 1, active: 1 });
 monitorSchema.index({ heartbeatToken: 1 });
 monitorSchema.index({ lastStatus: 1 });
 
-// Include virtuals in JSON
-monitorSchema.set('toJSON', { virtuals: true });
+// Include virtuals in JSON, never expose auth secrets
+monitorSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        if (ret.auth) {
+            for (const field of AUTH_SECRET_FIELDS) {
+                const [key, subKey] = field.split('.');
+                const parent = subKey ? ret.auth[key] : ret.auth;
+                const name = subKey || key;
+                if (parent && parent[name]) parent[name] = SECRET_MASK;
+            }
+        }
+        return ret;
+    },
+});
 monitorSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Monitor', monitorSchema);
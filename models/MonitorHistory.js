@@ -15,6 +15,51 @@ const monitorHistorySchema = new mongoose.Schema(
         statusCode: Number,
         responseMs: Number,
         error: String,
+        // Per-assertion results of HTTP checks
+        assertions: [{
+            _id: false,
+            type: { type: String },
+            property: String,
+            operator: String,
+            target: String,
+            passed: Boolean,
+            actual: String,
+            reason: String,
+        }],
+        // Per-step results of multistep checks
+        steps: [{
+            _id: false,
+            name: String,
+            statusCode: Number,
+            responseMs: Number,
+            success: Boolean,
+            error: String,
+        }],
+        // Request phases of HTTP/keyword checks in ms (null if not reached)
+        timings: {
+            dns: Number,
+            tcp: Number,
+            tls: Number,
+            ttfb: Number,
+            transfer: Number,
+        },
+        // Round trip statistics of ping checks
+        ping: {
+            method: { type: String },
+            address: String,
+            sent: Number,
+            received: Number,
+            packetLoss: Number,
+            minMs: Number,
+            avgMs: Number,
+            maxMs: Number,
+            jitterMs: Number,
+        },
+        // Resolved records and DNSSEC status of DNS checks
+        dns: {
+            records: [String],
+            dnssec: String,
+        },
         checkedAt: {
             type: Date,
             default: Date.now,
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A certificate served by an ssl monitor, one record per fingerprint seen
+const sslCertificateSchema = new mongoose.Schema(
+    {
+        monitorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Monitor',
+            required: true,
+            index: true,
+        },
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true,
+        },
+        // SHA-256 fingerprint
+        fingerprint: {
+            type: String,
+            required: true,
+        },
+        subject: String,
+        issuer: String,
+        serialNumber: String,
+        validFrom: Date,
+        expiresAt: Date,
+        firstSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lastSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // When the next certificate was first seen
+        replacedAt: Date,
+        // How this certificate replaced the previous one: first seen, renewed
+        // close to expiry, or swapped while the old one was still valid
+        rotation: {
+            type: String,
+            enum: ['initial', 'expected', 'unexpected'],
+            default: 'initial',
+        },
+    },
+    {
+        timestamps: false,
+    }
+);
+
+// Compound index for efficient queries
+sslCertificateSchema.index({ monitorId: 1, firstSeenAt: -1 });
+sslCertificateSchema.index({ monitorId: 1, fingerprint: 1 });
+
+module.exports = mongoose.model('SslCertificate', sslCertificateSchema);
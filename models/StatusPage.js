@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const slugify = require('slugify');
 
 const statusPageSchema = new mongoose.Schema(
     {
@@ -25,6 +27,10 @@ const statusPageSchema = new mongoose.Schema(
             verified: { type: Boolean, default: false },
             verificationToken: String,
             sslEnabled: { type: Boolean, default: false },
+            requestedAt: Date,
+            verifiedAt: Date,
+            lastCheckedAt: Date,
+            lastError: String,
         },
         // Branding
         branding: {
@@ -95,10 +101,44 @@ const statusPageSchema = new mongoose.Schema(
     }
 );
 
+// Generate slug from name if not provided
+statusPageSchema.pre('validate', async function (next) {
+    if (this.slug) return next();
+
+    const baseSlug = slugify(this.name || 'status', { lower: true, strict: true });
+    let slug = baseSlug;
+    let counter = 1;
+
+    // Ensure unique slug
+    while (await mongoose.model('StatusPage').findOne({ slug, _id: { $ne: this._id } })) {
+        slug = `${baseSlug}-${counter}`;
+        counter++;
+    }
+
+    this.slug = slug;
+    next();
+});
+
+// Hash password before saving
+statusPageSchema.pre('save', async function (next) {
+    if (!this.isModified('password') || !this.password) return next();
+
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+});
+
+// Compare password method
+statusPageSchema.methods.comparePassword = async function (candidatePassword) {
+    if (!this.password) return false;
+    return await bcrypt.compare(candidatePassword, this.password);
+};
+
 // Generate verification token for custom domain
 statusPageSchema.methods.generateDomainVerificationToken = function () {
     const crypto = require('crypto');
     this.customDomain.verificationToken = crypto.randomBytes(16).toString('hex');
+    this.customDomain.requestedAt = new Date();
     return this.customDomain.verificationToken;
 };
 
@@ -137,6 +177,28 @@ statusPageSchema.methods.verifySubscriber = async function (token) {
     return true;
 };
 
+// Remove subscriber
+statusPageSchema.methods.removeSubscriber = async function (email) {
+    const before = this.subscribers.length;
+    this.subscribers = this.subscribers.filter((s) => s.email !== email.toLowerCase());
+    if (this.subscribers.length !== before) {
+        await this.save();
+        return true;
+    }
+    return false;
+};
+
+// Never expose the password hash or subscriber tokens
+statusPageSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        if (ret.subscribers) {
+            ret.subscribers = ret.subscribers.map(({ verificationToken, ...subscriber }) => subscriber);
+        }
+        return ret;
+    },
+});
+
 // Indexes
 statusPageSchema.index({ slug: 1 }, { unique: true });
 statusPageSchema.index({ 'customDomain.domain': 1 });
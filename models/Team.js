@@ -50,6 +50,13 @@ const teamSchema = new mongoose.Schema(
                 expiresAt: Date,
             },
         ],
+        // Alert channels new monitors start with
+        defaultAlertChannels: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'AlertChannel',
+            },
+        ],
     },
     {
         timestamps: true,
@@ -2,18 +2,39 @@ const express = require('express');
 const router = express.Router();
 const { recordCronRun } = require('../workers/checks/cronjob');
 
-// @desc    Receive cronjob ping
-// @route   GET/POST /api/cronjob/:token
-// @access  Public (authenticated via token)
-router.all('/:token', async (req, res) => {
-    try {
-        const { status = 'success', duration } = req.query;
+// Plain-text job output can be sent as the request body
+router.use(express.text({ type: 'text/*', limit: '100kb' }));
 
-        const result = await recordCronRun(
-            req.params.token,
-            status,
-            duration ? parseInt(duration) : null
-        );
+/**
+ * Pull exit code, duration and captured output from the query string or body
+ */
+function getRunDetails(req) {
+    const body = req.body;
+    const source = { ...req.query, ...(body && typeof body === 'object' ? body : {}) };
+
+    const exitCode = source.exitCode ?? source.exit_code;
+    const parsedExitCode = exitCode !== undefined && exitCode !== '' ? parseInt(exitCode, 10) : undefined;
+    // Duration in milliseconds, ignored unless it's a non-negative number
+    const duration = source.duration ? parseInt(source.duration, 10) : null;
+
+    let output = typeof body === 'string' ? body : source.output;
+    if (output !== undefined && typeof output !== 'string') {
+        output = JSON.stringify(output);
+    }
+
+    return {
+        exitCode: Number.isNaN(parsedExitCode) ? undefined : parsedExitCode,
+        duration: Number.isFinite(duration) && duration >= 0 ? duration : null,
+        output,
+    };
+}
+
+/**
+ * Record a signal and respond
+ */
+async function recordSignal(req, res, signal, details) {
+    try {
+        const result = await recordCronRun(req.params.token, signal, details);
 
         if (!result.success) {
             return res.status(404).json(result);
@@ -21,14 +42,51 @@ router.all('/:token', async (req, res) => {
 
         res.status(200).json({
             success: true,
-            message: 'Cronjob run recorded',
+            message: signal === 'start' ? 'Cronjob run started' : 'Cronjob run recorded',
             monitor: result.monitorName,
+            runId: result.runId,
+            status: result.runStatus,
             nextExpectedRun: result.nextExpectedRun,
         });
     } catch (error) {
         console.error('Cronjob ping error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
+}
+
+/**
+ * Build a handler recording the given signal
+ */
+function handleSignal(signal) {
+    return (req, res) => recordSignal(req, res, signal, getRunDetails(req));
+}
+
+// @desc    Signal that a cronjob run started
+// @route   GET/POST /api/cronjob/:token/start
+// @access  Public (authenticated via token)
+router.all('/:token/start', handleSignal('start'));
+
+// @desc    Signal that a cronjob run finished successfully
+// @route   GET/POST /api/cronjob/:token/success
+// @access  Public (authenticated via token)
+router.all('/:token/success', handleSignal('success'));
+
+// @desc    Signal that a cronjob run failed
+// @route   GET/POST /api/cronjob/:token/fail
+// @access  Public (authenticated via token)
+router.all('/:token/fail', handleSignal('fail'));
+
+// @desc    Receive cronjob ping (single ping, ?status=success or an error message)
+// @route   GET/POST /api/cronjob/:token
+// @access  Public (authenticated via token)
+router.all('/:token', (req, res) => {
+    const { status = 'success' } = req.query;
+
+    if (status === 'success') {
+        return recordSignal(req, res, 'success', getRunDetails(req));
+    }
+
+    return recordSignal(req, res, 'fail', { ...getRunDetails(req), error: status });
 });
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { protect, checkTeamAccess } = require('../middleware/auth');
+const escalationController = require('../controllers/escalationController');
+
+// All routes require authentication and team access
+router.use(protect);
+router.use(checkTeamAccess);
+
+// GET /api/teams/:teamId/escalation-policies
+router.get('/', escalationController.getEscalationPolicies);
+
+// GET /api/teams/:teamId/escalation-policies/:id
+router.get('/:id', escalationController.getEscalationPolicy);
+
+// POST /api/teams/:teamId/escalation-policies
+router.post('/', escalationController.createEscalationPolicy);
+
+// PUT /api/teams/:teamId/escalation-policies/:id
+router.put('/:id', escalationController.updateEscalationPolicy);
+
+// DELETE /api/teams/:teamId/escalation-policies/:id
+router.delete('/:id', escalationController.deleteEscalationPolicy);
+
+module.exports = router;
@@ -3,12 +3,54 @@ const router = express.Router();
 const { recordHeartbeat } = require('../workers/checks/heartbeat');
 const { recordCronRun } = require('../workers/checks/cronjob');
 
-// @desc    Receive heartbeat ping
+// Longest message kept per ping
+const MAX_MESSAGE_LENGTH = 1000;
+// Largest metrics object accepted per ping (serialized)
+const MAX_METRICS_SIZE = 4 * 1024;
+
+// A plain-text status message can be sent as the request body
+router.use(express.text({ type: 'text/*', limit: '16kb' }));
+
+/**
+ * Pull the optional message and metrics from the body or query string
+ */
+function getPayload(req) {
+    const body = req.body;
+    const source = body && typeof body === 'object' ? body : {};
+
+    let message = typeof body === 'string' && body.trim() ? body : source.message ?? req.query.message;
+    if (message !== undefined && message !== null && typeof message !== 'string') {
+        message = JSON.stringify(message);
+    }
+
+    const metrics = source.metrics;
+    if (metrics !== undefined && (typeof metrics !== 'object' || metrics === null || Array.isArray(metrics))) {
+        return { error: 'metrics must be an object' };
+    }
+    if (metrics && JSON.stringify(metrics).length > MAX_METRICS_SIZE) {
+        return { error: `metrics must be at most ${MAX_METRICS_SIZE} bytes` };
+    }
+
+    return {
+        message: message ? message.trim().slice(0, MAX_MESSAGE_LENGTH) : undefined,
+        metrics,
+    };
+}
+
+// @desc    Receive heartbeat ping (optional message/metrics as JSON or text body)
 // @route   GET/POST /api/heartbeat/:token
 // @access  Public (authenticated via token)
 router.all('/:token', async (req, res) => {
     try {
-        const result = await recordHeartbeat(req.params.token);
+        const payload = getPayload(req);
+        if (payload.error) {
+            return res.status(400).json({ success: false, message: payload.error });
+        }
+
+        const result = await recordHeartbeat(req.params.token, {
+            ...payload,
+            sourceIp: req.ip,
+        });
 
         if (!result.success) {
             return res.status(404).json(result);
@@ -3,7 +3,13 @@ const router = express.Router({ mergeParams: true });
 const { protect, checkTeamAccess } = require('../middleware/auth');
 const incidentController = require('../controllers/incidentController');
 
-// All routes require authentication and team access
+// GET /api/teams/:teamId/incidents/:id/acknowledge?token= - Signed link from alerts (confirmation page)
+router.get('/:id/acknowledge', incidentController.showAcknowledgePage);
+
+// POST /api/teams/:teamId/incidents/:id/acknowledge/confirm - Acknowledge with the link's token
+router.post('/:id/acknowledge/confirm', incidentController.acknowledgeIncidentByLink);
+
+// All other routes require authentication and team access
 router.use(protect);
 router.use(checkTeamAccess);
 
@@ -25,6 +31,9 @@ router.put('/:id', incidentController.updateIncident);
 // POST /api/teams/:teamId/incidents/:id/timeline
 router.post('/:id/timeline', incidentController.addTimelineEntry);
 
+// POST /api/teams/:teamId/incidents/:id/acknowledge
+router.post('/:id/acknowledge', incidentController.acknowledgeIncident);
+
 // DELETE /api/teams/:teamId/incidents/:id
 router.delete('/:id', incidentController.deleteIncident);
 
@@ -11,6 +11,10 @@ const {
     getMonitorHistory,
     getMonitorStats,
     getDashboardStats,
+    previewCronSchedule,
+    getCronRuns,
+    getHeartbeatPings,
+    getSslCertificates,
 } = require('../controllers/monitorController');
 const { protect } = require('../middleware/auth');
 const { teamAccess } = require('../middleware/teamAccess');
@@ -22,6 +26,9 @@ router.use(teamAccess);
 // Dashboard
 router.get('/dashboard', getDashboardStats);
 
+// Cron schedule preview
+router.get('/cron-preview', previewCronSchedule);
+
 // Monitor CRUD
 router.get('/', getMonitors);
 router.post('/', createMonitor);
@@ -36,5 +43,8 @@ router.post('/:id/resume', resumeMonitor);
 // Monitor data
 router.get('/:id/history', getMonitorHistory);
 router.get('/:id/stats', getMonitorStats);
+router.get('/:id/runs', getCronRuns);
+router.get('/:id/heartbeats', getHeartbeatPings);
+router.get('/:id/certificates', getSslCertificates);
 
 module.exports = router;
@@ -1,12 +1,28 @@
 const express = require('express');
 const router = express.Router();
+const { rateLimit } = require('../middleware/auth');
+const { statusPageAccess } = require('../middleware/statusPageAccess');
 const {
     getStatusPage,
     getStatusPageHistory,
+    unlockStatusPage,
+    subscribe,
+    verifySubscription,
+    unsubscribe,
 } = require('../controllers/statusController');
 
 // Public routes - no authentication required
-router.get('/:teamSlug', getStatusPage);
-router.get('/:teamSlug/history', getStatusPageHistory);
+// (private and password protected pages are checked by statusPageAccess)
+router.get('/:slug', statusPageAccess, getStatusPage);
+router.get('/:slug/history', statusPageAccess, getStatusPageHistory);
+
+// Password protection
+router.post('/:slug/unlock', rateLimit(10, 15 * 60 * 1000), unlockStatusPage);
+
+// Subscriptions
+router.post('/:slug/subscribe', rateLimit(10, 15 * 60 * 1000), statusPageAccess, subscribe);
+router.get('/:slug/subscribe/verify', verifySubscription);
+router.get('/:slug/unsubscribe', unsubscribe);
+router.post('/:slug/unsubscribe', unsubscribe);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { protect, checkTeamAccess } = require('../middleware/auth');
+const statusPageController = require('../controllers/statusPageController');
+
+// All routes require authentication and team access
+router.use(protect);
+router.use(checkTeamAccess);
+
+// GET /api/teams/:teamId/status-pages
+router.get('/', statusPageController.getStatusPages);
+
+// GET /api/teams/:teamId/status-pages/:id
+router.get('/:id', statusPageController.getStatusPage);
+
+// POST /api/teams/:teamId/status-pages
+router.post('/', statusPageController.createStatusPage);
+
+// PUT /api/teams/:teamId/status-pages/:id
+router.put('/:id', statusPageController.updateStatusPage);
+
+// PUT /api/teams/:teamId/status-pages/:id/monitors
+router.put('/:id/monitors', statusPageController.updateStatusPageMonitors);
+
+// PUT /api/teams/:teamId/status-pages/:id/domain
+router.put('/:id/domain', statusPageController.setCustomDomain);
+
+// POST /api/teams/:teamId/status-pages/:id/domain/verify
+router.post('/:id/domain/verify', statusPageController.verifyCustomDomain);
+
+// DELETE /api/teams/:teamId/status-pages/:id/domain
+router.delete('/:id/domain', statusPageController.removeCustomDomain);
+
+// DELETE /api/teams/:teamId/status-pages/:id
+router.delete('/:id', statusPageController.deleteStatusPage);
+
+module.exports = router;
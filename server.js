@@ -7,6 +7,7 @@ const http = require('http');
 const connectDB = require('./config/db');
 const passport = require('./config/passport');
 const socketService = require('./services/socketService');
+const { customDomain } = require('./middleware/customDomain');
 
 // Choose worker based on environment
 const USE_BULLMQ = process.env.USE_BULLMQ === 'true';
@@ -16,6 +17,7 @@ const authRoutes = require('./routes/auth');
 const teamRoutes = require('./routes/team');
 const monitorRoutes = require('./routes/monitors');
 const statusRoutes = require('./routes/status');
+const statusPageRoutes = require('./routes/statusPages');
 const incidentRoutes = require('./routes/incidents');
 const alertRoutes = require('./routes/alerts');
 const billingRoutes = require('./routes/billing');
@@ -25,6 +27,7 @@ const heartbeatRoutes = require('./routes/heartbeat');
 const cronjobRoutes = require('./routes/cronjob');
 const reportsRoutes = require('./routes/reports');
 const maintenanceRoutes = require('./routes/maintenance');
+const escalationPolicyRoutes = require('./routes/escalationPolicies');
 
 // Initialize express
 const app = express();
@@ -53,6 +56,9 @@ app.use(morgan('dev'));
 // Initialize Passport
 app.use(passport.initialize());
 
+// Serve status pages on verified custom domains
+app.use(customDomain);
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
     let queueStatus = 'not available';
@@ -82,6 +88,7 @@ app.use('/api/teams', teamRoutes);
 app.use('/api/teams/:teamId/monitors', monitorRoutes);
 app.use('/api/teams/:teamId/incidents', incidentRoutes);
 app.use('/api/teams/:teamId/alerts', alertRoutes);
+app.use('/api/teams/:teamId/status-pages', statusPageRoutes);
 app.use('/api/teams/:teamId/billing', billingRoutes);
 app.use('/api/status', statusRoutes);
 app.use('/api/admin', adminRoutes);
@@ -90,6 +97,7 @@ app.use('/api/heartbeat', heartbeatRoutes);
 app.use('/api/cronjob', cronjobRoutes);
 app.use('/api/teams/:teamId/reports', reportsRoutes);
 app.use('/api/teams/:teamId/maintenance', maintenanceRoutes);
+app.use('/api/teams/:teamId/escalation-policies', escalationPolicyRoutes);
 app.use('/api/upload', require('./routes/uploadRoutes'));
 
 // Serve uploaded files
@@ -142,6 +150,10 @@ const server = httpServer.listen(PORT, async () => {
         const { initializeWorker } = require('./workers/worker');
         await initializeWorker();
     }
+
+    // Verify pending status page custom domains
+    const { startDomainVerifier } = require('./workers/domainVerifier');
+    startDomainVerifier();
 });
 
 // Graceful shutdown
@@ -151,6 +163,9 @@ const gracefulShutdown = async (signal) => {
     server.close(async () => {
         console.log('HTTP server closed');
 
+        const { stopDomainVerifier } = require('./workers/domainVerifier');
+        stopDomainVerifier();
+
         if (USE_BULLMQ) {
             const { shutdownWorkers } = require('./workers/bullWorker');
             const { closeQueues } = require('./config/queue');
@@ -0,0 +1,115 @@
+/**
+ * Incident Acknowledgement Service
+ * Signed acknowledge links for alerts, and stopping escalation once acknowledged
+ */
+
+const jwt = require('jsonwebtoken');
+
+const API_URL = process.env.API_URL || 'http://localhost:4000';
+const ACK_TOKEN_EXPIRES_IN = '7d';
+
+/**
+ * Create a signed acknowledge token for an incident
+ */
+function generateAcknowledgeToken(incidentId) {
+    return jwt.sign(
+        { incidentId: incidentId.toString(), purpose: 'acknowledge' },
+        process.env.JWT_SECRET,
+        { expiresIn: ACK_TOKEN_EXPIRES_IN }
+    );
+}
+
+/**
+ * Verify an acknowledge token, returns { incidentId } or null
+ */
+function verifyAcknowledgeToken(token) {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === 'acknowledge' ? decoded : null;
+    } catch {
+        return null;
+    }
+}
+
+function getAcknowledgeUrl(teamId, incidentId) {
+    const token = generateAcknowledgeToken(incidentId);
+    return `${API_URL}/api/teams/${teamId}/incidents/${incidentId}/acknowledge?token=${token}`;
+}
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * HTML page for the alert link: a confirm button (action/token given) or a result message
+ * Opening the link never acknowledges by itself, scanners and link previews load it too
+ */
+function renderAcknowledgePage({ heading, message, action, token }) {
+    const form = action
+        ? `
+        <form method="POST" action="${escapeHtml(action)}">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">Acknowledge incident</button>
+        </form>`
+        : '';
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(heading)} - Balaping</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+        .logo { font-size: 24px; font-weight: bold; color: #4F6DF5; margin-bottom: 30px; }
+        button { background: #4F6DF5; color: #fff; border: 0; padding: 12px 24px; border-radius: 8px; font-size: 16px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">⚡ Balaping</div>
+        <h2>${escapeHtml(heading)}</h2>
+        <p>${escapeHtml(message)}</p>${form}
+    </div>
+</body>
+</html>
+    `;
+}
+
+/**
+ * Mark an incident acknowledged and cancel pending escalation levels
+ * Returns false if it was already acknowledged or resolved
+ */
+async function acknowledgeIncident(incident, userId = null) {
+    if (incident.acknowledgedAt || incident.status === 'resolved') {
+        return false;
+    }
+
+    incident.acknowledgedAt = new Date();
+    incident.acknowledgedBy = userId || undefined;
+    incident.timeline.push({
+        status: incident.status,
+        message: userId ? 'Acknowledged' : 'Acknowledged from alert link',
+        createdBy: userId || undefined,
+        createdAt: new Date(),
+    });
+    await incident.save();
+
+    const { stopEscalation } = require('./escalation');
+    await stopEscalation(incident);
+
+    return true;
+}
+
+module.exports = {
+    generateAcknowledgeToken,
+    verifyAcknowledgeToken,
+    getAcknowledgeUrl,
+    acknowledgeIncident,
+    renderAcknowledgePage,
+};
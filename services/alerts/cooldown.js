@@ -0,0 +1,133 @@
+/**
+ * Alert Cooldown Tracker
+ * Per-channel, per-monitor cooldown for down alerts
+ * Uses Redis when BullMQ is enabled (shared across workers), in-memory otherwise
+ */
+
+const USE_BULLMQ = process.env.USE_BULLMQ === 'true';
+
+const COOLDOWN_PREFIX = 'alert-cooldown';
+const SUPPRESSED_PREFIX = 'alert-suppressed';
+const SUPPRESSED_TTL_SECONDS = 7 * 24 * 60 * 60; // Forget stale suppressed counts after a week
+
+// Map: channelId:monitorId -> { lastAlertAt, suppressed }
+const memoryStore = new Map();
+
+function getKey(channelId, monitorId) {
+    return `${channelId}:${monitorId}`;
+}
+
+/**
+ * In-memory store (single process)
+ */
+const memory = {
+    async acquire(key, cooldownMs) {
+        const entry = memoryStore.get(key);
+        const now = Date.now();
+
+        if (entry && now - entry.lastAlertAt < cooldownMs) {
+            entry.suppressed += 1;
+            return { allowed: false, suppressedCount: entry.suppressed };
+        }
+
+        const suppressedCount = entry ? entry.suppressed : 0;
+        memoryStore.set(key, { lastAlertAt: now, suppressed: 0 });
+        return { allowed: true, suppressedCount };
+    },
+
+    async takeSuppressed(key) {
+        const entry = memoryStore.get(key);
+        if (!entry) return 0;
+
+        const suppressed = entry.suppressed;
+        entry.suppressed = 0;
+        return suppressed;
+    },
+};
+
+/**
+ * Redis store (shared between API and BullMQ workers)
+ */
+const redis = {
+    client() {
+        const { getRedisClient } = require('../../config/redis');
+        return getRedisClient();
+    },
+
+    async acquire(key, cooldownMs) {
+        const client = redis.client();
+        const cooldownKey = `${COOLDOWN_PREFIX}:${key}`;
+        const suppressedKey = `${SUPPRESSED_PREFIX}:${key}`;
+
+        // Only one caller can set the key until it expires
+        const acquired = await client.set(cooldownKey, Date.now(), 'PX', cooldownMs, 'NX');
+
+        if (!acquired) {
+            const [[, suppressedCount]] = await client.multi()
+                .incr(suppressedKey)
+                .expire(suppressedKey, SUPPRESSED_TTL_SECONDS)
+                .exec();
+            return { allowed: false, suppressedCount };
+        }
+
+        const [[, suppressed]] = await client.multi()
+            .get(suppressedKey)
+            .del(suppressedKey)
+            .exec();
+        return { allowed: true, suppressedCount: parseInt(suppressed || '0', 10) };
+    },
+
+    async takeSuppressed(key) {
+        const client = redis.client();
+        const suppressedKey = `${SUPPRESSED_PREFIX}:${key}`;
+
+        const [[, suppressed]] = await client.multi()
+            .get(suppressedKey)
+            .del(suppressedKey)
+            .exec();
+        return parseInt(suppressed || '0', 10);
+    },
+};
+
+const store = USE_BULLMQ ? redis : memory;
+
+/**
+ * Check whether a down alert may be sent to a channel for a monitor
+ * Returns { allowed, suppressedCount } - when allowed, suppressedCount is the
+ * number of alerts held back since the last one that went out
+ */
+async function acquireCooldown(channel, monitorId) {
+    const cooldownMs = (channel.cooldownMinutes || 0) * 60 * 1000;
+    if (!monitorId || cooldownMs <= 0) {
+        return { allowed: true, suppressedCount: 0 };
+    }
+
+    try {
+        return await store.acquire(getKey(channel._id, monitorId), cooldownMs);
+    } catch (error) {
+        // Never lose an alert because the cooldown store is unavailable
+        console.error('Alert cooldown error:', error.message);
+        return { allowed: true, suppressedCount: 0 };
+    }
+}
+
+/**
+ * Count of down alerts suppressed since the last one sent, reported with a recovery
+ * The cooldown window itself stays, so a monitor flapping down again inside it
+ * is still suppressed
+ */
+async function takeSuppressedCount(channel, monitorId) {
+    if (!monitorId) return 0;
+
+    try {
+        return await store.takeSuppressed(getKey(channel._id, monitorId));
+    } catch (error) {
+        console.error('Alert cooldown error:', error.message);
+        return 0;
+    }
+}
+
+module.exports = {
+    acquireCooldown,
+    takeSuppressedCount,
+};
@@ -3,6 +3,8 @@
  * Sends alerts to Discord via Webhooks
  */
 
+const { formatDuration } = require('./telegram');
+
 /**
  * Send Discord notification
  */
@@ -37,7 +39,30 @@ async function sendMonitorDownDiscord(webhookUrl, monitorName, url, error, teamN
                 color: 15684420, // Red
                 description: `Monitor is unreachable.`,
                 fields: [
-                    { name: 'Error', value: String(error), inline: true },
+                    { name: 'Error', value: String(error || 'Connection failed'), inline: true },
+                    { name: 'Team', value: teamName, inline: true },
+                ],
+                footer: { text: 'Balaping Alert' },
+                timestamp: new Date().toISOString(),
+            },
+        ],
+    };
+    return sendDiscord(webhookUrl, payload);
+}
+
+/**
+ * Send monitor DEGRADED alert
+ */
+async function sendMonitorDegradedDiscord(webhookUrl, monitorName, url, reason, teamName) {
+    const payload = {
+        embeds: [
+            {
+                title: `🟡 Monitor Degraded: ${monitorName}`,
+                url: url,
+                color: 15383848, // Yellow
+                description: `Monitor is up but performing poorly.`,
+                fields: [
+                    { name: 'Reason', value: String(reason), inline: true },
                     { name: 'Team', value: teamName, inline: true },
                 ],
                 footer: { text: 'Balaping Alert' },
@@ -61,7 +86,7 @@ async function sendMonitorUpDiscord(webhookUrl, monitorName, url, responseMs, te
                 description: `Monitor is back online.`,
                 fields: [
                     { name: 'Response Time', value: `${responseMs}ms`, inline: true },
-                    { name: 'Downtime', value: downtimeDuration || 'N/A', inline: true },
+                    { name: 'Downtime', value: downtimeDuration ? formatDuration(downtimeDuration) : 'N/A', inline: true },
                     { name: 'Team', value: teamName, inline: true },
                 ],
                 footer: { text: 'Balaping Alert' },
@@ -95,19 +120,126 @@ async function sendSslExpiryDiscord(webhookUrl, monitorName, url, daysRemaining,
     return sendDiscord(webhookUrl, payload);
 }
 
+/**
+ * Send SSL certificate problem alert to Discord
+ */
+async function sendSslProblemDiscord(webhookUrl, monitorName, url, reason, teamName) {
+    const payload = {
+        embeds: [
+            {
+                title: `🔒 SSL Certificate Problem: ${monitorName}`,
+                url: url,
+                color: 15158332, // Red
+                description: `SSL Certificate failed validation.`,
+                fields: [
+                    { name: 'Problem', value: String(reason), inline: true },
+                    { name: 'Team', value: teamName, inline: true },
+                ],
+                footer: { text: 'Balaping Alert' },
+                timestamp: new Date().toISOString(),
+            },
+        ],
+    };
+    return sendDiscord(webhookUrl, payload);
+}
+
+/**
+ * Send domain expiry alert
+ */
+async function sendDomainExpiryDiscord(webhookUrl, monitorName, domain, daysRemaining, expiryDate, registrar) {
+    const payload = {
+        embeds: [
+            {
+                title: `⚠️ Domain Expiry Warning: ${monitorName}`,
+                color: 15383848, // Yellow
+                description: `Domain ${domain} is expiring soon.`,
+                fields: [
+                    { name: 'Days Remaining', value: String(daysRemaining), inline: true },
+                    { name: 'Expiry Date', value: new Date(expiryDate).toLocaleDateString(), inline: true },
+                    { name: 'Registrar', value: registrar || 'Unknown', inline: true },
+                ],
+                footer: { text: 'Balaping Alert' },
+                timestamp: new Date().toISOString(),
+            },
+        ],
+    };
+    return sendDiscord(webhookUrl, payload);
+}
+
+/**
+ * Send DNS record change alert
+ */
+async function sendDnsChangedDiscord(webhookUrl, monitorName, hostname, recordType, previous, current, teamName) {
+    const payload = {
+        embeds: [
+            {
+                title: `🔀 DNS Changed: ${monitorName}`,
+                color: 15383848, // Yellow
+                description: `${recordType} records for ${hostname} have changed.`,
+                fields: [
+                    { name: 'Before', value: previous.join(', ') || '-', inline: false },
+                    { name: 'Now', value: current.join(', ') || '-', inline: false },
+                    { name: 'Team', value: teamName, inline: true },
+                ],
+                footer: { text: 'Balaping Alert' },
+                timestamp: new Date().toISOString(),
+            },
+        ],
+    };
+    return sendDiscord(webhookUrl, payload);
+}
+
+/**
+ * Send incident update
+ */
+async function sendIncidentDiscord(webhookUrl, incident, teamName) {
+    const colors = { minor: 15383848, major: 16347926, critical: 15684420 };
+    const status = incident.status.charAt(0).toUpperCase() + incident.status.slice(1);
+
+    const payload = {
+        embeds: [
+            {
+                title: `📢 Incident ${status}: ${incident.title}`,
+                color: incident.status === 'resolved' ? 2278750 : colors[incident.severity] || 16347926,
+                description: incident.description || undefined,
+                fields: [
+                    { name: 'Severity', value: incident.severity, inline: true },
+                    { name: 'Team', value: teamName, inline: true },
+                ],
+                footer: { text: 'Balaping Alert' },
+                timestamp: new Date().toISOString(),
+            },
+        ],
+    };
+    return sendDiscord(webhookUrl, payload);
+}
+
 /**
  * Test Discord connection
  */
-async function testDiscord(webhookUrl) {
+async function testDiscord(webhookUrl, channelName) {
     const payload = {
-        content: '✅ Balaping Discord integration is working correctly!',
+        embeds: [
+            {
+                title: '✅ Balaping Alert Test',
+                color: 5205493, // Brand blue
+                description: `Your Discord alert channel${channelName ? ` **${channelName}**` : ''} is working correctly. Monitor alerts will be posted here.`,
+                footer: { text: 'Balaping Alert' },
+                timestamp: new Date().toISOString(),
+            },
+        ],
     };
     return sendDiscord(webhookUrl, payload);
 }
 
 module.exports = {
     sendMonitorDownDiscord,
+    sendMonitorDegradedDiscord,
     sendMonitorUpDiscord,
     sendSslExpiryDiscord,
+    sendSslProblemDiscord,
+    sendDomainExpiryDiscord,
+    sendDnsChangedDiscord,
+    sendIncidentDiscord,
     testDiscord,
 };
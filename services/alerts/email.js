@@ -145,7 +145,7 @@ async function sendResetPasswordEmail(email, name, token) {
 /**
  * Send monitor DOWN alert
  */
-async function sendMonitorDownEmail(emails, monitorName, url, error, teamName) {
+async function sendMonitorDownEmail(emails, monitorName, url, error, teamName, acknowledgeUrl) {
     const dashboardUrl = `${process.env.FRONTEND_URL}/monitors`;
 
     const html = `
@@ -178,6 +178,7 @@ async function sendMonitorDownEmail(emails, monitorName, url, error, teamName) {
         </table>
         <p style="margin: 30px 0;">
             <a href="${dashboardUrl}" class="button">View Dashboard</a>
+            ${acknowledgeUrl ? `<a href="${acknowledgeUrl}" class="button" style="background: #111827; margin-left: 8px;">Acknowledge</a>` : ''}
         </p>
         <div class="footer">
             <p>Balaping - Uptime Monitoring Made Simple</p>
@@ -191,7 +192,60 @@ async function sendMonitorDownEmail(emails, monitorName, url, error, teamName) {
         to: emails,
         subject: `🔴 DOWN: ${monitorName}`,
         html,
-        text: `Monitor DOWN: ${monitorName} (${url}) - ${error}`,
+        text: `Monitor DOWN: ${monitorName} (${url}) - ${error}${acknowledgeUrl ? `\nAcknowledge: ${acknowledgeUrl}` : ''}`,
+    });
+}
+
+/**
+ * Send monitor DEGRADED alert
+ */
+async function sendMonitorDegradedEmail(emails, monitorName, url, reason, teamName) {
+    const dashboardUrl = `${process.env.FRONTEND_URL}/monitors`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+        .logo { font-size: 24px; font-weight: bold; color: #4F6DF5; margin-bottom: 30px; }
+        .alert-box { background: #FEF3C7; border-left: 4px solid #F59E0B; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .alert-title { color: #D97706; font-weight: bold; font-size: 18px; margin-bottom: 10px; }
+        .button { display: inline-block; background: #4F6DF5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: 500; }
+        .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; }
+        .meta { color: #666; font-size: 14px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">⚡ Balaping</div>
+        <div class="alert-box">
+            <div class="alert-title">🟡 Monitor DEGRADED</div>
+            <p><strong>${monitorName}</strong> is up but performing poorly.</p>
+        </div>
+        <table style="width: 100%; margin: 20px 0;">
+            <tr><td class="meta">URL:</td><td>${url}</td></tr>
+            <tr><td class="meta">Reason:</td><td>${reason}</td></tr>
+            <tr><td class="meta">Team:</td><td>${teamName}</td></tr>
+            <tr><td class="meta">Time:</td><td>${new Date().toLocaleString()}</td></tr>
+        </table>
+        <p style="margin: 30px 0;">
+            <a href="${dashboardUrl}" class="button">View Dashboard</a>
+        </p>
+        <div class="footer">
+            <p>Balaping - Uptime Monitoring Made Simple</p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+
+    return sendEmail({
+        to: emails,
+        subject: `🟡 DEGRADED: ${monitorName}`,
+        html,
+        text: `Monitor DEGRADED: ${monitorName} (${url}) - ${reason}`,
     });
 }
 
@@ -291,6 +345,228 @@ async function sendSslExpiryEmail(emails, monitorName, url, daysRemaining, expir
     });
 }
 
+/**
+ * Send SSL certificate problem email
+ */
+async function sendSslProblemEmail(emails, monitorName, url, reason, teamName) {
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+        .logo { font-size: 24px; font-weight: bold; color: #4F6DF5; margin-bottom: 30px; }
+        .alert-box { background: #FEE2E2; border-left: 4px solid #EF4444; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .alert-title { color: #DC2626; font-weight: bold; font-size: 18px; margin-bottom: 10px; }
+        .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">⚡ Balaping</div>
+        <div class="alert-box">
+            <div class="alert-title">🔒 SSL Certificate Problem</div>
+            <p><strong>${monitorName}</strong> SSL certificate failed validation.</p>
+        </div>
+        <p>URL: ${url}</p>
+        <p>Problem: ${reason}</p>
+        <p>Team: ${teamName}</p>
+        <div class="footer">
+            <p>Balaping - Uptime Monitoring Made Simple</p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+
+    return sendEmail({
+        to: emails,
+        subject: `🔒 SSL Problem: ${monitorName}`,
+        html,
+        text: `SSL Certificate for ${monitorName} (${url}) failed validation: ${reason}`,
+    });
+}
+
+/**
+ * Send domain registration expiry warning
+ */
+async function sendDomainExpiryEmail(emails, monitorName, domain, daysRemaining, expiryDate, registrar, teamName) {
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+        .logo { font-size: 24px; font-weight: bold; color: #4F6DF5; margin-bottom: 30px; }
+        .alert-box { background: #FEF3C7; border-left: 4px solid #F59E0B; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .alert-title { color: #D97706; font-weight: bold; font-size: 18px; margin-bottom: 10px; }
+        .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">⚡ Balaping</div>
+        <div class="alert-box">
+            <div class="alert-title">⚠️ Domain Expiring Soon</div>
+            <p><strong>${monitorName}</strong> domain registration expires in ${daysRemaining} days.</p>
+        </div>
+        <p>Domain: ${domain}</p>
+        <p>Expiry Date: ${new Date(expiryDate).toLocaleDateString()}</p>
+        <p>Registrar: ${registrar || 'Unknown'}</p>
+        <p>Team: ${teamName}</p>
+        <div class="footer">
+            <p>Balaping - Uptime Monitoring Made Simple</p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+
+    return sendEmail({
+        to: emails,
+        subject: `⚠️ Domain Expiring: ${domain} (${daysRemaining} days)`,
+        html,
+        text: `Domain ${domain} (${monitorName}) expires in ${daysRemaining} days`,
+    });
+}
+
+/**
+ * Send DNS record change notice
+ */
+async function sendDnsChangedEmail(emails, monitorName, hostname, recordType, previous, current, teamName) {
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+        .logo { font-size: 24px; font-weight: bold; color: #4F6DF5; margin-bottom: 30px; }
+        .alert-box { background: #FEF3C7; border-left: 4px solid #F59E0B; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .alert-title { color: #D97706; font-weight: bold; font-size: 18px; margin-bottom: 10px; }
+        .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">⚡ Balaping</div>
+        <div class="alert-box">
+            <div class="alert-title">🔀 DNS Records Changed</div>
+            <p><strong>${monitorName}</strong> ${recordType} records for ${hostname} have changed.</p>
+        </div>
+        <p>Before: ${previous.join(', ')}</p>
+        <p>Now: ${current.join(', ')}</p>
+        <p>Team: ${teamName}</p>
+        <div class="footer">
+            <p>Balaping - Uptime Monitoring Made Simple</p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+
+    return sendEmail({
+        to: emails,
+        subject: `🔀 DNS Changed: ${hostname} (${recordType})`,
+        html,
+        text: `${recordType} records for ${hostname} (${monitorName}) changed from ${previous.join(', ')} to ${current.join(', ')}`,
+    });
+}
+
+/**
+ * Send status page subscription confirmation
+ */
+async function sendSubscriberVerificationEmail(email, pageName, verifyUrl) {
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+        .logo { font-size: 24px; font-weight: bold; color: #4F6DF5; margin-bottom: 30px; }
+        .button { display: inline-block; background: #4F6DF5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: 500; }
+        .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">⚡ Balaping</div>
+        <h2>Confirm your subscription</h2>
+        <p>You asked to receive incident updates from the <strong>${pageName}</strong> status page.</p>
+        <p style="margin: 30px 0;">
+            <a href="${verifyUrl}" class="button">Confirm Subscription</a>
+        </p>
+        <p>Or copy this link: <a href="${verifyUrl}">${verifyUrl}</a></p>
+        <p>If you didn't request this, you can ignore this email.</p>
+        <div class="footer">
+            <p>Balaping - Uptime Monitoring Made Simple</p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+
+    return sendEmail({
+        to: email,
+        subject: `Confirm your subscription to ${pageName}`,
+        html,
+        text: `Confirm your subscription to ${pageName} status updates: ${verifyUrl}`,
+    });
+}
+
+/**
+ * Send incident update to a status page subscriber
+ */
+async function sendIncidentSubscriberEmail(email, pageName, pageUrl, incident, message, unsubscribeUrl) {
+    const resolved = incident.status === 'resolved';
+    const statusLabel = incident.status.charAt(0).toUpperCase() + incident.status.slice(1);
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+        .logo { font-size: 24px; font-weight: bold; color: #4F6DF5; margin-bottom: 30px; }
+        .alert-box { background: ${resolved ? '#D1FAE5' : '#FEF3C7'}; border-left: 4px solid ${resolved ? '#22C55E' : '#F59E0B'}; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .alert-title { color: ${resolved ? '#16A34A' : '#D97706'}; font-weight: bold; font-size: 18px; margin-bottom: 10px; }
+        .button { display: inline-block; background: #4F6DF5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: 500; }
+        .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">⚡ Balaping</div>
+        <div class="alert-box">
+            <div class="alert-title">${resolved ? '✅' : '📢'} ${statusLabel}: ${incident.title}</div>
+            <p>${message || incident.description || ''}</p>
+        </div>
+        <p>Started: ${new Date(incident.startedAt).toLocaleString()}</p>
+        ${resolved && incident.resolvedAt ? `<p>Resolved: ${new Date(incident.resolvedAt).toLocaleString()}</p>` : ''}
+        <p style="margin: 30px 0;">
+            <a href="${pageUrl}" class="button">View Status Page</a>
+        </p>
+        <div class="footer">
+            <p>You are receiving this because you subscribed to ${pageName} status updates.</p>
+            <p><a href="${unsubscribeUrl}">Unsubscribe</a></p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+
+    return sendEmail({
+        to: email,
+        subject: `[${pageName}] ${statusLabel}: ${incident.title}`,
+        html,
+        text: `${statusLabel}: ${incident.title}\n\n${message || incident.description || ''}\n\nStatus page: ${pageUrl}\nUnsubscribe: ${unsubscribeUrl}`,
+    });
+}
+
 /**
  * Send team invitation email
  */
@@ -337,7 +613,13 @@ module.exports = {
     sendVerificationEmail,
     sendResetPasswordEmail,
     sendMonitorDownEmail,
+    sendMonitorDegradedEmail,
     sendMonitorUpEmail,
     sendSslExpiryEmail,
+    sendSslProblemEmail,
+    sendDomainExpiryEmail,
+    sendDnsChangedEmail,
+    sendSubscriberVerificationEmail,
+    sendIncidentSubscriberEmail,
     sendTeamInviteEmail,
 };
@@ -0,0 +1,174 @@
+/**
+ * Escalation Service
+ * Fires the levels of a monitor's escalation policy until the incident
+ * is acknowledged or resolved
+ * Uses delayed BullMQ jobs when enabled, timers otherwise
+ */
+
+const EscalationPolicy = require('../../models/EscalationPolicy');
+const Incident = require('../../models/Incident');
+const Team = require('../../models/Team');
+const User = require('../../models/User');
+const emailService = require('./email');
+const { getAcknowledgeUrl } = require('./acknowledgement');
+
+const USE_BULLMQ = process.env.USE_BULLMQ === 'true';
+
+// Map: incidentId -> pending timer (in-memory mode only)
+const timers = new Map();
+
+/**
+ * Start escalating a new incident
+ * Returns false if the monitor has no usable policy, so the caller can
+ * fall back to a regular down alert
+ */
+async function startEscalation(incident, monitor, alert) {
+    if (!monitor.escalationPolicyId) return false;
+
+    const policy = await EscalationPolicy.findOne({
+        _id: monitor.escalationPolicyId,
+        teamId: incident.teamId,
+        enabled: true,
+    });
+    if (!policy || policy.levels.length === 0) return false;
+
+    incident.escalation = { policyId: policy._id, level: -1, notifiedChannels: [] };
+    await incident.save();
+
+    await scheduleLevel(incident, policy, 0, alert);
+    return true;
+}
+
+/**
+ * Fire one escalation level and schedule the next one
+ */
+async function processEscalation({ incidentId, level, alert }) {
+    const alertService = require('./index');
+
+    const incident = await Incident.findById(incidentId);
+    if (!incident || incident.status === 'resolved' || incident.acknowledgedAt) {
+        return;
+    }
+
+    const policy = await EscalationPolicy.findById(incident.escalation?.policyId);
+    const step = policy?.enabled && policy.levels[level];
+    if (!step) return;
+
+    console.log(`📈 ESCALATION: ${alert.monitorName} → level ${level + 1} of ${policy.name}`);
+
+    if (step.channels.length > 0) {
+        await alertService.sendAlert(incident.teamId, 'down', {
+            ...alert,
+            channelIds: step.channels,
+            escalationLevel: level + 1,
+        });
+    }
+
+    if (step.notifyRoles.length > 0) {
+        await notifyTeamRoles(incident, step.notifyRoles, alert);
+    }
+
+    incident.escalation.level = level;
+    for (const channelId of step.channels) {
+        if (!incident.escalation.notifiedChannels.some((id) => id.equals(channelId))) {
+            incident.escalation.notifiedChannels.push(channelId);
+        }
+    }
+    incident.timeline.push({
+        status: incident.status,
+        message: `Escalated to level ${level + 1}`,
+    });
+    await incident.save();
+
+    if (level + 1 < policy.levels.length) {
+        await scheduleLevel(incident, policy, level + 1, alert);
+    }
+}
+
+/**
+ * Cancel the pending level of an incident (on recovery or acknowledgement)
+ */
+async function stopEscalation(incident) {
+    if (!incident.escalation?.policyId) return;
+
+    const incidentId = incident._id.toString();
+
+    if (USE_BULLMQ) {
+        const { removeEscalationJob } = require('../../config/queue');
+        await removeEscalationJob(incidentId, incident.escalation.level + 1);
+    } else if (timers.has(incidentId)) {
+        clearTimeout(timers.get(incidentId));
+        timers.delete(incidentId);
+    }
+}
+
+/**
+ * Channels that should hear about the recovery of an escalated incident
+ * Returns undefined for incidents without a policy (use regular routing)
+ */
+function getRecoveryChannelIds(incident) {
+    if (!incident?.escalation?.policyId) return undefined;
+    return incident.escalation.notifiedChannels;
+}
+
+/**
+ * Queue a level to fire its delay after the incident started
+ */
+async function scheduleLevel(incident, policy, level, alert) {
+    const incidentId = incident._id.toString();
+    const fireAt = incident.startedAt.getTime() + policy.levels[level].delayMinutes * 60 * 1000;
+    const delay = Math.max(0, fireAt - Date.now());
+    const data = { incidentId, level, alert };
+
+    if (USE_BULLMQ) {
+        const { addEscalationJob } = require('../../config/queue');
+        await addEscalationJob(data, delay);
+        return;
+    }
+
+    const timer = setTimeout(async () => {
+        timers.delete(incidentId);
+        try {
+            await processEscalation(data);
+        } catch (error) {
+            console.error('Escalation error:', error);
+        }
+    }, delay);
+    timers.set(incidentId, timer);
+}
+
+/**
+ * Email every team member holding one of the roles
+ */
+async function notifyTeamRoles(incident, roles, alert) {
+    const team = await Team.findById(incident.teamId);
+    if (!team) return;
+
+    const userIds = team.members
+        .filter((m) => roles.includes(m.role))
+        .map((m) => m.userId);
+    const users = await User.find({ _id: { $in: userIds } }).select('email');
+    const emails = users.map((u) => u.email).filter(Boolean);
+
+    if (emails.length === 0) return;
+
+    try {
+        await emailService.sendMonitorDownEmail(
+            emails,
+            alert.monitorName,
+            alert.url,
+            alert.error,
+            alert.teamName,
+            getAcknowledgeUrl(incident.teamId, incident._id)
+        );
+    } catch (error) {
+        console.error('Escalation email error:', error.message);
+    }
+}
+
+module.exports = {
+    startEscalation,
+    processEscalation,
+    stopEscalation,
+    getRecoveryChannelIds,
+};
@@ -4,21 +4,53 @@
  */
 
 const AlertChannel = require('../../models/AlertChannel');
+const Maintenance = require('../../models/Maintenance');
+const Monitor = require('../../models/Monitor');
+const Team = require('../../models/Team');
+const Incident = require('../../models/Incident');
 const emailService = require('./email');
 const telegramService = require('./telegram');
+const webhookService = require('./webhook');
 const slackService = require('./slack');
 const discordService = require('./discord');
+const { acquireCooldown, takeSuppressedCount } = require('./cooldown');
+const { getAcknowledgeUrl } = require('./acknowledgement');
 
 /**
  * Send alert to all channels configured for a team
  */
 async function sendAlert(teamId, alertType, data) {
     try {
-        // Get all enabled alert channels for the team
+        // Hold back monitor alerts while a maintenance window is active
+        if (data.monitorId && alertType !== 'incident') {
+            const maintenance = await Maintenance.findActiveForMonitor(data.monitorId, teamId);
+            if (maintenance) {
+                console.log(`🔧 Alert suppressed: ${data.monitorName} is under maintenance (${maintenance.title})`);
+                return { sent: 0, failed: 0, suppressed: true };
+            }
+        }
+
+        // Stop re-notifying once someone has acknowledged the incident
+        if (alertType === 'down' && data.incidentId) {
+            const incident = await Incident.findById(data.incidentId).select('status acknowledgedAt');
+            if (incident && (incident.acknowledgedAt || incident.status === 'resolved')) {
+                console.log(`✋ Alert skipped: incident for ${data.monitorName} is already acknowledged`);
+                return { sent: 0, failed: 0, suppressed: true };
+            }
+            data = { ...data, acknowledgeUrl: getAcknowledgeUrl(teamId, data.incidentId) };
+        }
+
+        // Get the enabled alert channels this alert should go to
+        const channelIds = await resolveChannelIds(
+            teamId,
+            alertType === 'incident' ? null : data.monitorId,
+            data.channelIds
+        );
         const channels = await AlertChannel.find({
             teamId,
             enabled: true,
             [`notifyOn.${alertType}`]: true,
+            ...(channelIds && { _id: { $in: channelIds } }),
         });
 
         if (channels.length === 0) {
@@ -26,22 +58,102 @@ async function sendAlert(teamId, alertType, data) {
             return { sent: 0, failed: 0 };
         }
 
-        const results = await Promise.allSettled(
-            channels.map((channel) => sendToChannel(channel, alertType, data))
-        );
+        // Apply per-channel cooldown before sending
+        const outgoing = [];
+        let throttled = 0;
+
+        for (const channel of channels) {
+            const channelData = await applyCooldown(channel, alertType, data);
+            if (channelData) {
+                outgoing.push(sendToChannel(channel, alertType, channelData));
+            } else {
+                throttled += 1;
+            }
+        }
+
+        const results = await Promise.allSettled(outgoing);
 
         const sent = results.filter((r) => r.status === 'fulfilled').length;
         const failed = results.filter((r) => r.status === 'rejected').length;
 
-        console.log(`📤 Alerts sent: ${sent} success, ${failed} failed`);
+        console.log(`📤 Alerts sent: ${sent} success, ${failed} failed${throttled ? `, ${throttled} in cooldown` : ''}`);
 
-        return { sent, failed, results };
+        return { sent, failed, throttled, results };
     } catch (error) {
         console.error('Alert dispatch error:', error);
         throw error;
     }
 }
 
+/**
+ * Pick the channels for an alert: an explicit list, the monitor's own list,
+ * the team's default channels, else null (every channel of the team)
+ */
+async function resolveChannelIds(teamId, monitorId, channelIds) {
+    // Explicit list (escalation levels, escalated recoveries)
+    if (channelIds) {
+        return channelIds;
+    }
+
+    if (monitorId) {
+        const monitor = await Monitor.findById(monitorId).select('alertChannels');
+        if (monitor?.alertChannels?.length) {
+            return monitor.alertChannels;
+        }
+    }
+
+    const team = await Team.findById(teamId).select('defaultAlertChannels');
+    if (team?.defaultAlertChannels?.length) {
+        return team.defaultAlertChannels;
+    }
+
+    return null;
+}
+
+/**
+ * Enforce the channel's cooldown for a monitor
+ * Down alerts inside the cooldown are counted and dropped (returns null);
+ * recoveries always go out with the count, the cooldown window carries on
+ */
+async function applyCooldown(channel, alertType, data) {
+    if (alertType === 'down') {
+        const { allowed, suppressedCount } = await acquireCooldown(channel, data.monitorId);
+
+        if (!allowed) {
+            channel.alertsSuppressed = (channel.alertsSuppressed || 0) + 1;
+            await channel.save();
+            console.log(`⏳ Alert cooldown: ${data.monitorName} → ${channel.name} (${suppressedCount} suppressed)`);
+            return null;
+        }
+
+        return withSuppressedNote(data, suppressedCount);
+    }
+
+    if (alertType === 'up') {
+        const suppressedCount = await takeSuppressedCount(channel, data.monitorId);
+        if (suppressedCount > 0) {
+            console.log(`⏳ Alert cooldown: ${data.monitorName} recovered → ${channel.name} (${suppressedCount} suppressed during outage)`);
+        }
+        return { ...data, suppressedCount };
+    }
+
+    return data;
+}
+
+/**
+ * Mention alerts held back by the cooldown in the next down alert
+ */
+function withSuppressedNote(data, suppressedCount) {
+    if (!suppressedCount) return data;
+
+    const note = `${suppressedCount} more ${suppressedCount === 1 ? 'failure' : 'failures'} suppressed`;
+    return {
+        ...data,
+        suppressedCount,
+        error: data.error ? `${data.error} (${note})` : note,
+    };
+}
+
 /**
  * Send alert to a specific channel
  */
@@ -102,6 +214,15 @@ async function sendEmailAlert(config, alertType, data) {
                 data.monitorName,
                 data.url,
                 data.error,
+                data.teamName,
+                data.acknowledgeUrl
+            );
+        case 'degraded':
+            return emailService.sendMonitorDegradedEmail(
+                emails,
+                data.monitorName,
+                data.url,
+                data.reason,
                 data.teamName
             );
         case 'up':
@@ -121,6 +242,34 @@ async function sendEmailAlert(config, alertType, data) {
                 data.expiryDate,
                 data.teamName
             );
+        case 'sslProblem':
+            return emailService.sendSslProblemEmail(
+                emails,
+                data.monitorName,
+                data.url,
+                data.reason,
+                data.teamName
+            );
+        case 'domainExpiry':
+            return emailService.sendDomainExpiryEmail(
+                emails,
+                data.monitorName,
+                data.url,
+                data.daysRemaining,
+                data.expiryDate,
+                data.registrar,
+                data.teamName
+            );
+        case 'dnsChanged':
+            return emailService.sendDnsChangedEmail(
+                emails,
+                data.monitorName,
+                data.url,
+                data.recordType,
+                data.previous,
+                data.current,
+                data.teamName
+            );
         default:
             throw new Error(`Unknown alert type for email: ${alertType}`);
     }
@@ -143,6 +292,16 @@ async function sendTelegramAlert(config, alertType, data) {
                 data.monitorName,
                 data.url,
                 data.error,
+                data.teamName,
+                data.acknowledgeUrl
+            );
+        case 'degraded':
+            return telegramService.sendMonitorDegradedTelegram(
+                telegramBotToken,
+                telegramChatId,
+                data.monitorName,
+                data.url,
+                data.reason,
                 data.teamName
             );
         case 'up':
@@ -164,6 +323,36 @@ async function sendTelegramAlert(config, alertType, data) {
                 data.daysRemaining,
                 data.expiryDate
             );
+        case 'sslProblem':
+            return telegramService.sendSslProblemTelegram(
+                telegramBotToken,
+                telegramChatId,
+                data.monitorName,
+                data.url,
+                data.reason,
+                data.teamName
+            );
+        case 'domainExpiry':
+            return telegramService.sendDomainExpiryTelegram(
+                telegramBotToken,
+                telegramChatId,
+                data.monitorName,
+                data.url,
+                data.daysRemaining,
+                data.expiryDate,
+                data.registrar
+            );
+        case 'dnsChanged':
+            return telegramService.sendDnsChangedTelegram(
+                telegramBotToken,
+                telegramChatId,
+                data.monitorName,
+                data.url,
+                data.recordType,
+                data.previous,
+                data.current,
+                data.teamName
+            );
         case 'incident':
             return telegramService.sendIncidentTelegram(
                 telegramBotToken,
@@ -186,6 +375,12 @@ async function sendWebhookAlert(config, alertType, data) {
     }
 
     const headers = webhookHeaders ? Object.fromEntries(webhookHeaders) : {};
+    // Worker alerts carry the monitor fields, not the monitor document
+    const monitor = data.monitor || {
+        _id: data.monitorId,
+        name: data.monitorName,
+        url: data.url,
+    };
 
     switch (alertType) {
         case 'down':
@@ -193,16 +388,25 @@ async function sendWebhookAlert(config, alertType, data) {
                 webhookUrl,
                 webhookMethod,
                 headers,
-                data.monitor,
+                monitor,
                 data.error,
                 data.teamName
             );
+        case 'degraded':
+            return webhookService.sendMonitorDegradedWebhook(
+                webhookUrl,
+                webhookMethod,
+                headers,
+                monitor,
+                data.reason,
+                data.teamName
+            );
         case 'up':
             return webhookService.sendMonitorUpWebhook(
                 webhookUrl,
                 webhookMethod,
                 headers,
-                data.monitor,
+                monitor,
                 data.responseMs,
                 data.teamName,
                 data.downtimeDuration
@@ -212,10 +416,41 @@ async function sendWebhookAlert(config, alertType, data) {
                 webhookUrl,
                 webhookMethod,
                 headers,
-                data.monitor,
+                monitor,
                 data.daysRemaining,
                 data.expiryDate
             );
+        case 'sslProblem':
+            return webhookService.sendSslProblemWebhook(
+                webhookUrl,
+                webhookMethod,
+                headers,
+                monitor,
+                data.problem,
+                data.reason,
+                data.teamName
+            );
+        case 'domainExpiry':
+            return webhookService.sendDomainExpiryWebhook(
+                webhookUrl,
+                webhookMethod,
+                headers,
+                monitor,
+                data.daysRemaining,
+                data.expiryDate,
+                data.registrar
+            );
+        case 'dnsChanged':
+            return webhookService.sendDnsChangedWebhook(
+                webhookUrl,
+                webhookMethod,
+                headers,
+                monitor,
+                data.recordType,
+                data.previous,
+                data.current,
+                data.teamName
+            );
         case 'incident':
             return webhookService.sendIncidentWebhook(
                 webhookUrl,
@@ -233,16 +468,26 @@ async function sendWebhookAlert(config, alertType, data) {
  * Send Slack alert
  */
 async function sendSlackAlert(config, alertType, data) {
-    const { webhookUrl } = config;
-    if (!webhookUrl) throw new Error('Slack Webhook URL not configured');
+    const { slackWebhookUrl } = config;
+    if (!slackWebhookUrl) throw new Error('Slack Webhook URL not configured');
 
     switch (alertType) {
         case 'down':
-            return slackService.sendMonitorDownSlack(webhookUrl, data.monitorName, data.url, data.error, data.teamName);
+            return slackService.sendMonitorDownSlack(slackWebhookUrl, data.monitorName, data.url, data.error, data.teamName, data.acknowledgeUrl);
+        case 'degraded':
+            return slackService.sendMonitorDegradedSlack(slackWebhookUrl, data.monitorName, data.url, data.reason, data.teamName);
         case 'up':
-            return slackService.sendMonitorUpSlack(webhookUrl, data.monitorName, data.url, data.responseMs, data.teamName, data.downtimeDuration);
+            return slackService.sendMonitorUpSlack(slackWebhookUrl, data.monitorName, data.url, data.responseMs, data.teamName, data.downtimeDuration);
         case 'sslExpiry':
-            return slackService.sendSslExpirySlack(webhookUrl, data.monitorName, data.url, data.daysRemaining, data.expiryDate);
+            return slackService.sendSslExpirySlack(slackWebhookUrl, data.monitorName, data.url, data.daysRemaining, data.expiryDate);
+        case 'sslProblem':
+            return slackService.sendSslProblemSlack(slackWebhookUrl, data.monitorName, data.url, data.reason, data.teamName);
+        case 'domainExpiry':
+            return slackService.sendDomainExpirySlack(slackWebhookUrl, data.monitorName, data.url, data.daysRemaining, data.expiryDate, data.registrar);
+        case 'dnsChanged':
+            return slackService.sendDnsChangedSlack(slackWebhookUrl, data.monitorName, data.url, data.recordType, data.previous, data.current, data.teamName);
+        case 'incident':
+            return slackService.sendIncidentSlack(slackWebhookUrl, data.incident, data.teamName);
         default:
             // For now, just log or ignore unknown types for Slack
             console.warn(`Unknown alert type for Slack: ${alertType}`);
@@ -254,16 +499,26 @@ async function sendSlackAlert(config, alertType, data) {
  * Send Discord alert
  */
 async function sendDiscordAlert(config, alertType, data) {
-    const { webhookUrl } = config;
-    if (!webhookUrl) throw new Error('Discord Webhook URL not configured');
+    const { discordWebhookUrl } = config;
+    if (!discordWebhookUrl) throw new Error('Discord Webhook URL not configured');
 
     switch (alertType) {
         case 'down':
-            return discordService.sendMonitorDownDiscord(webhookUrl, data.monitorName, data.url, data.error, data.teamName);
+            return discordService.sendMonitorDownDiscord(discordWebhookUrl, data.monitorName, data.url, data.error, data.teamName);
+        case 'degraded':
+            return discordService.sendMonitorDegradedDiscord(discordWebhookUrl, data.monitorName, data.url, data.reason, data.teamName);
         case 'up':
-            return discordService.sendMonitorUpDiscord(webhookUrl, data.monitorName, data.url, data.responseMs, data.teamName, data.downtimeDuration);
+            return discordService.sendMonitorUpDiscord(discordWebhookUrl, data.monitorName, data.url, data.responseMs, data.teamName, data.downtimeDuration);
         case 'sslExpiry':
-            return discordService.sendSslExpiryDiscord(webhookUrl, data.monitorName, data.url, data.daysRemaining, data.expiryDate);
+            return discordService.sendSslExpiryDiscord(discordWebhookUrl, data.monitorName, data.url, data.daysRemaining, data.expiryDate);
+        case 'sslProblem':
+            return discordService.sendSslProblemDiscord(discordWebhookUrl, data.monitorName, data.url, data.reason, data.teamName);
+        case 'domainExpiry':
+            return discordService.sendDomainExpiryDiscord(discordWebhookUrl, data.monitorName, data.url, data.daysRemaining, data.expiryDate, data.registrar);
+        case 'dnsChanged':
+            return discordService.sendDnsChangedDiscord(discordWebhookUrl, data.monitorName, data.url, data.recordType, data.previous, data.current, data.teamName);
+        case 'incident':
+            return discordService.sendIncidentDiscord(discordWebhookUrl, data.incident, data.teamName);
         default:
             console.warn(`Unknown alert type for Discord: ${alertType}`);
             return;
@@ -296,9 +551,9 @@ async function testChannel(channel) {
                 config.webhookHeaders ? Object.fromEntries(config.webhookHeaders) : {}
             );
         case 'slack':
-            return slackService.testSlack(config.webhookUrl);
+            return slackService.testSlack(config.slackWebhookUrl, channel.name);
         case 'discord':
-            return discordService.testDiscord(config.webhookUrl);
+            return discordService.testDiscord(config.discordWebhookUrl, channel.name);
         default:
             throw new Error(`Unknown channel type: ${type}`);
     }
@@ -308,4 +563,5 @@ module.exports = {
     sendAlert,
     sendToChannel,
     testChannel,
+    applyCooldown,
 };
@@ -3,6 +3,8 @@
  * Sends alerts to Slack via Incoming Webhooks
  */
 
+const { formatDuration } = require('./telegram');
+
 /**
  * Send Slack notification
  */
@@ -28,14 +30,33 @@ async function sendSlack(webhookUrl, payload) {
 /**
  * Send monitor DOWN alert
  */
-async function sendMonitorDownSlack(webhookUrl, monitorName, url, error, teamName) {
+async function sendMonitorDownSlack(webhookUrl, monitorName, url, error, teamName, acknowledgeUrl) {
     const payload = {
         attachments: [
             {
                 color: '#ef4444', // Red
                 title: `🔴 Monitor Down: ${monitorName}`,
                 title_link: url,
-                text: `Monitor is unreachable.\n*Error:* ${error}\n*Team:* ${teamName}`,
+                text: `Monitor is unreachable.\n*Error:* ${error}\n*Team:* ${teamName}${acknowledgeUrl ? `\n<${acknowledgeUrl}|Acknowledge incident>` : ''}`,
+                footer: 'Balaping Alert',
+                ts: Math.floor(Date.now() / 1000),
+            },
+        ],
+    };
+    return sendSlack(webhookUrl, payload);
+}
+
+/**
+ * Send monitor DEGRADED alert
+ */
+async function sendMonitorDegradedSlack(webhookUrl, monitorName, url, reason, teamName) {
+    const payload = {
+        attachments: [
+            {
+                color: '#f59e0b', // Amber
+                title: `🟡 Monitor Degraded: ${monitorName}`,
+                title_link: url,
+                text: `Monitor is up but performing poorly.\n*Reason:* ${reason}\n*Team:* ${teamName}`,
                 footer: 'Balaping Alert',
                 ts: Math.floor(Date.now() / 1000),
             },
@@ -54,7 +75,7 @@ async function sendMonitorUpSlack(webhookUrl, monitorName, url, responseMs, team
                 color: '#22c55e', // Green
                 title: `✅ Monitor Up: ${monitorName}`,
                 title_link: url,
-                text: `Monitor is back online.\n*Response Time:* ${responseMs}ms\n*Downtime:* ${downtimeDuration}\n*Team:* ${teamName}`,
+                text: `Monitor is back online.\n*Response Time:* ${responseMs}ms\n*Downtime:* ${formatDuration(downtimeDuration)}\n*Team:* ${teamName}`,
                 footer: 'Balaping Alert',
                 ts: Math.floor(Date.now() / 1000),
             },
@@ -82,19 +103,108 @@ async function sendSslExpirySlack(webhookUrl, monitorName, url, daysRemaining, e
     return sendSlack(webhookUrl, payload);
 }
 
+/**
+ * Send SSL certificate problem alert to Slack
+ */
+async function sendSslProblemSlack(webhookUrl, monitorName, url, reason, teamName) {
+    const payload = {
+        attachments: [
+            {
+                color: '#ef4444', // Red
+                title: `🔒 SSL Certificate Problem: ${monitorName}`,
+                title_link: url,
+                text: `SSL Certificate failed validation.\n*Problem:* ${reason}\n*Team:* ${teamName}`,
+                footer: 'Balaping Alert',
+                ts: Math.floor(Date.now() / 1000),
+            },
+        ],
+    };
+    return sendSlack(webhookUrl, payload);
+}
+
+/**
+ * Send domain expiry alert
+ */
+async function sendDomainExpirySlack(webhookUrl, monitorName, domain, daysRemaining, expiryDate, registrar) {
+    const payload = {
+        attachments: [
+            {
+                color: '#eab308', // Yellow
+                title: `⚠️ Domain Expiry Warning: ${monitorName}`,
+                text: `Domain *${domain}* expires in *${daysRemaining} days* (${new Date(expiryDate).toLocaleDateString()}).\n*Registrar:* ${registrar || 'Unknown'}`,
+                footer: 'Balaping Alert',
+                ts: Math.floor(Date.now() / 1000),
+            },
+        ],
+    };
+    return sendSlack(webhookUrl, payload);
+}
+
+/**
+ * Send DNS record change alert
+ */
+async function sendDnsChangedSlack(webhookUrl, monitorName, hostname, recordType, previous, current, teamName) {
+    const payload = {
+        attachments: [
+            {
+                color: '#eab308', // Yellow
+                title: `🔀 DNS Changed: ${monitorName}`,
+                text: `${recordType} records for *${hostname}* have changed.\n*Before:* ${previous.join(', ')}\n*Now:* ${current.join(', ')}\n*Team:* ${teamName}`,
+                footer: 'Balaping Alert',
+                ts: Math.floor(Date.now() / 1000),
+            },
+        ],
+    };
+    return sendSlack(webhookUrl, payload);
+}
+
+/**
+ * Send incident update
+ */
+async function sendIncidentSlack(webhookUrl, incident, teamName) {
+    const colors = { minor: '#eab308', major: '#f97316', critical: '#ef4444' };
+    const status = incident.status.charAt(0).toUpperCase() + incident.status.slice(1);
+
+    const payload = {
+        attachments: [
+            {
+                color: incident.status === 'resolved' ? '#22c55e' : colors[incident.severity] || '#f97316',
+                title: `📢 Incident ${status}: ${incident.title}`,
+                text: `${incident.description ? `${incident.description}\n` : ''}*Severity:* ${incident.severity}\n*Team:* ${teamName}`,
+                footer: 'Balaping Alert',
+                ts: Math.floor(Date.now() / 1000),
+            },
+        ],
+    };
+    return sendSlack(webhookUrl, payload);
+}
+
 /**
  * Test Slack connection
  */
-async function testSlack(webhookUrl) {
+async function testSlack(webhookUrl, channelName) {
     const payload = {
-        text: '✅ Balaping Slack integration is working correctly!',
+        attachments: [
+            {
+                color: '#4F6DF5',
+                title: '✅ Balaping Alert Test',
+                text: `Your Slack alert channel${channelName ? ` *${channelName}*` : ''} is working correctly. Monitor alerts will be posted here.`,
+                footer: 'Balaping Alert',
+                ts: Math.floor(Date.now() / 1000),
+            },
+        ],
     };
     return sendSlack(webhookUrl, payload);
 }
 
 module.exports = {
     sendMonitorDownSlack,
+    sendMonitorDegradedSlack,
     sendMonitorUpSlack,
     sendSslExpirySlack,
+    sendSslProblemSlack,
+    sendDomainExpirySlack,
+    sendDnsChangedSlack,
+    sendIncidentSlack,
     testSlack,
 };
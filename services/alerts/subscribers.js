@@ -0,0 +1,114 @@
+/**
+ * Status Page Subscriber Service
+ * Emails incident updates to verified subscribers of affected status pages
+ */
+
+const jwt = require('jsonwebtoken');
+const StatusPage = require('../../models/StatusPage');
+const emailService = require('./email');
+
+const API_URL = process.env.API_URL || 'http://localhost:4000';
+
+/**
+ * Create a signed one-click unsubscribe token (does not expire)
+ */
+function generateUnsubscribeToken(statusPageId, email) {
+    return jwt.sign(
+        { pageId: statusPageId.toString(), email, purpose: 'unsubscribe' },
+        process.env.JWT_SECRET
+    );
+}
+
+/**
+ * Verify an unsubscribe token, returns { pageId, email } or null
+ */
+function verifyUnsubscribeToken(token) {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === 'unsubscribe' ? decoded : null;
+    } catch {
+        return null;
+    }
+}
+
+function getStatusPageUrl(statusPage) {
+    if (statusPage.customDomain?.verified) {
+        return `https://${statusPage.customDomain.domain}`;
+    }
+    return `${process.env.FRONTEND_URL}/status/${statusPage.slug}`;
+}
+
+function getVerifyUrl(statusPage, token) {
+    return `${API_URL}/api/status/${statusPage.slug}/subscribe/verify?token=${token}`;
+}
+
+function getUnsubscribeUrl(statusPage, email) {
+    const token = generateUnsubscribeToken(statusPage._id, email);
+    return `${API_URL}/api/status/${statusPage.slug}/unsubscribe?token=${token}`;
+}
+
+/**
+ * Send subscription confirmation email
+ */
+async function sendVerification(statusPage, email, token) {
+    return emailService.sendSubscriberVerificationEmail(
+        email,
+        statusPage.name,
+        getVerifyUrl(statusPage, token)
+    );
+}
+
+/**
+ * Notify verified subscribers of every status page showing the incident's monitor
+ * Each address gets one email even if subscribed to several pages
+ */
+async function notifyIncidentSubscribers(incident, eventType) {
+    if (!incident.monitorId) {
+        return { sent: 0, failed: 0 };
+    }
+
+    const statusPages = await StatusPage.find({
+        teamId: incident.teamId,
+        'monitors.monitorId': incident.monitorId,
+        'subscribers.verified': true,
+    });
+
+    const latestEntry = incident.timeline[incident.timeline.length - 1];
+    const message = latestEntry?.message || incident.description;
+
+    const notified = new Set();
+    const sends = [];
+
+    for (const statusPage of statusPages) {
+        for (const subscriber of statusPage.subscribers) {
+            if (!subscriber.verified || notified.has(subscriber.email)) continue;
+            notified.add(subscriber.email);
+
+            sends.push(emailService.sendIncidentSubscriberEmail(
+                subscriber.email,
+                statusPage.name,
+                getStatusPageUrl(statusPage),
+                incident,
+                message,
+                getUnsubscribeUrl(statusPage, subscriber.email)
+            ));
+        }
+    }
+
+    const results = await Promise.allSettled(sends);
+    const sent = results.filter((r) => r.status === 'fulfilled').length;
+    const failed = results.length - sent;
+
+    if (results.length > 0) {
+        console.log(`📧 Subscriber notifications (${eventType}): ${sent} sent, ${failed} failed`);
+    }
+
+    return { sent, failed };
+}
+
+module.exports = {
+    generateUnsubscribeToken,
+    verifyUnsubscribeToken,
+    sendVerification,
+    notifyIncidentSubscribers,
+};
@@ -46,7 +46,7 @@ async function sendTelegramMessage(botToken, chatId, message, parseMode = 'HTML'
 /**
  * Send monitor DOWN alert to Telegram
  */
-async function sendMonitorDownTelegram(botToken, chatId, monitorName, url, error, teamName) {
+async function sendMonitorDownTelegram(botToken, chatId, monitorName, url, error, teamName, acknowledgeUrl) {
     const message = `
 🔴 <b>Monitor DOWN</b>
 
@@ -57,7 +57,25 @@ async function sendMonitorDownTelegram(botToken, chatId, monitorName, url, error
 👥 <b>Team:</b> ${escapeHtml(teamName)}
 🕐 <b>Time:</b> ${new Date().toLocaleString()}
 
-Check your dashboard for more details.
+${acknowledgeUrl ? `✋ <a href="${escapeHtml(acknowledgeUrl)}">Acknowledge incident</a>` : 'Check your dashboard for more details.'}
+    `.trim();
+
+    return sendTelegramMessage(botToken, chatId, message);
+}
+
+/**
+ * Send monitor DEGRADED alert to Telegram
+ */
+async function sendMonitorDegradedTelegram(botToken, chatId, monitorName, url, reason, teamName) {
+    const message = `
+🟡 <b>Monitor DEGRADED</b>
+
+<b>${escapeHtml(monitorName)}</b> is up but performing poorly.
+
+📍 <b>URL:</b> ${escapeHtml(url)}
+⚠️ <b>Reason:</b> ${escapeHtml(reason)}
+👥 <b>Team:</b> ${escapeHtml(teamName)}
+🕐 <b>Time:</b> ${new Date().toLocaleString()}
     `.trim();
 
     return sendTelegramMessage(botToken, chatId, message);
@@ -102,6 +120,63 @@ Please renew your SSL certificate soon.
     return sendTelegramMessage(botToken, chatId, message);
 }
 
+/**
+ * Send SSL certificate problem alert
+ */
+async function sendSslProblemTelegram(botToken, chatId, monitorName, url, reason, teamName) {
+    const message = `
+🔒 <b>SSL Certificate Problem</b>
+
+<b>${escapeHtml(monitorName)}</b> SSL certificate failed validation.
+
+📍 <b>URL:</b> ${escapeHtml(url)}
+⚠️ <b>Problem:</b> ${escapeHtml(reason)}
+👥 <b>Team:</b> ${escapeHtml(teamName)}
+🕐 <b>Time:</b> ${new Date().toLocaleString()}
+    `.trim();
+
+    return sendTelegramMessage(botToken, chatId, message);
+}
+
+/**
+ * Send domain expiry warning to Telegram
+ */
+async function sendDomainExpiryTelegram(botToken, chatId, monitorName, domain, daysRemaining, expiryDate, registrar) {
+    const emoji = daysRemaining <= 7 ? '🔴' : daysRemaining <= 14 ? '🟠' : '🟡';
+
+    const message = `
+${emoji} <b>Domain Expiring</b>
+
+<b>${escapeHtml(monitorName)}</b> domain registration expires in ${daysRemaining} days.
+
+🌐 <b>Domain:</b> ${escapeHtml(domain)}
+📅 <b>Expiry:</b> ${new Date(expiryDate).toLocaleDateString()}
+🏢 <b>Registrar:</b> ${escapeHtml(registrar || 'Unknown')}
+
+Please renew the domain soon.
+    `.trim();
+
+    return sendTelegramMessage(botToken, chatId, message);
+}
+
+/**
+ * Send DNS record change notice to Telegram
+ */
+async function sendDnsChangedTelegram(botToken, chatId, monitorName, hostname, recordType, previous, current, teamName) {
+    const message = `
+🔀 <b>DNS Records Changed</b>
+
+<b>${escapeHtml(monitorName)}</b> ${recordType} records have changed.
+
+📍 <b>Host:</b> ${escapeHtml(hostname)}
+⬅️ <b>Before:</b> ${escapeHtml(previous.join(', '))}
+➡️ <b>Now:</b> ${escapeHtml(current.join(', '))}
+👥 <b>Team:</b> ${escapeHtml(teamName)}
+    `.trim();
+
+    return sendTelegramMessage(botToken, chatId, message);
+}
+
 /**
  * Send incident notification to Telegram
  */
@@ -184,8 +259,13 @@ function formatDuration(ms) {
 module.exports = {
     sendTelegramMessage,
     sendMonitorDownTelegram,
+    sendMonitorDegradedTelegram,
     sendMonitorUpTelegram,
     sendSslExpiryTelegram,
+    sendSslProblemTelegram,
+    sendDomainExpiryTelegram,
+    sendDnsChangedTelegram,
     sendIncidentTelegram,
     testTelegramConnection,
+    formatDuration,
 };
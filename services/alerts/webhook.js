@@ -60,6 +60,27 @@ async function sendMonitorDownWebhook(webhookUrl, method, headers, monitor, erro
     return sendWebhook(webhookUrl, method, headers, payload);
 }
 
+/**
+ * Send monitor DEGRADED webhook
+ */
+async function sendMonitorDegradedWebhook(webhookUrl, method, headers, monitor, reason, teamName) {
+    const payload = {
+        event: 'monitor.degraded',
+        timestamp: new Date().toISOString(),
+        monitor: {
+            id: monitor._id,
+            name: monitor.name,
+            url: monitor.url,
+            type: monitor.type,
+        },
+        reason,
+        team: teamName,
+        status: 'degraded',
+    };
+
+    return sendWebhook(webhookUrl, method, headers, payload);
+}
+
 /**
  * Send monitor UP webhook
  */
@@ -103,6 +124,73 @@ async function sendSslExpiryWebhook(webhookUrl, method, headers, monitor, daysRe
     return sendWebhook(webhookUrl, method, headers, payload);
 }
 
+/**
+ * Send SSL certificate problem webhook
+ */
+async function sendSslProblemWebhook(webhookUrl, method, headers, monitor, problem, reason, teamName) {
+    const payload = {
+        event: 'ssl.problem',
+        timestamp: new Date().toISOString(),
+        monitor: {
+            id: monitor._id,
+            name: monitor.name,
+            url: monitor.url,
+        },
+        ssl: {
+            problem,
+            reason,
+        },
+        team: teamName,
+    };
+
+    return sendWebhook(webhookUrl, method, headers, payload);
+}
+
+/**
+ * Send domain expiry webhook
+ */
+async function sendDomainExpiryWebhook(webhookUrl, method, headers, monitor, daysRemaining, expiryDate, registrar) {
+    const payload = {
+        event: 'domain.expiring',
+        timestamp: new Date().toISOString(),
+        monitor: {
+            id: monitor._id,
+            name: monitor.name,
+            url: monitor.url,
+        },
+        domain: {
+            daysRemaining,
+            expiryDate,
+            registrar,
+        },
+    };
+
+    return sendWebhook(webhookUrl, method, headers, payload);
+}
+
+/**
+ * Send DNS record change webhook
+ */
+async function sendDnsChangedWebhook(webhookUrl, method, headers, monitor, recordType, previous, current, teamName) {
+    const payload = {
+        event: 'dns.changed',
+        timestamp: new Date().toISOString(),
+        monitor: {
+            id: monitor._id,
+            name: monitor.name,
+            url: monitor.url,
+        },
+        dns: {
+            recordType,
+            previous,
+            current,
+        },
+        team: teamName,
+    };
+
+    return sendWebhook(webhookUrl, method, headers, payload);
+}
+
 /**
  * Send incident webhook
  */
@@ -141,8 +229,12 @@ async function testWebhook(webhookUrl, method, headers) {
 module.exports = {
     sendWebhook,
     sendMonitorDownWebhook,
+    sendMonitorDegradedWebhook,
     sendMonitorUpWebhook,
     sendSslExpiryWebhook,
+    sendSslProblemWebhook,
+    sendDomainExpiryWebhook,
+    sendDnsChangedWebhook,
     sendIncidentWebhook,
     testWebhook,
 };
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAssertions, evaluateAssertions, describeFailures } = require('../utils/assertions');
+const { validatePattern, safeTest, safeExec } = require('../utils/regex');
+
+const response = {
+    statusCode: 201,
+    responseMs: 180,
+    headers: { 'content-type': 'application/json; charset=utf-8' },
+    body: JSON.stringify({ status: 'ok', data: { items: [{ name: 'first', count: 3 }] } }),
+};
+
+function evaluate(assertion) {
+    return evaluateAssertions([assertion], response)[0];
+}
+
+test('compares status codes, ranges and response time', () => {
+    assert.equal(evaluate({ type: 'statusCode', operator: 'equals', target: '201' }).passed, true);
+    assert.equal(evaluate({ type: 'statusCode', operator: 'inRange', target: '200-299, 304' }).passed, true);
+    assert.equal(evaluate({ type: 'statusCode', operator: 'inRange', target: '300-399' }).passed, false);
+    assert.equal(evaluate({ type: 'responseTime', operator: 'lessThan', target: '200' }).passed, true);
+    assert.equal(evaluate({ type: 'responseTime', operator: 'greaterThan', target: '200' }).passed, false);
+});
+
+test('compares headers case-insensitively by name', () => {
+    assert.equal(evaluate({ type: 'header', property: 'Content-Type', operator: 'contains', target: 'json' }).passed, true);
+    assert.equal(evaluate({ type: 'header', property: 'x-missing', operator: 'notExists' }).passed, true);
+    assert.equal(evaluate({ type: 'header', property: 'x-missing', operator: 'exists' }).passed, false);
+});
+
+test('reads JSONPath values', () => {
+    assert.equal(evaluate({ type: 'jsonPath', property: '$.status', operator: 'equals', target: 'ok' }).passed, true);
+    assert.equal(evaluate({ type: 'jsonPath', property: "$.data.items[0]['name']", operator: 'equals', target: 'first' }).passed, true);
+    assert.equal(evaluate({ type: 'jsonPath', property: '$.data.items[0].count', operator: 'greaterThan', target: '2' }).passed, true);
+    assert.equal(evaluate({ type: 'jsonPath', property: '$.data.items[1]', operator: 'exists' }).passed, false);
+});
+
+test('describes failures with the actual value', () => {
+    const results = evaluateAssertions([
+        { type: 'jsonPath', property: '$.status', operator: 'equals', target: 'up' },
+        { type: 'statusCode', operator: 'equals', target: '201' },
+    ], response);
+
+    assert.equal(describeFailures(results), 'Assertion failed: $.status ("ok") does not equal "up"');
+    assert.equal(describeFailures(results.slice(1)), null);
+});
+
+test('matches body regexes', () => {
+    assert.equal(evaluate({ type: 'body', operator: 'matches', target: '"status":"(ok|up)"' }).passed, true);
+    assert.equal(evaluate({ type: 'body', operator: 'notMatches', target: 'error' }).passed, true);
+});
+
+test('validates assertions', () => {
+    assert.equal(validateAssertions([{ type: 'statusCode', operator: 'equals', target: '200' }]), null);
+    assert.match(validateAssertions([{ type: 'body', operator: 'equals', target: 'x' }]), /operator for body/);
+    assert.match(validateAssertions([{ type: 'jsonPath', property: 'status', operator: 'exists' }]), /must start with \$/);
+    assert.match(validateAssertions([{ type: 'statusCode', operator: 'inRange', target: '2xx' }]), /ranges/);
+    assert.match(validateAssertions([{ type: 'body', operator: 'matches', target: '(' }]), /invalid regular expression/);
+    assert.match(validateAssertions([{ type: 'body', operator: 'matches', target: '(a+)+$' }]), /nested quantifiers/);
+});
+
+test('rejects nested quantifiers but not bounded or flat patterns', () => {
+    for (const pattern of ['(a+)+', '(\\w*x)*', '((ab)*c)+', '(?:a|b+){2,}', '(a+){3}', '(.*a){20}', '(\\d{1,3}\\.)+']) {
+        assert.match(validatePattern(pattern), /nested quantifiers/, pattern);
+    }
+    for (const pattern of ['(ab)+', 'a+b*', '(a+)?', '[(a+)]+', '\\(a+\\)+', '(\\d{1,3}\\.){3}\\d{1,3}', '(ab){1}c+', 'ok|up']) {
+        assert.equal(validatePattern(pattern), null, pattern);
+    }
+});
+
+test('rejects repeated alternations', () => {
+    for (const pattern of ['(a|a)*b', '(a|aa)*c', '(?:x|y){2,5}', '((a|b)c)+']) {
+        assert.match(validatePattern(pattern), /repeated alternation/, pattern);
+    }
+    assert.equal(validatePattern('"status":"(ok|up)"'), null);
+    assert.equal(validatePattern('(?:ok|up)?!'), null);
+});
+
+test('stops a runaway match instead of blocking', () => {
+    const started = Date.now();
+
+    // Slow (cubic) without being rejected up front
+    assert.throws(() => safeTest('a*a*a*c', 'a'.repeat(5000)), /took longer than/);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(evaluateAssertions([{ type: 'body', operator: 'matches', target: 'a*a*a*c' }], { body: 'a'.repeat(5000) })[0].passed, false);
+});
+
+test('only searches the start of very large text', () => {
+    const text = `${'x'.repeat(300 * 1024)}needle`;
+
+    assert.equal(safeTest('needle', text), false);
+    assert.equal(safeExec('x(x)', text)[1], 'x');
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// The email service can't load without a mail transport, stub it
+require.cache[path.resolve(__dirname, '../services/alerts/email.js')] = { exports: {} };
+const { applyCooldown } = require('../services/alerts');
+
+let nextChannelId = 1;
+
+function createChannel(cooldownMinutes = 5) {
+    return {
+        _id: `channel-${nextChannelId++}`,
+        name: 'Ops',
+        cooldownMinutes,
+        alertsSuppressed: 0,
+        async save() {},
+    };
+}
+
+const down = { monitorId: 'monitor-1', monitorName: 'API', error: 'Timeout' };
+const up = { monitorId: 'monitor-1', monitorName: 'API' };
+
+test('sends the first down alert', async () => {
+    const channel = createChannel();
+
+    assert.deepEqual(await applyCooldown(channel, 'down', down), down);
+});
+
+test('suppresses repeat down alerts inside the window', async () => {
+    const channel = createChannel();
+
+    await applyCooldown(channel, 'down', down);
+
+    assert.equal(await applyCooldown(channel, 'down', down), null);
+    assert.equal(channel.alertsSuppressed, 1);
+});
+
+test('keeps the window across a recovery when the monitor flaps', async () => {
+    const channel = createChannel();
+
+    assert.ok(await applyCooldown(channel, 'down', down));
+    for (let cycle = 0; cycle < 2; cycle++) {
+        const recovery = await applyCooldown(channel, 'up', up);
+        assert.ok(recovery, 'recoveries always go out');
+        assert.equal(await applyCooldown(channel, 'down', down), null);
+    }
+
+    assert.equal(channel.alertsSuppressed, 2);
+});
+
+test('reports suppressed downs with the recovery, once', async () => {
+    const channel = createChannel();
+
+    await applyCooldown(channel, 'down', down);
+    await applyCooldown(channel, 'down', down);
+    await applyCooldown(channel, 'down', down);
+
+    assert.equal((await applyCooldown(channel, 'up', up)).suppressedCount, 2);
+    assert.equal((await applyCooldown(channel, 'up', up)).suppressedCount, 0);
+});
+
+test('mentions suppressed downs in the next alert after the window', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const channel = createChannel(1);
+
+    await applyCooldown(channel, 'down', down);
+    await applyCooldown(channel, 'down', down);
+    t.mock.timers.tick(61 * 1000);
+
+    const alert = await applyCooldown(channel, 'down', down);
+    assert.equal(alert.suppressedCount, 1);
+    assert.equal(alert.error, 'Timeout (1 more failure suppressed)');
+});
+
+test('sends every alert without a cooldown', async () => {
+    const channel = createChannel(0);
+
+    assert.ok(await applyCooldown(channel, 'down', down));
+    assert.ok(await applyCooldown(channel, 'down', down));
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, validateCron, getNextRun, getPreviousRun, getNextRuns } = require('../utils/cron');
+
+function isoRuns(expression, timezone, count, after) {
+    return getNextRuns(expression, timezone, count, new Date(after)).map((date) => date.toISOString());
+}
+
+test('expands lists, ranges, steps and names', () => {
+    const schedule = parseCron('*/20 9-11,14 1,15 JAN-MAR mon-fri');
+
+    assert.deepEqual(schedule.seconds, [0]);
+    assert.deepEqual(schedule.minutes, [0, 20, 40]);
+    assert.deepEqual(schedule.hours, [9, 10, 11, 14]);
+    assert.deepEqual(schedule.daysOfMonth, [1, 15]);
+    assert.deepEqual(schedule.months, [1, 2, 3]);
+    assert.deepEqual(schedule.daysOfWeek, [1, 2, 3, 4, 5]);
+    assert.deepEqual(parseCron('5/15 * * * *').minutes, [5, 20, 35, 50]);
+    assert.deepEqual(parseCron('0 0 * * 7').daysOfWeek, [0]);
+    assert.deepEqual(parseCron('@hourly'), parseCron('0 * * * *'));
+});
+
+test('rejects invalid expressions', () => {
+    assert.equal(validateCron('*/15 9-17 * * MON-FRI'), null);
+    assert.equal(validateCron('1-2-3 * * * *'), 'Invalid range "1-2-3" in minute field');
+    assert.equal(validateCron('5-1 * * * *'), 'Invalid range "5-1" in minute field');
+    assert.equal(validateCron('*/0 * * * *'), 'Invalid step "0" in minute field');
+    assert.equal(validateCron('0 24 * * *'), 'hour value 24 is out of range (0-23)');
+    assert.equal(validateCron('0 0 * *'), 'Cron expression must have 5 fields (or 6 with seconds)');
+    assert.equal(validateCron('@fortnightly'), 'Unsupported cron macro "@fortnightly"');
+    assert.equal(validateCron(''), 'Cron expression is required');
+});
+
+test('finds the next runs', () => {
+    assert.deepEqual(isoRuns('*/15 9-17 * * MON-FRI', 'UTC', 3, '2026-10-16T17:50:00Z'), [
+        '2026-10-19T09:00:00.000Z',
+        '2026-10-19T09:15:00.000Z',
+        '2026-10-19T09:30:00.000Z',
+    ]);
+    assert.deepEqual(isoRuns('*/20 * * * * *', 'UTC', 3, '2026-10-19T00:00:00Z'), [
+        '2026-10-19T00:00:20.000Z',
+        '2026-10-19T00:00:40.000Z',
+        '2026-10-19T00:01:00.000Z',
+    ]);
+    assert.equal(getNextRun('0 0 29 2 *', 'UTC', new Date('2026-01-01T00:00:00Z')).toISOString(), '2028-02-29T00:00:00.000Z');
+    assert.equal(getPreviousRun('@hourly', 'UTC', new Date('2026-10-19T10:30:00Z')).toISOString(), '2026-10-19T10:00:00.000Z');
+});
+
+test('matches either day field when both are restricted', () => {
+    assert.deepEqual(isoRuns('0 0 13 * FRI', 'UTC', 4, '2026-10-19T00:00:00Z'), [
+        '2026-10-23T00:00:00.000Z',
+        '2026-10-30T00:00:00.000Z',
+        '2026-11-06T00:00:00.000Z',
+        '2026-11-13T00:00:00.000Z',
+    ]);
+});
+
+test('runs in the given timezone and skips times lost to DST', () => {
+    assert.deepEqual(isoRuns('0 9 * * *', 'Europe/Berlin', 2, '2026-10-24T12:00:00Z'), [
+        '2026-10-25T08:00:00.000Z',
+        '2026-10-26T08:00:00.000Z',
+    ]);
+    // 02:30 doesn't exist in New York on 2026-03-08
+    assert.deepEqual(isoRuns('30 2 * * *', 'America/New_York', 2, '2026-03-07T12:00:00Z'), [
+        '2026-03-09T06:30:00.000Z',
+        '2026-03-10T06:30:00.000Z',
+    ]);
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { checkDns, matchRecords, getReverseName, validateDnsConfig } = require('../workers/checks/dns');
+const { buildQuery } = require('../workers/checks/dnssec');
+const { evaluateDnsChange } = require('../workers/dnsAlerts');
+
+const FLAG_AD = 0x0020;
+const FLAG_CD = 0x0010;
+
+let server;
+let resolvers;
+// Queries asking for the AD flag, i.e. the DNSSEC status
+const dnssecQueries = [];
+
+function u16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+}
+
+// Stub resolver: secure.test is signed, bogus.test fails validation, anything else is NXDOMAIN
+function handleQuery(message, remote) {
+    const id = message.readUInt16BE(0);
+    const flags = message.readUInt16BE(2);
+    const labels = [];
+    let offset = 12;
+    while (message[offset]) {
+        labels.push(message.subarray(offset + 1, offset + 1 + message[offset]).toString());
+        offset += message[offset] + 1;
+    }
+    const name = labels.join('.').toLowerCase();
+    const questionEnd = offset + 5;
+    if (flags & FLAG_AD) dnssecQueries.push(name);
+
+    let rcode = 0;
+    let answers = [];
+    if (name === 'secure.test') {
+        answers = [[10, 0, 0, 1], [10, 0, 0, 2]];
+    } else if (name === 'bogus.test') {
+        rcode = flags & FLAG_CD ? 0 : 2;
+    } else {
+        rcode = 3;
+    }
+    const authenticated = name === 'secure.test' && flags & FLAG_AD ? FLAG_AD : 0;
+
+    const header = Buffer.concat([u16(id), u16(0x8180 | authenticated | rcode), u16(1), u16(answers.length), u16(0), u16(0)]);
+    const records = answers.map((ip) => Buffer.concat([
+        Buffer.from([0xc0, 12]), u16(1), u16(1), Buffer.from([0, 0, 0, 60]), u16(4), Buffer.from(ip),
+    ]));
+    server.send(Buffer.concat([header, message.subarray(12, questionEnd), ...records]), remote.port, remote.address);
+}
+
+before(async () => {
+    server = dgram.createSocket('udp4');
+    server.on('message', handleQuery);
+    await new Promise((resolve) => server.bind(0, '127.0.0.1', resolve));
+    resolvers = [`127.0.0.1:${server.address().port}`];
+});
+
+after(() => {
+    server.close();
+});
+
+test('matches records in each mode', () => {
+    const records = ['10.0.0.1', 'Mail.Example.com.'];
+
+    assert.equal(matchRecords(records, ['10.0.0.9', 'mail.example.com'], 'containsAny'), null);
+    assert.match(matchRecords(records, ['10.0.0.9'], 'containsAny'), /None of 10\.0\.0\.9 found/);
+    assert.equal(matchRecords(records, ['10.0.0.1', 'mail.example.com'], 'containsAll'), null);
+    assert.match(matchRecords(records, ['10.0.0.1', '10.0.0.2'], 'containsAll'), /Expected 10\.0\.0\.2 not found/);
+    assert.equal(matchRecords(records, ['mail.example.com', '10.0.0.1'], 'exact'), null);
+    assert.match(matchRecords(records, ['10.0.0.1'], 'exact'), /Expected exactly/);
+    assert.equal(matchRecords(records, ['^10\\.0\\.0\\.\\d+$', '^mail\\.'], 'regex'), null);
+    assert.match(matchRecords(records, ['^192\\.'], 'regex'), /No record matches \/\^192/);
+});
+
+test('rejects unsafe regexes when saved and when matched', () => {
+    const monitor = { dnsMatchMode: 'regex', dnsExpectedValues: ['(a+)+$'] };
+
+    assert.match(validateDnsConfig(monitor).join(), /nested quantifiers/);
+    assert.throws(() => matchRecords(['aaaa'], ['(a+)+$'], 'regex'), /Unsafe pattern/);
+    assert.throws(() => matchRecords(['a'.repeat(5000)], ['a*a*a*c'], 'regex'), /took longer than/);
+});
+
+test('builds reverse lookup names', () => {
+    assert.equal(getReverseName('192.0.2.10'), '10.2.0.192.in-addr.arpa');
+    assert.equal(
+        getReverseName('2001:db8::1'),
+        '1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa',
+    );
+    assert.equal(getReverseName('::1').split('.').length, 34);
+});
+
+test('detects record changes ignoring order and case', () => {
+    const monitor = { dnsLastRecords: ['10.0.0.1', 'Host.Example.com'] };
+
+    assert.equal(evaluateDnsChange({ dnsLastRecords: [] }, ['10.0.0.1']), null);
+    assert.equal(evaluateDnsChange(monitor, ['host.example.com', '10.0.0.1', '10.0.0.1']), null);
+    assert.deepEqual(evaluateDnsChange(monitor, ['10.0.0.2']), {
+        previous: ['10.0.0.1', 'Host.Example.com'],
+        current: ['10.0.0.2'],
+    });
+});
+
+test('refuses to build a query for a name that does not fit on the wire', () => {
+    assert.ok(buildQuery(1, 'example.com', 'A', 0));
+    assert.equal(buildQuery(1, `${'a'.repeat(64)}.example.com`, 'A', 0), null);
+    assert.equal(buildQuery(1, `${'a'.repeat(63)}.`.repeat(4) + 'com', 'A', 0), null);
+    assert.equal(buildQuery(1, 'example..com', 'A', 0), null);
+});
+
+test('only asks for the DNSSEC status when it is required', async () => {
+    dnssecQueries.length = 0;
+    const plain = await checkDns({ url: 'secure.test', dnsResolvers: resolvers, timeout: 2000 });
+
+    assert.equal(plain.success, true);
+    assert.equal(plain.dns.dnssec, null);
+    assert.deepEqual(dnssecQueries, []);
+
+    const required = await checkDns({ url: 'secure.test', dnsResolvers: resolvers, dnssecRequired: true, timeout: 2000 });
+
+    assert.equal(required.success, true);
+    assert.equal(required.dns.dnssec, 'secure');
+    assert.deepEqual(required.dns.records, ['10.0.0.1', '10.0.0.2']);
+    assert.deepEqual(dnssecQueries, ['secure.test']);
+});
+
+test('reports a bogus zone when the resolver answers SERVFAIL', async () => {
+    const result = await checkDns({ url: 'bogus.test', dnsResolvers: resolvers, timeout: 2000 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'DNSSEC validation failed (bogus)');
+});
@@ -0,0 +1,198 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const rdapExpiry = new Date(Date.now() + 20 * DAY_MS).toISOString();
+
+let rdapServer;
+let whoisServer;
+let registrarWhoisServer;
+let checkDomain;
+let getDomain;
+let evaluateDomainAlerts;
+const rdapRequests = [];
+
+// RDAP: .com has a service, .org points at a dead one, .net has none (WHOIS only)
+function handleRdap(req, res) {
+    const { port } = rdapServer.address();
+    rdapRequests.push(req.url);
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.url === '/dns.json') {
+        return res.end(JSON.stringify({
+            services: [
+                [['com'], [`http://127.0.0.1:${port}/rdap`]],
+                [['org'], ['http://127.0.0.1:1/rdap/']],
+            ],
+        }));
+    }
+    if (req.url === '/rdap/domain/example.com') {
+        return res.end(JSON.stringify({
+            events: [
+                { eventAction: 'registration', eventDate: '2000-01-01T00:00:00Z' },
+                { eventAction: 'expiration', eventDate: rdapExpiry },
+            ],
+            entities: [{
+                roles: ['registrar'],
+                vcardArray: ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', 'Stub Registrar']]],
+            }],
+            nameservers: [{ ldhName: 'NS1.EXAMPLE.COM' }, { ldhName: 'ns2.example.com' }],
+        }));
+    }
+
+    res.statusCode = 404;
+    res.end('{}');
+}
+
+// WHOIS: root referral, registry answers and a registrar referral for .net
+function handleWhois(socket) {
+    socket.on('error', () => {});
+    socket.once('data', (data) => {
+        const query = data.toString().trim();
+        if (query === 'flood.net') {
+            return flood(socket);
+        }
+        const answers = {
+            org: `refer: [::1]:${whoisServer.address().port}\r\n`,
+            net: `whois: [::1]:${whoisServer.address().port}\r\n`,
+            'example.org': [
+                '% Stub registry',
+                'Domain Name: EXAMPLE.ORG',
+                'Registry Expiry Date: 2020-01-01T00:00:00Z',
+                'Registrar: Org Registrar',
+                'Name Server: A.NS.EXAMPLE.ORG',
+                'Name Server: b.ns.example.org.',
+            ].join('\r\n'),
+            'example.net': [
+                'Domain Name: EXAMPLE.NET',
+                `Registrar WHOIS Server: 127.0.0.1:${registrarWhoisServer.address().port}`,
+                'Registrar: Thin Registrar',
+            ].join('\r\n'),
+        };
+        socket.end(answers[query] || '');
+    });
+}
+
+// Answer with an expiry date, then never stop sending
+function flood(socket) {
+    socket.write('Registry Expiry Date: 2099-01-01T00:00:00Z\r\n');
+    const pump = () => {
+        if (socket.destroyed) return;
+        socket.write('%'.repeat(16 * 1024));
+        setImmediate(pump);
+    };
+    pump();
+}
+
+function listen(server, host) {
+    return new Promise((resolve) => server.listen(0, host, resolve));
+}
+
+before(async () => {
+    rdapServer = http.createServer(handleRdap);
+    // Like a real server, keep sending after the client half-closes
+    whoisServer = net.createServer({ allowHalfOpen: true }, handleWhois);
+    registrarWhoisServer = net.createServer((socket) => {
+        socket.once('data', () => socket.end('paid-till: 2099.05.06\r\n'));
+    });
+
+    await listen(rdapServer, '127.0.0.1');
+    await listen(whoisServer, '::1');
+    await listen(registrarWhoisServer, '127.0.0.1');
+
+    // Read when the checker loads
+    process.env.RDAP_BOOTSTRAP_URL = `http://127.0.0.1:${rdapServer.address().port}/dns.json`;
+    process.env.WHOIS_SERVER = `[::1]:${whoisServer.address().port}`;
+    ({ checkDomain, getDomain } = require('../workers/checks/domain'));
+    ({ evaluateDomainAlerts } = require('../workers/domainAlerts'));
+});
+
+after(() => {
+    rdapServer.close();
+    whoisServer.close();
+    registrarWhoisServer.close();
+});
+
+test('looks up the registered domain of a hostname', () => {
+    assert.equal(getDomain({ url: 'api.example.com' }), 'example.com');
+    assert.equal(getDomain({ url: 'https://www.shop.example.co.uk/path' }), 'example.co.uk');
+    assert.equal(getDomain({ url: 'Example.COM.' }), 'example.com');
+    assert.throws(() => getDomain({ url: 'localhost' }), /not a registrable domain/);
+});
+
+test('reads expiry, registrar and nameservers over RDAP', async () => {
+    const result = await checkDomain({ url: 'https://api.example.com/health', timeout: 2000 });
+
+    assert.equal(result.success, true);
+    assert.ok(rdapRequests.includes('/rdap/domain/example.com'));
+    assert.equal(result.domainInfo.source, 'rdap');
+    assert.equal(result.domainInfo.domain, 'example.com');
+    assert.equal(result.domainInfo.expiresAt.toISOString(), rdapExpiry);
+    assert.equal(result.domainInfo.daysRemaining, 20);
+    assert.equal(result.domainInfo.registrar, 'Stub Registrar');
+    assert.deepEqual(result.domainInfo.nameservers, ['ns1.example.com', 'ns2.example.com']);
+});
+
+test('falls back to WHOIS when the RDAP server is unreachable', async () => {
+    const result = await checkDomain({ url: 'example.org', timeout: 2000 });
+
+    assert.equal(result.domainInfo.source, 'whois');
+    assert.equal(result.domainInfo.expiresAt.toISOString(), '2020-01-01T00:00:00.000Z');
+    assert.equal(result.domainInfo.registrar, 'Org Registrar');
+    assert.deepEqual(result.domainInfo.nameservers, ['a.ns.example.org', 'b.ns.example.org']);
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Domain registration expired on 2020-01-01');
+});
+
+test('follows the registrar referral of a thin WHOIS registry', async () => {
+    const result = await checkDomain({ url: 'www.example.net', timeout: 2000 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.domainInfo.source, 'whois');
+    assert.equal(result.domainInfo.registrar, 'Thin Registrar');
+    assert.equal(result.domainInfo.expiresAt.toISOString(), '2099-05-06T00:00:00.000Z');
+});
+
+test('stops reading a WHOIS answer past the size cap', async () => {
+    const started = Date.now();
+    const result = await checkDomain({ url: 'flood.net', timeout: 2000 });
+
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(result.success, true);
+    assert.equal(result.domainInfo.expiresAt.toISOString(), '2099-01-01T00:00:00.000Z');
+});
+
+test('fails when the registry does not know the domain', async () => {
+    const result = await checkDomain({ url: 'missing.com', timeout: 2000 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Domain not found in registry');
+});
+
+test('alerts once per crossed threshold, again after renewal', () => {
+    const expiresAt = new Date(Date.now() + 20 * DAY_MS);
+    const monitor = { domainAlertDays: [30, 14, 7], domainExpiryAlertsSent: [] };
+
+    const first = evaluateDomainAlerts(monitor, { expiresAt, daysRemaining: 20, nameservers: [] });
+    assert.equal(first.expiryAlert, true);
+    assert.deepEqual(first.update.domainExpiryAlertsSent, [30]);
+
+    Object.assign(monitor, first.update);
+    assert.equal(evaluateDomainAlerts(monitor, { expiresAt, daysRemaining: 19 }).expiryAlert, false);
+    assert.equal(evaluateDomainAlerts(monitor, { expiresAt, daysRemaining: 13 }).expiryAlert, true);
+
+    // Renewed: the expiry date moved, thresholds start over
+    const renewed = new Date(Date.now() + 25 * DAY_MS);
+    const afterRenewal = evaluateDomainAlerts(monitor, { expiresAt: renewed, daysRemaining: 25 });
+    assert.equal(afterRenewal.expiryAlert, true);
+    assert.deepEqual(afterRenewal.update.domainExpiryAlertsSent, [30]);
+});
+
+test('does not alert for an expired domain', () => {
+    const monitor = { domainExpiryAlertsSent: [] };
+    const result = evaluateDomainAlerts(monitor, { expiresAt: new Date(Date.now() - DAY_MS), daysRemaining: -1 });
+
+    assert.equal(result.expiryAlert, false);
+});
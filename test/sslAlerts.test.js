@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateSslAlerts } = require('../workers/sslAlerts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function certificate(fingerprint, days) {
+    return { fingerprint, expiresAt: new Date(Date.now() + days * DAY_MS), daysRemaining: days, problems: [] };
+}
+
+function check(monitor, sslInfo) {
+    const result = evaluateSslAlerts(monitor, sslInfo);
+    Object.assign(monitor, result.update, { sslExpiresAt: sslInfo.expiresAt });
+    return result.expiryAlert;
+}
+
+test('alerts once per crossed threshold', () => {
+    const monitor = { sslAlertDays: [30, 14, 7] };
+
+    assert.equal(check(monitor, certificate('a', 20)), true);
+    assert.equal(check(monitor, certificate('a', 19)), false);
+    assert.equal(check(monitor, certificate('a', 13)), true);
+    assert.deepEqual(monitor.sslExpiryAlertsSent, [30, 14]);
+});
+
+test('starts over when the certificate is renewed', () => {
+    const monitor = { sslAlertDays: [30, 14, 7] };
+
+    check(monitor, certificate('old', 10));
+    assert.equal(check(monitor, certificate('new', 90)), false);
+    assert.deepEqual(monitor.sslExpiryAlertsSent, []);
+    assert.equal(check(monitor, certificate('new', 29)), true);
+});
+
+test('does not repeat alerts when a load balancer serves two certificates', () => {
+    const monitor = { sslAlertDays: [30, 14, 7] };
+    const expiring = certificate('a', 10);
+    const fresh = certificate('b', 60);
+
+    const alerts = [expiring, fresh, expiring, fresh, expiring, fresh, expiring]
+        .map((sslInfo) => check(monitor, sslInfo));
+
+    assert.equal(alerts.filter(Boolean).length, 2);
+    assert.deepEqual(alerts.slice(3), [false, false, false, false]);
+});
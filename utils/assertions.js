@@ -0,0 +1,277 @@
+/**
+ * HTTP Assertions
+ * Evaluates per-monitor assertions (status code, response time, headers,
+ * JSONPath values, body regex) against an HTTP response
+ */
+
+const { validatePattern, safeTest } = require('./regex');
+
+const ASSERTION_TYPES = ['statusCode', 'responseTime', 'header', 'jsonPath', 'body'];
+
+// pass/fail read as "<subject> <phrase> <target>"
+const OPERATORS = {
+    equals: { pass: 'equals', fail: 'does not equal' },
+    notEquals: { pass: 'does not equal', fail: 'equals' },
+    contains: { pass: 'contains', fail: 'does not contain' },
+    notContains: { pass: 'does not contain', fail: 'contains' },
+    lessThan: { pass: 'is less than', fail: 'is not less than', numeric: true },
+    greaterThan: { pass: 'is greater than', fail: 'is not greater than', numeric: true },
+    matches: { pass: 'matches', fail: 'does not match', regex: true },
+    notMatches: { pass: 'does not match', fail: 'matches', regex: true },
+    exists: { pass: 'exists', fail: 'does not exist', noTarget: true },
+    notExists: { pass: 'does not exist', fail: 'exists', noTarget: true },
+    inRange: { pass: 'is in', fail: 'is not in' },
+};
+
+const OPERATORS_BY_TYPE = {
+    statusCode: ['equals', 'notEquals', 'lessThan', 'greaterThan', 'inRange'],
+    responseTime: ['lessThan', 'greaterThan'],
+    header: ['equals', 'notEquals', 'contains', 'notContains', 'matches', 'notMatches', 'exists', 'notExists'],
+    jsonPath: ['equals', 'notEquals', 'contains', 'notContains', 'lessThan', 'greaterThan', 'matches', 'notMatches', 'exists', 'notExists'],
+    body: ['contains', 'notContains', 'matches', 'notMatches'],
+};
+
+// "200-299, 301" style status code lists
+const CODE_RANGES_PATTERN = /^\s*\d{3}(\s*-\s*\d{3})?(\s*,\s*\d{3}(\s*-\s*\d{3})?)*\s*$/;
+
+/**
+ * Split a JSONPath like $.data.items[0]['name'] into keys
+ * Throws if the path is not supported
+ */
+function parseJsonPath(path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) {
+        throw new Error(`JSONPath "${path}" must start with $`);
+    }
+
+    const keys = [];
+    const tokenPattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+    tokenPattern.lastIndex = 1;
+
+    while (tokenPattern.lastIndex < path.length) {
+        const match = tokenPattern.exec(path);
+        if (!match) {
+            throw new Error(`Unsupported JSONPath "${path}"`);
+        }
+        keys.push(match[2] !== undefined ? parseInt(match[2], 10) : match[1] ?? match[3] ?? match[4]);
+    }
+
+    return keys;
+}
+
+/**
+ * Read a value from parsed JSON, undefined if any key is missing
+ */
+function getJsonPathValue(data, path) {
+    let value = data;
+    for (const key of parseJsonPath(path)) {
+        if (value === null || typeof value !== 'object' || !(key in value)) {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+function inCodeRanges(code, ranges) {
+    return ranges.split(',').some((range) => {
+        const [from, to = from] = range.split('-').map((part) => parseInt(part, 10));
+        return code >= from && code <= to;
+    });
+}
+
+/**
+ * Validate a list of assertions, returns an error message or null
+ */
+function validateAssertions(assertions) {
+    if (!Array.isArray(assertions)) {
+        return 'Assertions must be an array';
+    }
+
+    for (const [index, assertion] of assertions.entries()) {
+        const label = `Assertion ${index + 1}`;
+        const { type, property, operator, target } = assertion || {};
+
+        if (!ASSERTION_TYPES.includes(type)) {
+            return `${label}: type must be one of ${ASSERTION_TYPES.join(', ')}`;
+        }
+        if (!OPERATORS_BY_TYPE[type].includes(operator)) {
+            return `${label}: operator for ${type} must be one of ${OPERATORS_BY_TYPE[type].join(', ')}`;
+        }
+        if ((type === 'header' || type === 'jsonPath') && !property) {
+            return `${label}: ${type === 'header' ? 'header name' : 'JSONPath'} is required`;
+        }
+        if (type === 'jsonPath') {
+            try {
+                parseJsonPath(property);
+            } catch (err) {
+                return `${label}: ${err.message}`;
+            }
+        }
+
+        const spec = OPERATORS[operator];
+        if (spec.noTarget) continue;
+
+        if (target === undefined || target === null || target === '') {
+            return `${label}: target value is required`;
+        }
+        if ((spec.numeric || (type === 'statusCode' && operator !== 'inRange')) && Number.isNaN(Number(target))) {
+            return `${label}: target must be a number`;
+        }
+        if (operator === 'inRange' && !CODE_RANGES_PATTERN.test(String(target))) {
+            return `${label}: target must be status codes or ranges like "200-299, 301"`;
+        }
+        if (spec.regex) {
+            const patternError = validatePattern(target);
+            if (patternError) {
+                return `${label}: ${patternError}`;
+            }
+        }
+    }
+
+    return null;
+}
+
+function formatValue(value) {
+    if (value === undefined) return 'undefined';
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Compare an actual value with the target using an operator
+ */
+function compare(operator, actual, target) {
+    const text = actual === undefined || actual === null
+        ? ''
+        : typeof actual === 'object' ? JSON.stringify(actual) : String(actual);
+
+    switch (operator) {
+        case 'equals':
+            return actual !== undefined && text === String(target);
+        case 'notEquals':
+            return text !== String(target);
+        case 'contains':
+            return text.includes(String(target));
+        case 'notContains':
+            return !text.includes(String(target));
+        case 'lessThan':
+            return actual !== undefined && actual !== null && Number(actual) < Number(target);
+        case 'greaterThan':
+            return actual !== undefined && actual !== null && Number(actual) > Number(target);
+        // Unsafe or runaway patterns throw, failing the assertion
+        case 'matches':
+            return safeTest(target, text);
+        case 'notMatches':
+            return !safeTest(target, text);
+        case 'exists':
+            return actual !== undefined;
+        case 'notExists':
+            return actual === undefined;
+        case 'inRange':
+            return inCodeRanges(Number(actual), String(target));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Get the value an assertion looks at, and how to describe it
+ */
+function getSubject(assertion, response) {
+    switch (assertion.type) {
+        case 'statusCode':
+            return { actual: response.statusCode, subject: `Status code ${response.statusCode}` };
+
+        case 'responseTime':
+            return { actual: response.responseMs, subject: `Response time ${response.responseMs}ms` };
+
+        case 'header': {
+            const name = assertion.property.toLowerCase();
+            let actual = response.headers?.[name];
+            if (Array.isArray(actual)) actual = actual.join(', ');
+            return {
+                actual,
+                subject: actual === undefined
+                    ? `Header ${name}`
+                    : `Header ${name} (${formatValue(actual)})`,
+            };
+        }
+
+        case 'jsonPath': {
+            let json;
+            try {
+                json = typeof response.body === 'string' ? JSON.parse(response.body) : response.body;
+            } catch {
+                return { actual: undefined, subject: `${assertion.property} (body is not JSON)` };
+            }
+            const actual = getJsonPathValue(json, assertion.property);
+            return {
+                actual,
+                subject: actual === undefined
+                    ? assertion.property
+                    : `${assertion.property} (${formatValue(actual)})`,
+            };
+        }
+
+        case 'body':
+            return { actual: response.body ?? '', subject: 'Body' };
+
+        default:
+            return { actual: undefined, subject: assertion.type };
+    }
+}
+
+/**
+ * Evaluate assertions against a response { statusCode, responseMs, headers, body }
+ * Returns one result per assertion with a pass/fail reason
+ */
+function evaluateAssertions(assertions, response) {
+    return assertions.map((assertion) => {
+        const { type, property, operator, target } = assertion;
+        const spec = OPERATORS[operator];
+        const { actual, subject } = getSubject(assertion, response);
+
+        let passed;
+        try {
+            passed = compare(operator, actual, target);
+        } catch {
+            passed = false;
+        }
+
+        let targetText = '';
+        if (!spec.noTarget) {
+            if (spec.regex) targetText = ` /${target}/`;
+            else if (type === 'responseTime') targetText = ` ${target}ms`;
+            else if (type === 'statusCode') targetText = ` ${target}`;
+            else targetText = ` ${formatValue(String(target))}`;
+        }
+
+        return {
+            type,
+            property,
+            operator,
+            target,
+            passed,
+            actual: actual === undefined || type === 'body' ? undefined : formatValue(actual).slice(0, 200),
+            reason: `${subject} ${passed ? spec.pass : spec.fail}${targetText}`,
+        };
+    });
+}
+
+/**
+ * Describe failed assertions as a single error message, or null if all passed
+ */
+function describeFailures(results) {
+    const failed = results.filter((result) => !result.passed);
+    if (failed.length === 0) return null;
+
+    return `Assertion failed: ${failed.map((result) => result.reason).join('; ')}`;
+}
+
+module.exports = {
+    ASSERTION_TYPES,
+    OPERATORS_BY_TYPE,
+    validateAssertions,
+    evaluateAssertions,
+    describeFailures,
+    getJsonPathValue,
+};
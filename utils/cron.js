@@ -0,0 +1,411 @@
+/**
+ * Cron Expression Helpers
+ * Parses standard five-field cron expressions (optionally with a leading
+ * seconds field or an @daily-style macro) and finds run times in a timezone
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = {
+    second: { label: 'second', min: 0, max: 59 },
+    minute: { label: 'minute', min: 0, max: 59 },
+    hour: { label: 'hour', min: 0, max: 23 },
+    dayOfMonth: { label: 'day-of-month', min: 1, max: 31 },
+    month: { label: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    dayOfWeek: { label: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+};
+
+// Give up searching after this many years (covers Feb 29 schedules)
+const SEARCH_YEARS = 8;
+
+// Parsed schedules by expression
+const scheduleCache = new Map();
+
+/**
+ * Parse a single value, accepting month/day names where allowed
+ */
+function parseValue(value, spec) {
+    const upper = value.toUpperCase();
+    if (spec.names && spec.names.includes(upper)) {
+        return spec.names.indexOf(upper) + spec.offset;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${spec.label} value "${value}"`);
+    }
+
+    const number = parseInt(value, 10);
+    if (number < spec.min || number > spec.max) {
+        throw new Error(`${spec.label} value ${number} is out of range (${spec.min}-${spec.max})`);
+    }
+    return number;
+}
+
+/**
+ * Expand one field (lists, ranges, steps) into a sorted array of values
+ */
+function parseField(field, fieldName) {
+    const spec = FIELDS[fieldName];
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        if (extra !== undefined || range === '') {
+            throw new Error(`Invalid ${spec.label} field "${field}"`);
+        }
+
+        let step = 1;
+        if (stepText !== undefined) {
+            if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+                throw new Error(`Invalid step "${stepText}" in ${spec.label} field`);
+            }
+            step = parseInt(stepText, 10);
+        }
+
+        let start;
+        let end;
+        if (range === '*' || range === '?') {
+            start = spec.min;
+            end = spec.max;
+        } else if (range.includes('-')) {
+            const [from, to, extra] = range.split('-');
+            if (extra !== undefined) {
+                throw new Error(`Invalid range "${range}" in ${spec.label} field`);
+            }
+            start = parseValue(from, spec);
+            end = parseValue(to, spec);
+            if (start > end) {
+                throw new Error(`Invalid range "${range}" in ${spec.label} field`);
+            }
+        } else {
+            start = parseValue(range, spec);
+            // "5/15" means every 15 starting at 5
+            end = stepText !== undefined ? spec.max : start;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // Sunday can be written as 0 or 7
+    if (fieldName === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+
+    return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression into a schedule
+ * Throws an Error describing the problem if the expression is invalid
+ */
+function parseCron(expression) {
+    if (!expression || typeof expression !== 'string') {
+        throw new Error('Cron expression is required');
+    }
+
+    const normalized = expression.trim().replace(/\s+/g, ' ');
+    if (scheduleCache.has(normalized)) {
+        return scheduleCache.get(normalized);
+    }
+
+    let source = normalized;
+    if (source.startsWith('@')) {
+        source = MACROS[source.toLowerCase()];
+        if (!source) {
+            throw new Error(`Unsupported cron macro "${normalized}"`);
+        }
+    }
+
+    const parts = source.split(' ');
+    if (parts.length === 5) {
+        parts.unshift('0');
+    } else if (parts.length !== 6) {
+        throw new Error('Cron expression must have 5 fields (or 6 with seconds)');
+    }
+
+    const [second, minute, hour, dayOfMonth, month, dayOfWeek] = parts;
+
+    const schedule = {
+        seconds: parseField(second, 'second'),
+        minutes: parseField(minute, 'minute'),
+        hours: parseField(hour, 'hour'),
+        daysOfMonth: parseField(dayOfMonth, 'dayOfMonth'),
+        months: parseField(month, 'month'),
+        daysOfWeek: parseField(dayOfWeek, 'dayOfWeek'),
+        // A field starting with * or ? doesn't restrict the day
+        dayOfMonthRestricted: !/^[*?]/.test(dayOfMonth),
+        dayOfWeekRestricted: !/^[*?]/.test(dayOfWeek),
+    };
+
+    scheduleCache.set(normalized, schedule);
+    return schedule;
+}
+
+/**
+ * Validate a cron expression, returns an error message or null
+ */
+function validateCron(expression) {
+    try {
+        parseCron(expression);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Day matching follows classic cron: when both day fields are restricted,
+ * a day matches if either of them does
+ */
+function matchesDay(schedule, year, month, day) {
+    const domMatch = schedule.daysOfMonth.includes(day);
+    const dowMatch = schedule.daysOfWeek.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    if (schedule.dayOfMonthRestricted) return domMatch;
+    if (schedule.dayOfWeekRestricted) return dowMatch;
+    return true;
+}
+
+// First allowed value >= value, or null
+function nextValue(values, value) {
+    return values.find((v) => v >= value) ?? null;
+}
+
+// Last allowed value <= value, or null
+function previousValue(values, value) {
+    for (let i = values.length - 1; i >= 0; i--) {
+        if (values[i] <= value) return values[i];
+    }
+    return null;
+}
+
+/**
+ * Shift wall-clock parts by a number of seconds (calendar arithmetic only)
+ */
+function shiftParts(parts, seconds) {
+    const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second + seconds));
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds(),
+    };
+}
+
+/**
+ * Earliest matching wall-clock time at or after the given parts
+ */
+function findNextParts(schedule, start) {
+    let { year, month, day, hour, minute, second } = start;
+    const lastYear = year + SEARCH_YEARS;
+
+    while (year <= lastYear) {
+        if (day > daysInMonth(year, month) || !schedule.months.includes(month)) {
+            month += 1;
+            if (month > 12) {
+                month = 1;
+                year += 1;
+            }
+            day = 1;
+            hour = minute = second = 0;
+            continue;
+        }
+
+        if (!matchesDay(schedule, year, month, day)) {
+            day += 1;
+            hour = minute = second = 0;
+            continue;
+        }
+
+        const h = nextValue(schedule.hours, hour);
+        if (h === null) {
+            day += 1;
+            hour = minute = second = 0;
+            continue;
+        }
+        if (h !== hour) {
+            hour = h;
+            minute = second = 0;
+        }
+
+        const m = nextValue(schedule.minutes, minute);
+        if (m === null) {
+            ({ year, month, day, hour, minute, second } = shiftParts({ year, month, day, hour, minute: 0, second: 0 }, 3600));
+            continue;
+        }
+        if (m !== minute) {
+            minute = m;
+            second = 0;
+        }
+
+        const s = nextValue(schedule.seconds, second);
+        if (s === null) {
+            ({ year, month, day, hour, minute, second } = shiftParts({ year, month, day, hour, minute, second: 0 }, 60));
+            continue;
+        }
+
+        return { year, month, day, hour, minute, second: s };
+    }
+
+    return null;
+}
+
+/**
+ * Latest matching wall-clock time at or before the given parts
+ */
+function findPreviousParts(schedule, start) {
+    let { year, month, day, hour, minute, second } = start;
+    const firstYear = year - SEARCH_YEARS;
+
+    while (year >= firstYear) {
+        if (day < 1 || !schedule.months.includes(month)) {
+            month -= 1;
+            if (month < 1) {
+                month = 12;
+                year -= 1;
+            }
+            day = daysInMonth(year, month);
+            hour = 23;
+            minute = second = 59;
+            continue;
+        }
+
+        if (!matchesDay(schedule, year, month, day)) {
+            day -= 1;
+            hour = 23;
+            minute = second = 59;
+            continue;
+        }
+
+        const h = previousValue(schedule.hours, hour);
+        if (h === null) {
+            day -= 1;
+            hour = 23;
+            minute = second = 59;
+            continue;
+        }
+        if (h !== hour) {
+            hour = h;
+            minute = second = 59;
+        }
+
+        const m = previousValue(schedule.minutes, minute);
+        if (m === null) {
+            ({ year, month, day, hour, minute, second } = shiftParts({ year, month, day, hour, minute: 0, second: 0 }, -1));
+            continue;
+        }
+        if (m !== minute) {
+            minute = m;
+            second = 59;
+        }
+
+        const s = previousValue(schedule.seconds, second);
+        if (s === null) {
+            ({ year, month, day, hour, minute, second } = shiftParts({ year, month, day, hour, minute, second: 0 }, -1));
+            continue;
+        }
+
+        return { year, month, day, hour, minute, second: s };
+    }
+
+    return null;
+}
+
+/**
+ * Convert wall-clock parts to a Date, or null if the time doesn't exist
+ * in the timezone (skipped by a DST change)
+ */
+function toDate(parts, timezone) {
+    const date = zonedTimeToUtc(parts, timezone);
+    const check = getZonedParts(date, timezone);
+    return check.hour === parts.hour && check.minute === parts.minute && check.day === parts.day
+        ? date
+        : null;
+}
+
+/**
+ * Next run strictly after a date
+ */
+function getNextRun(expression, timezone = 'UTC', after = new Date()) {
+    const schedule = parseCron(expression);
+    let parts = shiftParts(getZonedParts(after, timezone), 1);
+
+    for (;;) {
+        const match = findNextParts(schedule, parts);
+        if (!match) return null;
+
+        const date = toDate(match, timezone);
+        if (date && date > after) return date;
+
+        parts = shiftParts(match, 1);
+    }
+}
+
+/**
+ * Most recent run at or before a date
+ */
+function getPreviousRun(expression, timezone = 'UTC', before = new Date()) {
+    const schedule = parseCron(expression);
+    let parts = getZonedParts(before, timezone);
+
+    for (;;) {
+        const match = findPreviousParts(schedule, parts);
+        if (!match) return null;
+
+        const date = toDate(match, timezone);
+        if (date && date <= before) return date;
+
+        parts = shiftParts(match, -1);
+    }
+}
+
+/**
+ * Next N runs after a date
+ */
+function getNextRuns(expression, timezone = 'UTC', count = 5, after = new Date()) {
+    const runs = [];
+    let cursor = after;
+
+    while (runs.length < count) {
+        const next = getNextRun(expression, timezone, cursor);
+        if (!next) break;
+        runs.push(next);
+        cursor = next;
+    }
+
+    return runs;
+}
+
+module.exports = {
+    MACROS,
+    parseCron,
+    validateCron,
+    getNextRun,
+    getPreviousRun,
+    getNextRuns,
+};
@@ -0,0 +1,168 @@
+/**
+ * DER Encoding
+ * Just enough ASN.1 DER reading/writing for certificates and OCSP messages
+ */
+
+const TAGS = {
+    INTEGER: 0x02,
+    BIT_STRING: 0x03,
+    OCTET_STRING: 0x04,
+    NULL: 0x05,
+    OID: 0x06,
+    ENUMERATED: 0x0a,
+    GENERALIZED_TIME: 0x18,
+    SEQUENCE: 0x30,
+};
+
+/**
+ * Read the element at the start of a buffer
+ * Returns { tag, value, raw } where raw is the whole element (header included)
+ */
+function read(buffer) {
+    if (!buffer || buffer.length < 2) {
+        throw new Error('Invalid DER: truncated element');
+    }
+
+    const tag = buffer[0];
+    let length = buffer[1];
+    let headerLength = 2;
+
+    if (length & 0x80) {
+        const lengthBytes = length & 0x7f;
+        if (lengthBytes === 0 || lengthBytes > 4) {
+            throw new Error('Invalid DER: unsupported length');
+        }
+        length = 0;
+        for (let i = 0; i < lengthBytes; i++) {
+            length = length * 256 + buffer[2 + i];
+        }
+        headerLength += lengthBytes;
+    }
+
+    if (headerLength + length > buffer.length) {
+        throw new Error('Invalid DER: truncated element');
+    }
+
+    return {
+        tag,
+        value: buffer.subarray(headerLength, headerLength + length),
+        raw: buffer.subarray(0, headerLength + length),
+    };
+}
+
+/**
+ * Read the elements inside a constructed element (SEQUENCE, [n] ...)
+ */
+function children(element) {
+    const list = [];
+    let rest = element.value;
+
+    while (rest.length > 0) {
+        const child = read(rest);
+        list.push(child);
+        rest = rest.subarray(child.raw.length);
+    }
+
+    return list;
+}
+
+/**
+ * Decode an OBJECT IDENTIFIER value to dotted form
+ */
+function decodeOid(value) {
+    const arcs = [Math.floor(value[0] / 40), value[0] % 40];
+    let arc = 0;
+
+    for (const byte of value.subarray(1)) {
+        arc = arc * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) {
+            arcs.push(arc);
+            arc = 0;
+        }
+    }
+
+    return arcs.join('.');
+}
+
+/**
+ * Decode a GeneralizedTime value (YYYYMMDDHHMMSS[.fff]Z) to a Date
+ */
+function decodeGeneralizedTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/.exec(value.toString('latin1'));
+    if (!match) {
+        throw new Error('Invalid DER: unsupported GeneralizedTime');
+    }
+
+    const [, year, month, day, hour, minute, second, fraction = ''] = match;
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${fraction}Z`);
+}
+
+/**
+ * Encode an element from its tag and contents
+ */
+function encode(tag, ...contents) {
+    const value = Buffer.concat(contents);
+    const length = value.length;
+
+    let header;
+    if (length < 0x80) {
+        header = Buffer.from([tag, length]);
+    } else {
+        const bytes = [];
+        for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+            bytes.unshift(rest % 256);
+        }
+        header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+    }
+
+    return Buffer.concat([header, value]);
+}
+
+/**
+ * Encode a dotted OBJECT IDENTIFIER
+ */
+function encodeOid(oid) {
+    const [first, second, ...rest] = oid.split('.').map(Number);
+    const bytes = [first * 40 + second];
+
+    for (const arc of rest) {
+        const arcBytes = [arc & 0x7f];
+        for (let value = Math.floor(arc / 128); value > 0; value = Math.floor(value / 128)) {
+            arcBytes.unshift((value & 0x7f) | 0x80);
+        }
+        bytes.push(...arcBytes);
+    }
+
+    return encode(TAGS.OID, Buffer.from(bytes));
+}
+
+/**
+ * Fields of an X.509 certificate needed for OCSP and algorithm checks
+ * (all returned as DER elements)
+ */
+function parseCertificate(der) {
+    const [tbsCertificate, signatureAlgorithm] = children(read(der));
+    const fields = children(tbsCertificate);
+
+    // The version field ([0]) is optional
+    const offset = fields[0].tag === 0xa0 ? 1 : 0;
+
+    return {
+        serialNumber: fields[offset],
+        issuer: fields[offset + 2],
+        subject: fields[offset + 4],
+        subjectPublicKeyInfo: fields[offset + 5],
+        signatureAlgorithm: decodeOid(children(signatureAlgorithm)[0].value),
+    };
+}
+
+module.exports = {
+    TAGS,
+    read,
+    children,
+    decodeOid,
+    decodeGeneralizedTime,
+    encode,
+    encodeOid,
+    parseCertificate,
+};
@@ -0,0 +1,63 @@
+/**
+ * Secret Encryption
+ * AES-256-GCM for credentials stored in the database (monitor auth settings)
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+let cachedKey = null;
+
+/**
+ * 32-byte key from ENCRYPTION_KEY (falls back to JWT_SECRET)
+ */
+function getKey() {
+    if (!cachedKey) {
+        const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+        if (!secret) {
+            throw new Error('ENCRYPTION_KEY is not configured');
+        }
+        cachedKey = crypto.createHash('sha256').update(secret).digest();
+    }
+    return cachedKey;
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a string, returns "enc:v1:<iv>:<tag>:<data>" (base64 parts)
+ */
+function encrypt(value) {
+    if (value === undefined || value === null || value === '' || isEncrypted(value)) {
+        return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${data.toString('base64')}`;
+}
+
+/**
+ * Decrypt a value produced by encrypt(), plain values are returned as-is
+ * Throws if the value was encrypted with another key or was tampered with
+ */
+function decrypt(value) {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const [iv, tag, data] = value.slice(PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt, isEncrypted };
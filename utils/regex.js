@@ -0,0 +1,142 @@
+/**
+ * User Regular Expressions
+ * Patterns from monitor settings run against response bodies in the worker,
+ * so they're checked for catastrophic backtracking when saved and run with
+ * a size cap and time limit when matched
+ */
+
+const vm = require('vm');
+
+const MAX_PATTERN_LENGTH = 1000;
+// Only the start of large bodies is searched
+const MAX_TEXT_LENGTH = 256 * 1024;
+const MATCH_TIMEOUT_MS = 50;
+
+// Matching runs in its own context so a runaway pattern can be interrupted
+const context = vm.createContext({});
+const execScript = new vm.Script('pattern.exec(text)');
+
+// Quantifier kinds, ordered so the larger one wins when combined
+const NONE = 0;
+const BOUNDED = 1;
+const UNBOUNDED = 2;
+
+/**
+ * Kind of repetition at position i: UNBOUNDED for *, + and {n,}, BOUNDED for
+ * {n} and {n,m} repeating more than once, NONE otherwise (including ?)
+ */
+function quantifierAt(pattern, i) {
+    const char = pattern[i];
+    if (char === '*' || char === '+') return UNBOUNDED;
+
+    const match = char === '{' && /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (!match) return NONE;
+    if (match[2] && match[3] === '') return UNBOUNDED;
+    return Number(match[3] || match[1]) > 1 ? BOUNDED : NONE;
+}
+
+/**
+ * Detect a repeated group whose iterations can match the same text in many
+ * ways: one containing an alternation, e.g. (a|aa)*, or a quantifier, e.g.
+ * (a+)+ or (.*a){20}. A bounded quantifier inside a bounded repeat, like
+ * (\d{1,3}\.){3}, is fine.
+ */
+function hasNestedQuantifier(pattern) {
+    // One entry per open group: the largest quantifier inside it and whether it has an alternation
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const group = groups[groups.length - 1];
+
+        if (char === '\\') {
+            i += 1;
+        } else if (inClass) {
+            if (char === ']') inClass = false;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push({ inner: NONE, alternation: false });
+        } else if (char === ')') {
+            const closed = groups.pop();
+            const repeat = quantifierAt(pattern, i + 1);
+            if (repeat !== NONE && (closed.alternation || closed.inner === UNBOUNDED ||
+                (closed.inner === BOUNDED && repeat === UNBOUNDED))) {
+                return true;
+            }
+            if (groups.length) {
+                const parent = groups[groups.length - 1];
+                parent.inner = Math.max(parent.inner, closed.inner, repeat);
+                parent.alternation = parent.alternation || closed.alternation;
+            }
+        } else if (group && char === '|') {
+            group.alternation = true;
+        } else if (group) {
+            group.inner = Math.max(group.inner, quantifierAt(pattern, i));
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Validate a user pattern, returns an error message or null
+ */
+function validatePattern(pattern) {
+    if (typeof pattern !== 'string') {
+        return 'regular expression must be a string';
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        return `regular expression is longer than ${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+        new RegExp(pattern);
+    } catch {
+        return 'invalid regular expression';
+    }
+    if (hasNestedQuantifier(pattern)) {
+        return 'regular expression has nested quantifiers or a repeated alternation, like (a+)+ or (a|aa)*, that can take exponential time';
+    }
+    return null;
+}
+
+/**
+ * Run a user pattern against text, like RegExp.prototype.exec
+ * Throws if the pattern is unsafe or runs past the time limit
+ */
+function safeExec(pattern, text, flags = '') {
+    const error = validatePattern(pattern);
+    if (error) {
+        throw new Error(`Unsafe pattern: ${error}`);
+    }
+
+    context.pattern = new RegExp(pattern, flags);
+    context.text = String(text).slice(0, MAX_TEXT_LENGTH);
+
+    try {
+        return execScript.runInContext(context, { timeout: MATCH_TIMEOUT_MS });
+    } catch (err) {
+        if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            throw new Error(`Regular expression took longer than ${MATCH_TIMEOUT_MS}ms`);
+        }
+        throw err;
+    } finally {
+        context.pattern = null;
+        context.text = null;
+    }
+}
+
+/**
+ * Whether a user pattern matches text (see safeExec)
+ */
+function safeTest(pattern, text, flags = '') {
+    return safeExec(pattern, text, flags) !== null;
+}
+
+module.exports = {
+    MAX_TEXT_LENGTH,
+    validatePattern,
+    safeExec,
+    safeTest,
+};
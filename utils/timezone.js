@@ -0,0 +1,94 @@
+/**
+ * Timezone Helpers
+ * Wall-clock conversions for IANA timezones using the built-in Intl API
+ */
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Intl formatters are expensive to build, keep one per timezone
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * Check if a string is a valid IANA timezone (e.g. "Europe/Berlin")
+ */
+function isValidTimezone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * Month is 1-12, weekday is 0 (Sunday) - 6 (Saturday)
+ */
+function getZonedParts(date, timeZone = 'UTC') {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: WEEKDAYS[parts.weekday],
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(date, timeZone = 'UTC') {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ * Out-of-range fields roll over like Date.UTC (day 0 = last day of previous month)
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = 'UTC') {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = getTimezoneOffset(new Date(guess), timeZone);
+    let result = guess - offset;
+
+    // Re-check once in case the guess landed on the other side of a DST change
+    const correctedOffset = getTimezoneOffset(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+        result = guess - correctedOffset;
+    }
+
+    return new Date(result);
+}
+
+module.exports = {
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc,
+};
@@ -5,16 +5,17 @@
 
 const { Worker } = require('bullmq');
 const { redisConfig } = require('../config/redis');
-const { QUEUES, addMonitorCheckJob, addAlertJob, addIncidentJob } = require('../config/queue');
+const { QUEUES, addMonitorCheckJob, addIncidentJob } = require('../config/queue');
 const { performCheck } = require('./checks');
+const { processCheckResult } = require('./checkResult');
 const Monitor = require('../models/Monitor');
-const MonitorHistory = require('../models/MonitorHistory');
-const Incident = require('../models/Incident');
-const Team = require('../models/Team');
+const escalation = require('../services/alerts/escalation');
 
 // Track active workers for graceful shutdown
 let monitorWorker = null;
+let sslWorker = null;
 let alertWorker = null;
+let escalationWorker = null;
 
 /**
  * Initialize all workers
@@ -47,6 +48,30 @@ async function initializeWorkers() {
         console.error(`❌ Job ${job.id} failed:`, err.message);
     });
 
+    // SSL monitor worker (daily-ish certificate checks, kept off the main queue)
+    sslWorker = new Worker(
+        QUEUES.SSL_CHECKS,
+        async (job) => {
+            await processMonitorCheck(job.data);
+        },
+        {
+            connection: redisConfig,
+            concurrency: 5,
+        }
+    );
+
+    sslWorker.on('completed', (job) => {
+        scheduleNextCheck(job.data);
+    });
+
+    sslWorker.on('failed', (job, err) => {
+        console.error(`❌ SSL job ${job.id} failed:`, err.message);
+        // Retries are still pending until the last attempt
+        if (job.attemptsMade >= (job.opts.attempts || 1)) {
+            scheduleNextCheck(job.data);
+        }
+    });
+
     // Alert worker
     alertWorker = new Worker(
         QUEUES.ALERTS,
@@ -59,6 +84,22 @@ async function initializeWorkers() {
         }
     );
 
+    // Escalation worker (delayed jobs, one per policy level)
+    escalationWorker = new Worker(
+        QUEUES.ESCALATIONS,
+        async (job) => {
+            await escalation.processEscalation(job.data);
+        },
+        {
+            connection: redisConfig,
+            concurrency: 5,
+        }
+    );
+
+    escalationWorker.on('failed', (job, err) => {
+        console.error(`❌ Escalation job ${job.id} failed:`, err.message);
+    });
+
     // Load existing monitors into queue
     await loadMonitorsIntoQueue();
 
@@ -102,213 +143,17 @@ async function scheduleNextCheck(monitorData) {
  * Process a monitor check
  */
 async function processMonitorCheck(data) {
-    const { monitorId, teamId } = data;
-
     try {
         // Perform the check
         const result = await performCheck(data);
 
-        const { success, responseMs, error, statusCode, sslInfo } = result;
-        const newStatus = success ? 'up' : 'down';
-
-        // Get current monitor state
-        const monitor = await Monitor.findById(monitorId);
-        if (!monitor) {
-            console.warn(`Monitor ${monitorId} not found`);
-            return;
-        }
-
-        const previousStatus = monitor.lastStatus;
-        const statusChanged = previousStatus !== newStatus && previousStatus !== 'pending';
-
-        // Update consecutive failures
-        let consecutiveFailures = monitor.consecutiveFailures || 0;
-        if (success) {
-            consecutiveFailures = 0;
-        } else {
-            consecutiveFailures += 1;
-        }
-
-        // Update monitor
-        const updateData = {
-            lastStatus: newStatus,
-            lastChecked: new Date(),
-            lastResponseMs: responseMs,
-            lastError: error,
-            consecutiveFailures,
-            totalChecks: (monitor.totalChecks || 0) + 1,
-        };
-
-        // Update SSL info if available
-        if (sslInfo) {
-            updateData.sslExpiresAt = sslInfo.expiresAt;
-            updateData.sslDaysRemaining = sslInfo.daysRemaining;
-            updateData.sslIssuer = sslInfo.issuer;
-        }
-
-        await Monitor.findByIdAndUpdate(monitorId, updateData);
-
-        // Save history
-        await MonitorHistory.create({
-            monitorId,
-            success,
-            statusCode,
-            responseMs,
-            error,
-            checkedAt: new Date(),
-        });
-
-        // Log result
-        const emoji = success ? '🟢' : '🔴';
-        console.log(
-            `${emoji} [${new Date().toLocaleTimeString()}] ${data.url || data.type} - ${newStatus.toUpperCase()} (${responseMs}ms)${error ? ` - ${error}` : ''}`
-        );
-
-        // Handle alerts and incidents
-        await handleStatusChange({
-            monitor,
-            previousStatus,
-            newStatus,
-            statusChanged,
-            consecutiveFailures,
-            error,
-            responseMs,
-            teamId,
-        });
-
-        // Check SSL expiry alerts
-        if (sslInfo && sslInfo.daysRemaining <= 30) {
-            await handleSslExpiryAlert(monitor, sslInfo, teamId);
-        }
-
+        await processCheckResult(data.monitorId, result);
     } catch (err) {
-        console.error(`Check failed for ${monitorId}:`, err);
+        console.error(`Check failed for ${data.monitorId}:`, err);
         throw err;
     }
 }
 
-/**
- * Handle status changes - create incidents and send alerts
- */
-async function handleStatusChange(params) {
-    const {
-        monitor,
-        previousStatus,
-        newStatus,
-        statusChanged,
-        consecutiveFailures,
-        error,
-        responseMs,
-        teamId,
-    } = params;
-
-    // Get team for alerts
-    const team = await Team.findById(teamId);
-    const teamName = team?.name || 'Unknown Team';
-
-    // Monitor went DOWN
-    if (newStatus === 'down' && consecutiveFailures === (monitor.alertAfterFailures || 1)) {
-        console.log(`🚨 ALERT: ${monitor.name} went DOWN`);
-
-        // Create incident
-        const incident = await Incident.create({
-            teamId,
-            monitorId: monitor._id,
-            title: `${monitor.name} is down`,
-            description: error || 'Monitor is not responding',
-            status: 'investigating',
-            severity: 'major',
-            type: 'auto',
-            timeline: [{
-                status: 'investigating',
-                message: `Detected: ${error || 'Monitor stopped responding'}`,
-            }],
-        });
-
-        // Link incident to monitor
-        await Monitor.findByIdAndUpdate(monitor._id, {
-            currentIncidentId: incident._id,
-        });
-
-        // Queue alert
-        await addAlertJob({
-            type: 'down',
-            teamId: teamId.toString(),
-            monitorId: monitor._id.toString(),
-            monitorName: monitor.name,
-            url: monitor.url,
-            error,
-            teamName,
-        });
-    }
-
-    // Monitor RECOVERED
-    if (statusChanged && newStatus === 'up' && previousStatus === 'down') {
-        console.log(`✅ RECOVERY: ${monitor.name} is back UP`);
-
-        // Resolve incident
-        if (monitor.currentIncidentId) {
-            const incident = await Incident.findById(monitor.currentIncidentId);
-            if (incident && incident.status !== 'resolved') {
-                incident.status = 'resolved';
-                incident.resolvedAt = new Date();
-                incident.duration = new Date() - incident.startedAt;
-                incident.timeline.push({
-                    status: 'resolved',
-                    message: `Automatically resolved - Monitor is back online`,
-                });
-                await incident.save();
-            }
-
-            // Clear incident from monitor
-            await Monitor.findByIdAndUpdate(monitor._id, {
-                currentIncidentId: null,
-            });
-        }
-
-        // Calculate downtime duration
-        const startTime = monitor.currentIncidentId
-            ? (await Incident.findById(monitor.currentIncidentId))?.startedAt
-            : null;
-        const downtimeDuration = startTime ? Date.now() - startTime : null;
-
-        // Queue recovery alert
-        await addAlertJob({
-            type: 'up',
-            teamId: teamId.toString(),
-            monitorId: monitor._id.toString(),
-            monitorName: monitor.name,
-            url: monitor.url,
-            responseMs,
-            teamName,
-            downtimeDuration,
-        });
-    }
-}
-
-/**
- * Handle SSL expiry alerts
- */
-async function handleSslExpiryAlert(monitor, sslInfo, teamId) {
-    const team = await Team.findById(teamId);
-    const teamName = team?.name || 'Unknown Team';
-
-    // Only alert at specific thresholds: 30, 14, 7, 3, 1 days
-    const alertDays = [30, 14, 7, 3, 1];
-    if (alertDays.includes(sslInfo.daysRemaining)) {
-        await addAlertJob({
-            type: 'sslExpiry',
-            teamId: teamId.toString(),
-            monitorId: monitor._id.toString(),
-            monitorName: monitor.name,
-            url: monitor.url,
-            daysRemaining: sslInfo.daysRemaining,
-            expiryDate: sslInfo.expiresAt,
-            teamName,
-        });
-    }
-}
-
 /**
  * Process an alert job
  */
@@ -333,9 +178,15 @@ async function shutdownWorkers() {
     if (monitorWorker) {
         await monitorWorker.close();
     }
+    if (sslWorker) {
+        await sslWorker.close();
+    }
     if (alertWorker) {
         await alertWorker.close();
     }
+    if (escalationWorker) {
+        await escalationWorker.close();
+    }
 
     console.log('Workers shut down');
 }
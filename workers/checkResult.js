@@ -0,0 +1,425 @@
+/**
+ * Check Result Pipeline
+ * Shared by both worker engines and pushed heartbeat/cronjob results:
+ * status evaluation, monitor update, history, socket events, incidents and alerts
+ */
+
+const Monitor = require('../models/Monitor');
+const MonitorHistory = require('../models/MonitorHistory');
+const Incident = require('../models/Incident');
+const Team = require('../models/Team');
+const Maintenance = require('../models/Maintenance');
+const escalation = require('../services/alerts/escalation');
+const socketService = require('../services/socketService');
+const { describeLastPayload } = require('./checks/heartbeat');
+const { evaluateDegraded, openDegradedIncident, closeDegradedIncident } = require('./degraded');
+const { evaluateSslAlerts, recordCertificate } = require('./sslAlerts');
+const { evaluateDomainAlerts } = require('./domainAlerts');
+const { evaluateDnsChange } = require('./dnsAlerts');
+
+const USE_BULLMQ = process.env.USE_BULLMQ === 'true';
+
+/**
+ * Send an alert, queued with BullMQ or directly with the in-memory engine
+ */
+async function dispatchAlert(teamId, type, data) {
+    if (USE_BULLMQ) {
+        const { addAlertJob } = require('../config/queue');
+        await addAlertJob({ type, teamId: teamId.toString(), ...data });
+        return;
+    }
+
+    const alertService = require('../services/alerts');
+    await alertService.sendAlert(teamId, type, data);
+}
+
+/**
+ * Apply a check result: update the monitor, save history, handle incidents
+ * Returns the new status details (null if the monitor no longer exists)
+ */
+async function processCheckResult(monitorId, result) {
+    const { success, responseMs, error, statusCode, sslInfo, domainInfo, assertions, steps, timings, ping, dns } = result;
+
+    // Get current monitor state
+    const monitor = await Monitor.findById(monitorId);
+    if (!monitor) {
+        console.warn(`Monitor ${monitorId} not found`);
+        return null;
+    }
+    const teamId = monitor.teamId;
+
+    // Passing checks over a warn threshold count as degraded
+    const { slowChecks, reason: degradedReason } = evaluateDegraded(monitor, result, monitor.consecutiveSlowChecks);
+
+    // Checks still run during maintenance, but failures don't count
+    let maintenance = null;
+    try {
+        maintenance = await Maintenance.findActiveForMonitor(monitor._id, teamId);
+    } catch (err) {
+        console.error('Maintenance lookup error:', err.message);
+    }
+
+    let newStatus = success ? 'up' : 'down';
+    if (maintenance) newStatus = 'maintenance';
+    else if (degradedReason) newStatus = 'degraded';
+
+    const previousStatus = monitor.lastStatus;
+    const statusChanged = previousStatus !== newStatus && previousStatus !== 'pending';
+
+    // Update consecutive failures (failures during maintenance don't count)
+    let consecutiveFailures = monitor.consecutiveFailures || 0;
+    if (success) {
+        consecutiveFailures = 0;
+    } else if (!maintenance) {
+        consecutiveFailures += 1;
+    }
+
+    // Update monitor
+    const updateData = {
+        lastStatus: newStatus,
+        lastChecked: new Date(),
+        lastResponseMs: responseMs,
+        lastError: error || degradedReason,
+        consecutiveFailures,
+        consecutiveSlowChecks: slowChecks,
+        totalChecks: (monitor.totalChecks || 0) + 1,
+    };
+
+    // Update SSL info if available, with the alert state for its thresholds/problems
+    let sslAlerts = null;
+    if (sslInfo) {
+        sslAlerts = evaluateSslAlerts(monitor, sslInfo);
+        updateData.sslExpiresAt = sslInfo.expiresAt;
+        updateData.sslDaysRemaining = sslInfo.daysRemaining;
+        updateData.sslIssuer = sslInfo.issuer;
+        Object.assign(updateData, sslAlerts.update);
+    }
+
+    // Domain registration details and expiry thresholds
+    let domainAlerts = null;
+    if (domainInfo) {
+        domainAlerts = evaluateDomainAlerts(monitor, domainInfo);
+        Object.assign(updateData, domainAlerts.update);
+    }
+
+    // Resolved DNS records, compared with the last known set
+    const dnsChange = dns ? evaluateDnsChange(monitor, dns.records) : null;
+    if (dns) {
+        updateData.dnsLastRecords = dns.records;
+        updateData.dnssecStatus = dns.dnssec;
+        if (dnsChange) updateData.dnsLastChangedAt = new Date();
+    }
+
+    await Monitor.findByIdAndUpdate(monitor._id, updateData);
+
+    // Save history
+    await MonitorHistory.create({
+        monitorId: monitor._id,
+        success,
+        statusCode,
+        responseMs,
+        error,
+        assertions,
+        steps,
+        timings,
+        ping,
+        dns,
+        checkedAt: new Date(),
+    });
+
+    // Log result
+    const emoji = maintenance ? '🔧' : success ? '🟢' : '🔴';
+    console.log(
+        `${emoji} [${new Date().toLocaleTimeString()}] ${monitor.url || monitor.type} - ${newStatus.toUpperCase()} (${responseMs}ms)${error ? ` - ${error}` : ''}`
+    );
+
+    // Emit check event
+    socketService.emitToTeam(teamId, 'monitor_check', {
+        monitorId: monitor._id,
+        success,
+        responseMs,
+        timings,
+        checkedAt: new Date(),
+        error,
+    });
+
+    // Handle alerts and incidents
+    await handleStatusChange({
+        monitor,
+        previousStatus,
+        newStatus,
+        statusChanged,
+        consecutiveFailures,
+        error,
+        degradedReason,
+        responseMs,
+        teamId,
+    });
+
+    // SSL expiry and certificate problem alerts
+    if (sslAlerts) {
+        // ssl monitors keep a certificate history and watch for rotation
+        if (monitor.type === 'ssl') {
+            const rotation = await recordCertificate(monitor, sslInfo);
+            if (rotation?.unexpected && monitor.sslAlertOnRotation !== false) {
+                sslAlerts.newProblems.push({
+                    code: 'unexpected_rotation',
+                    message: `Certificate replaced ${Math.ceil((rotation.previous.expiresAt - new Date()) / (1000 * 60 * 60 * 24))} days before expiry (new issuer: ${rotation.current.issuer})`,
+                });
+            }
+        }
+
+        await handleSslAlerts(monitor, sslInfo, sslAlerts, teamId);
+    }
+
+    // Domain expiry alert
+    if (domainAlerts?.expiryAlert) {
+        const team = await Team.findById(teamId);
+
+        await dispatchAlert(teamId, 'domainExpiry', {
+            monitorId: monitor._id.toString(),
+            monitorName: monitor.name,
+            url: domainInfo.domain,
+            daysRemaining: domainInfo.daysRemaining,
+            expiryDate: domainInfo.expiresAt,
+            registrar: domainInfo.registrar,
+            teamName: team?.name || 'Unknown Team',
+        });
+    }
+
+    // DNS record change alert
+    if (dnsChange && monitor.dnsAlertOnChange) {
+        console.log(`🔀 DNS CHANGED: ${monitor.name} - ${dnsChange.previous.join(', ')} → ${dnsChange.current.join(', ')}`);
+
+        const team = await Team.findById(teamId);
+
+        await dispatchAlert(teamId, 'dnsChanged', {
+            monitorId: monitor._id.toString(),
+            monitorName: monitor.name,
+            url: monitor.url,
+            recordType: monitor.dnsRecordType || 'A',
+            previous: dnsChange.previous,
+            current: dnsChange.current,
+            teamName: team?.name || 'Unknown Team',
+        });
+    }
+
+    return {
+        previousStatus,
+        newStatus,
+        statusChanged,
+        consecutiveFailures,
+        slowChecks,
+    };
+}
+
+/**
+ * Handle status changes - create incidents and send alerts
+ */
+async function handleStatusChange(params) {
+    const {
+        monitor,
+        previousStatus,
+        newStatus,
+        statusChanged,
+        consecutiveFailures,
+        error,
+        degradedReason,
+        responseMs,
+        teamId,
+    } = params;
+
+    // No incidents or alerts while a maintenance window is active
+    if (newStatus === 'maintenance') {
+        if (statusChanged) {
+            console.log(`🔧 MAINTENANCE: ${monitor.name} is under maintenance`);
+
+            socketService.emitToTeam(teamId, 'monitor_status_changed', {
+                monitorId: monitor._id,
+                status: 'maintenance',
+            });
+        }
+        return;
+    }
+
+    // Get team for alerts
+    const team = await Team.findById(teamId);
+    const teamName = team?.name || 'Unknown Team';
+
+    // Monitor went DOWN
+    // Trigger if:
+    // 1. Just reached the failure threshold
+    // 2. OR is already down (past threshold) but has no active incident (e.g. missed due to restart/bug)
+    const isThresholdReached = consecutiveFailures === (monitor.alertAfterFailures || 1);
+    const isAlreadyDownMissingIncident = newStatus === 'down' &&
+        consecutiveFailures > (monitor.alertAfterFailures || 1) &&
+        !monitor.currentIncidentId;
+
+    if ((newStatus === 'down' && isThresholdReached) || isAlreadyDownMissingIncident) {
+        console.log(`🚨 ALERT: ${monitor.name} is DOWN (Incident created)`);
+
+        // The down incident replaces an open degraded one
+        await closeDegradedIncident(monitor);
+
+        // Create incident
+        const incident = await Incident.create({
+            teamId,
+            monitorId: monitor._id,
+            title: `${monitor.name} is down`,
+            description: error || 'Monitor is not responding',
+            status: 'investigating',
+            severity: 'major',
+            type: 'auto',
+            timeline: [{
+                status: 'investigating',
+                message: `Detected: ${error || 'Monitor stopped responding'}`,
+            }],
+        });
+
+        // Link incident to monitor
+        await Monitor.findByIdAndUpdate(monitor._id, {
+            currentIncidentId: incident._id,
+        });
+
+        const alert = {
+            monitorId: monitor._id.toString(),
+            incidentId: incident._id.toString(),
+            monitorName: monitor.name,
+            url: monitor.url,
+            error,
+            teamName,
+        };
+
+        // Include what a heartbeat monitor last reported
+        const lastPayload = monitor.type === 'heartbeat' ? describeLastPayload(monitor) : null;
+        if (lastPayload) {
+            alert.error = `${error}\n${lastPayload}`;
+            alert.lastPayload = monitor.lastHeartbeatPayload;
+        }
+
+        // Escalation policy takes over alerting, otherwise send a single alert
+        const escalated = await escalation.startEscalation(incident, monitor, alert);
+        if (!escalated) {
+            await dispatchAlert(teamId, 'down', alert);
+        }
+
+        // Emit status change event
+        socketService.emitToTeam(teamId, 'monitor_status_changed', {
+            monitorId: monitor._id,
+            status: 'down',
+            incidentId: incident._id,
+        });
+    }
+
+    // Monitor RECOVERED (also when coming out of maintenance with an open incident,
+    // or back to normal from degraded)
+    const recovered = previousStatus === 'down' || previousStatus === 'degraded' ||
+        (previousStatus === 'maintenance' && monitor.currentIncidentId);
+
+    if (statusChanged && (newStatus === 'up' || newStatus === 'degraded') && recovered) {
+        console.log(`✅ RECOVERY: ${monitor.name} is back UP`);
+
+        // Resolve incident
+        let downtimeDuration = null;
+        let recoveryChannelIds;
+        if (monitor.currentIncidentId) {
+            const incident = await Incident.findById(monitor.currentIncidentId);
+            if (incident) {
+                await escalation.stopEscalation(incident);
+                recoveryChannelIds = escalation.getRecoveryChannelIds(incident);
+            }
+            if (incident && incident.status !== 'resolved') {
+                incident.status = 'resolved';
+                incident.resolvedAt = new Date();
+                incident.duration = new Date() - incident.startedAt;
+                incident.timeline.push({
+                    status: 'resolved',
+                    message: `Automatically resolved - Monitor is back online`,
+                });
+                await incident.save();
+                downtimeDuration = incident.duration;
+            }
+
+            // Clear incident from monitor
+            await Monitor.findByIdAndUpdate(monitor._id, {
+                currentIncidentId: null,
+            });
+        }
+
+        // Send recovery alert
+        await dispatchAlert(teamId, 'up', {
+            monitorId: monitor._id.toString(),
+            monitorName: monitor.name,
+            url: monitor.url,
+            responseMs,
+            teamName,
+            downtimeDuration,
+            channelIds: recoveryChannelIds,
+        });
+
+        // Emit status change event
+        socketService.emitToTeam(teamId, 'monitor_status_changed', {
+            monitorId: monitor._id,
+            status: 'up',
+        });
+    }
+
+    // Monitor DEGRADED (checks pass, but over a warn threshold)
+    if (newStatus === 'degraded' && previousStatus !== 'degraded') {
+        console.log(`🟡 DEGRADED: ${monitor.name} - ${degradedReason}`);
+
+        const incident = await openDegradedIncident(monitor, degradedReason);
+
+        await dispatchAlert(teamId, 'degraded', {
+            monitorId: monitor._id.toString(),
+            incidentId: incident._id.toString(),
+            monitorName: monitor.name,
+            url: monitor.url,
+            reason: degradedReason,
+            teamName,
+        });
+
+        // Emit status change event
+        socketService.emitToTeam(teamId, 'monitor_status_changed', {
+            monitorId: monitor._id,
+            status: 'degraded',
+            incidentId: incident._id,
+        });
+    }
+}
+
+/**
+ * Send SSL alerts: a crossed expiry threshold and each new certificate problem
+ */
+async function handleSslAlerts(monitor, sslInfo, { expiryAlert, newProblems }, teamId) {
+    if (!expiryAlert && newProblems.length === 0) return;
+
+    const team = await Team.findById(teamId);
+    const teamName = team?.name || 'Unknown Team';
+
+    if (expiryAlert) {
+        await dispatchAlert(teamId, 'sslExpiry', {
+            monitorId: monitor._id.toString(),
+            monitorName: monitor.name,
+            url: monitor.url,
+            daysRemaining: sslInfo.daysRemaining,
+            expiryDate: sslInfo.expiresAt,
+            teamName,
+        });
+    }
+
+    for (const problem of newProblems) {
+        console.log(`🔒 SSL PROBLEM: ${monitor.name} - ${problem.message}`);
+
+        await dispatchAlert(teamId, 'sslProblem', {
+            monitorId: monitor._id.toString(),
+            monitorName: monitor.name,
+            url: monitor.url,
+            problem: problem.code,
+            reason: problem.message,
+            teamName,
+        });
+    }
+}
+
+module.exports = { processCheckResult };
@@ -0,0 +1,149 @@
+/**
+ * HTTP Authentication
+ * Builds request headers and TLS options from a monitor's auth settings
+ * (basic, bearer, OAuth2 client credentials, client certificates)
+ */
+
+const axios = require('axios');
+const { decrypt } = require('../../utils/encryption');
+
+// Refresh OAuth2 tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+// Used when the token endpoint doesn't return expires_in
+const DEFAULT_TOKEN_TTL_SEC = 300;
+
+// Map: monitorId:clientId -> { accessToken, expiresAt }
+const tokenCache = new Map();
+
+function getTokenCacheKey(monitor) {
+    return `${monitor.monitorId || monitor._id}:${monitor.auth.oauth2.clientId}`;
+}
+
+/**
+ * Get an OAuth2 access token with the client credentials grant, cached until
+ * shortly before it expires
+ */
+async function getOAuth2Token(monitor) {
+    const key = getTokenCacheKey(monitor);
+    const cached = tokenCache.get(key);
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        return cached.accessToken;
+    }
+
+    const { tokenUrl, clientId, clientSecret, scope, audience } = monitor.auth.oauth2;
+    const params = new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: clientId,
+        client_secret: decrypt(clientSecret),
+    });
+    if (scope) params.set('scope', scope);
+    if (audience) params.set('audience', audience);
+
+    let response;
+    try {
+        response = await axios.post(tokenUrl, params.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: monitor.timeout || 30000,
+        });
+    } catch (err) {
+        const status = err.response?.status;
+        throw new Error(`OAuth2 token request failed${status ? ` (HTTP ${status})` : `: ${err.code || err.message}`}`);
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+    if (!accessToken) {
+        throw new Error('OAuth2 token response has no access_token');
+    }
+
+    tokenCache.set(key, {
+        accessToken,
+        expiresAt: Date.now() + (Number(expiresIn) || DEFAULT_TOKEN_TTL_SEC) * 1000,
+    });
+
+    return accessToken;
+}
+
+/**
+ * Forget a cached OAuth2 token (e.g. after a 401) so the next check fetches a new one
+ */
+function invalidateOAuth2Token(monitor) {
+    if (monitor.auth?.type === 'oauth2') {
+        tokenCache.delete(getTokenCacheKey(monitor));
+    }
+}
+
+/**
+ * Build request options for a monitor: headers with credentials and https
+ * agent options for client certificates / skipped verification
+ */
+async function getRequestAuth(monitor) {
+    const auth = monitor.auth || {};
+    const headers = { ...(monitor.headers || {}) };
+
+    switch (auth.type) {
+        case 'basic': {
+            const credentials = `${auth.username || ''}:${decrypt(auth.password) || ''}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+            break;
+        }
+
+        case 'bearer':
+            headers.Authorization = `Bearer ${decrypt(auth.token)}`;
+            break;
+
+        case 'oauth2':
+            headers.Authorization = `Bearer ${await getOAuth2Token(monitor)}`;
+            break;
+    }
+
+    const agentOptions = {};
+    if (auth.clientCert && auth.clientKey) {
+        agentOptions.cert = auth.clientCert;
+        agentOptions.key = decrypt(auth.clientKey);
+        if (auth.clientKeyPassphrase) {
+            agentOptions.passphrase = decrypt(auth.clientKeyPassphrase);
+        }
+    }
+    // For SSL check
+    if (monitor.sslCheck) {
+        agentOptions.rejectUnauthorized = false;
+    }
+
+    return { headers, agentOptions };
+}
+
+/**
+ * Validate auth settings, returns a list of errors
+ */
+function validateAuth(auth) {
+    const errors = [];
+    if (!auth) return errors;
+
+    switch (auth.type) {
+        case 'basic':
+            if (!auth.username) errors.push('Username is required for basic auth');
+            break;
+
+        case 'bearer':
+            if (!auth.token) errors.push('Token is required for bearer auth');
+            break;
+
+        case 'oauth2':
+            if (!auth.oauth2?.tokenUrl?.startsWith('http')) errors.push('OAuth2 token URL must start with http:// or https://');
+            if (!auth.oauth2?.clientId) errors.push('OAuth2 client ID is required');
+            if (!auth.oauth2?.clientSecret) errors.push('OAuth2 client secret is required');
+            break;
+    }
+
+    if (!!auth.clientCert !== !!auth.clientKey) {
+        errors.push('Client certificate and key must be provided together');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    getRequestAuth,
+    invalidateOAuth2Token,
+    validateAuth,
+};
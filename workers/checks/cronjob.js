@@ -4,95 +4,98 @@
  */
 
 const Monitor = require('../../models/Monitor');
+const CronRun = require('../../models/CronRun');
+const { getNextRun, getPreviousRun } = require('../../utils/cron');
+const { recordPushResult } = require('../pushResult');
+
+// Pings may arrive slightly before the scheduled second (clock skew)
+const EARLY_TOLERANCE_MS = 5000;
 
 /**
- * Parse a simple cron expression and get next expected run
- * Supports: minute hour day month weekday
- * Simple implementation - for production, use node-cron or similar
+ * Get the next expected run of a cron expression in the monitor's timezone
  */
-function getNextCronRun(cronExpression) {
-    // For simplicity, we'll parse common patterns
-    // Full cron parsing would require a library like 'cron-parser'
-    const parts = cronExpression.trim().split(/\s+/);
-
-    if (parts.length !== 5) {
+function getNextCronRun(cronExpression, timezone = 'UTC', after = new Date()) {
+    try {
+        return getNextRun(cronExpression, timezone, after);
+    } catch {
         return null;
     }
+}
 
-    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts;
-    const now = new Date();
-    const next = new Date(now);
-
-    // Very basic implementation - handles simple cases
-    // For production, use 'cron-parser' package
+/**
+ * Queue job data only carries the check config, load the ping state
+ */
+async function loadCronState(monitor) {
+    if (!monitor.monitorId) return monitor;
 
-    // Set minutes
-    if (minute !== '*') {
-        next.setMinutes(parseInt(minute, 10));
-        if (next <= now) {
-            next.setHours(next.getHours() + 1);
-        }
-    }
+    return Monitor.findById(monitor.monitorId)
+        .select('cronExpression cronTimezone cronGracePeriod cronMaxDuration lastCronRun createdAt');
+}
 
-    // Set hours
-    if (hour !== '*') {
-        next.setHours(parseInt(hour, 10));
-        if (next <= now) {
-            next.setDate(next.getDate() + 1);
+/**
+ * Check the latest run: still running past the max duration, or finished badly
+ * Returns an error message or null
+ */
+async function checkLatestRun(monitor, now) {
+    const run = await CronRun.findOne({ monitorId: monitor._id }).sort({ startedAt: -1 });
+    if (!run) return null;
+
+    const maxDuration = monitor.cronMaxDuration;
+
+    if (run.status === 'running') {
+        if (maxDuration && now - run.startedAt > maxDuration * 1000) {
+            run.status = 'timeout';
+            run.durationMs = now - run.startedAt;
+            run.error = 'No finish signal before max duration';
+            await run.save();
+            return `Cron job still running after ${maxDuration}s (max duration exceeded)`;
         }
+        return null;
     }
 
-    next.setSeconds(0);
-    next.setMilliseconds(0);
-
-    return next;
+    return run.status === 'success' ? null : getRunError(run, maxDuration);
 }
 
 /**
  * Check cronjob status
+ * The latest run must not have failed, and the most recent scheduled run
+ * whose grace period has passed must have pinged
  */
-async function checkCronjob(monitor) {
-    const now = new Date();
-    const lastCronRun = monitor.lastCronRun;
-    const gracePeriod = monitor.cronGracePeriod || 60; // seconds
-    const cronExpression = monitor.cronExpression;
+async function checkCronjob(monitorData) {
+    const monitor = await loadCronState(monitorData);
+    if (!monitor) {
+        return { success: false, error: 'Monitor not found', responseMs: 0 };
+    }
 
-    let success = false;
-    let error = null;
+    const now = new Date();
+    const { lastCronRun, cronExpression } = monitor;
+    const timezone = monitor.cronTimezone || 'UTC';
+    const gracePeriod = monitor.cronGracePeriod ?? 60; // seconds
 
     if (!cronExpression) {
-        error = 'No cron expression specified';
-        return { success: false, error, responseMs: 0 };
+        return { success: false, error: 'No cron expression specified', responseMs: 0 };
+    }
+
+    let expectedRun;
+    try {
+        expectedRun = getPreviousRun(cronExpression, timezone, new Date(now.getTime() - gracePeriod * 1000));
+    } catch (err) {
+        return { success: false, error: `Invalid cron expression: ${err.message}`, responseMs: 0 };
     }
 
-    if (!lastCronRun) {
-        // Never received a cron ping - might be first run
-        // Check if we're past the expected run time
-        const expectedRun = getNextCronRun(cronExpression);
-        if (expectedRun && now > new Date(expectedRun.getTime() + gracePeriod * 1000)) {
-            error = 'Cron job never reported';
+    let error = await checkLatestRun(monitor, now);
+    let success = !error;
+
+    // Runs scheduled before the monitor existed don't count
+    const monitoredSince = monitor.createdAt || new Date(0);
+
+    if (success && expectedRun && expectedRun >= monitoredSince) {
+        const reported = lastCronRun && lastCronRun.getTime() >= expectedRun.getTime() - EARLY_TOLERANCE_MS;
+        if (!reported) {
             success = false;
-        } else {
-            // Still waiting for first run
-            success = true;
-        }
-    } else {
-        // Calculate if the last run is within expected time frame
-        // This is a simplified version - production should use proper cron parsing
-        const expectedRun = monitor.expectedCronRun || getNextCronRun(cronExpression);
-
-        if (expectedRun) {
-            const expectedTime = new Date(expectedRun);
-            const graceEndTime = new Date(expectedTime.getTime() + gracePeriod * 1000);
-
-            if (now > graceEndTime && lastCronRun < expectedTime) {
-                error = `Cron job missed at ${expectedTime.toISOString()}`;
-                success = false;
-            } else {
-                success = true;
-            }
-        } else {
-            success = true;
+            error = lastCronRun
+                ? `Cron job missed at ${expectedRun.toISOString()}`
+                : 'Cron job never reported';
         }
     }
 
@@ -101,14 +104,28 @@ async function checkCronjob(monitor) {
         error,
         responseMs: 0,
         lastCronRun,
+        nextExpectedRun: getNextCronRun(cronExpression, timezone, now),
     };
 }
 
 /**
- * Record cron job execution
- * Called when a cron job pings the endpoint
+ * Describe why a finished run failed
+ */
+function getRunError(run, maxDurationSec) {
+    if (run.status === 'timeout') {
+        return `Cron job ran for ${Math.round(run.durationMs / 1000)}s (max ${maxDurationSec}s)`;
+    }
+    if (run.exitCode !== undefined && run.exitCode !== null && run.exitCode !== 0) {
+        return `Cron job failed with exit code ${run.exitCode}`;
+    }
+    return run.error || 'Cron job reported failure';
+}
+
+/**
+ * Record a cron job signal
+ * Called when a cron job pings /start, /success or /fail (or the legacy single ping)
  */
-async function recordCronRun(token, status = 'success', duration = null) {
+async function recordCronRun(token, signal = 'success', { exitCode, output, duration, error } = {}) {
     const monitor = await Monitor.findOne({
         heartbeatToken: token, // Reuse heartbeat token for cronjob
         type: 'cronjob',
@@ -120,32 +137,71 @@ async function recordCronRun(token, status = 'success', duration = null) {
     }
 
     const now = new Date();
-
     monitor.lastCronRun = now;
-    monitor.lastChecked = now;
-
-    if (status === 'success') {
-        monitor.lastStatus = 'up';
-        monitor.consecutiveFailures = 0;
-        monitor.lastError = null;
-        monitor.lastResponseMs = duration || 0;
-    } else {
-        monitor.lastStatus = 'down';
-        monitor.consecutiveFailures += 1;
-        monitor.lastError = status;
+
+    // Start: open a run and wait for the finish signal
+    if (signal === 'start') {
+        const run = await CronRun.create({
+            monitorId: monitor._id,
+            teamId: monitor.teamId,
+            startedAt: now,
+        });
+        await monitor.save();
+
+        return {
+            success: true,
+            monitorId: monitor._id,
+            monitorName: monitor.name,
+            runId: run._id,
+        };
+    }
+
+    // Finish: close the latest open run, or record a run without a start signal
+    let run = await CronRun.findOne({ monitorId: monitor._id, status: 'running' })
+        .sort({ startedAt: -1 });
+    if (!run) {
+        run = new CronRun({
+            monitorId: monitor._id,
+            teamId: monitor.teamId,
+            startedAt: duration ? new Date(now.getTime() - duration) : now,
+        });
+    }
+
+    const failed = signal === 'fail' || (exitCode !== undefined && exitCode !== null && exitCode !== 0);
+    run.finish(failed ? 'failed' : 'success', {
+        exitCode,
+        output,
+        durationMs: run.isNew ? duration : undefined,
+        error,
+    });
+
+    const maxDuration = monitor.cronMaxDuration;
+    if (maxDuration && run.durationMs > maxDuration * 1000) {
+        run.status = 'timeout';
     }
+    await run.save();
 
     // Calculate next expected run
     if (monitor.cronExpression) {
-        monitor.expectedCronRun = getNextCronRun(monitor.cronExpression);
+        monitor.expectedCronRun = getNextCronRun(monitor.cronExpression, monitor.cronTimezone, now);
     }
 
     await monitor.save();
 
+    // Status, history, incidents and alerts are handled like a check result
+    const succeeded = run.status === 'success';
+    await recordPushResult(monitor, {
+        success: succeeded,
+        responseMs: run.durationMs || 0,
+        error: succeeded ? null : getRunError(run, maxDuration),
+    });
+
     return {
         success: true,
         monitorId: monitor._id,
         monitorName: monitor.name,
+        runId: run._id,
+        runStatus: run.status,
         nextExpectedRun: monitor.expectedCronRun,
     };
 }
@@ -1,9 +1,162 @@
 /**
  * DNS Check Worker
- * Checks DNS resolution and validates records
+ * Resolves records through the system or the monitor's own nameservers,
+ * validates them against the expected values and, when required, the DNSSEC status
  */
 
-const dns = require('dns').promises;
+const dns = require('dns');
+const net = require('net');
+const { getDnssecStatus } = require('./dnssec');
+const { validatePattern, safeTest } = require('../../utils/regex');
+
+// The DNSSEC query is separate from the lookup, don't let it hang a check
+const MAX_DNSSEC_TIMEOUT_MS = 5000;
+
+const MATCH_MODES = ['exact', 'containsAny', 'containsAll', 'regex'];
+const RECORD_TYPES = ['A', 'AAAA', 'MX', 'CNAME', 'TXT', 'NS', 'SOA', 'SRV', 'CAA', 'PTR'];
+
+/**
+ * Resolver using the monitor's nameservers ("ip" or "ip:port"), else the system's
+ */
+function createResolver(monitor) {
+    const resolver = new dns.promises.Resolver({
+        timeout: Math.min(monitor.timeout || 5000, 10000),
+        tries: 2,
+    });
+    if (monitor.dnsResolvers?.length) {
+        resolver.setServers(monitor.dnsResolvers);
+    }
+    return resolver;
+}
+
+/**
+ * Reverse lookup name of an IP address (in-addr.arpa / ip6.arpa)
+ */
+function getReverseName(ip) {
+    if (net.isIPv4(ip)) {
+        return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+    }
+
+    // Expand "::" to get all 32 nibbles
+    const [head, tail = ''] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = ip.includes('::')
+        ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+        : headGroups;
+    const nibbles = groups.map((group) => group.padStart(4, '0')).join('').split('');
+
+    return `${nibbles.reverse().join('.')}.ip6.arpa`;
+}
+
+/**
+ * Resolve a record type, each record formatted as a string
+ */
+async function resolveRecords(resolver, name, recordType) {
+    switch (recordType) {
+        case 'A':
+            return resolver.resolve4(name);
+        case 'AAAA':
+            return resolver.resolve6(name);
+        case 'MX':
+            return (await resolver.resolveMx(name)).map((r) => `${r.priority} ${r.exchange}`);
+        case 'CNAME':
+            return resolver.resolveCname(name);
+        case 'TXT':
+            // Long TXT records come back split into strings
+            return (await resolver.resolveTxt(name)).map((chunks) => chunks.join(''));
+        case 'NS':
+            return resolver.resolveNs(name);
+        case 'SOA': {
+            const soa = await resolver.resolveSoa(name);
+            return [`${soa.nsname} ${soa.hostmaster}`];
+        }
+        case 'SRV':
+            return (await resolver.resolveSrv(name)).map((r) => `${r.priority} ${r.weight} ${r.port} ${r.name}`);
+        case 'CAA':
+            // e.g. { critical: 0, issue: 'letsencrypt.org' }
+            return (await resolver.resolveCaa(name)).map(({ critical, ...record }) => {
+                const [tag, value] = Object.entries(record)[0] || [];
+                return `${critical} ${tag} "${value}"`;
+            });
+        case 'PTR':
+            return resolver.resolvePtr(name);
+        default:
+            throw new Error(`Unsupported record type: ${recordType}`);
+    }
+}
+
+/**
+ * Compare form of a record: case-insensitive, without the trailing root dot
+ */
+const normalize = (value) => String(value).trim().toLowerCase().replace(/\.$/, '');
+
+/**
+ * Check the records against the expected values
+ * Returns an error message, or null if they match
+ */
+function matchRecords(records, expected, mode) {
+    const found = records.map(normalize);
+    const wanted = expected.map(normalize);
+    const list = records.join(', ');
+
+    switch (mode) {
+        case 'exact': {
+            const missing = wanted.filter((value) => !found.includes(value));
+            const unexpected = found.filter((value) => !wanted.includes(value));
+            if (missing.length || unexpected.length) {
+                return `Expected exactly ${expected.join(', ')} but got ${list}`;
+            }
+            return null;
+        }
+        case 'containsAll': {
+            const missing = expected.filter((value) => !found.includes(normalize(value)));
+            return missing.length ? `Expected ${missing.join(', ')} not found in ${list}` : null;
+        }
+        case 'regex': {
+            // Every pattern must match at least one record
+            const unmatched = expected.filter((pattern) => !records.some((record) => safeTest(pattern, record, 'i')));
+            return unmatched.length ? `No record matches /${unmatched.join('/, /')}/ in ${list}` : null;
+        }
+        case 'containsAny':
+        default:
+            return wanted.some((value) => found.includes(value))
+                ? null
+                : `None of ${expected.join(', ')} found in ${list}`;
+    }
+}
+
+/**
+ * Validate DNS settings, returns a list of errors
+ */
+function validateDnsConfig(monitor) {
+    const errors = [];
+
+    if (monitor.dnsRecordType && !RECORD_TYPES.includes(monitor.dnsRecordType)) {
+        errors.push(`Record type must be one of: ${RECORD_TYPES.join(', ')}`);
+    }
+    if (monitor.dnsMatchMode && !MATCH_MODES.includes(monitor.dnsMatchMode)) {
+        errors.push(`Match mode must be one of: ${MATCH_MODES.join(', ')}`);
+    }
+
+    for (const server of monitor.dnsResolvers || []) {
+        const address = /^\[(.+)\](?::\d+)?$/.exec(server)?.[1] || server.replace(/^([^:]+):\d+$/, '$1');
+        if (!net.isIP(address)) {
+            errors.push(`Invalid nameserver: ${server} (use an IP address, optionally with :port)`);
+        }
+    }
+
+    if (monitor.dnsMatchMode === 'regex') {
+        for (const pattern of monitor.dnsExpectedValues || []) {
+            const patternError = validatePattern(pattern);
+            if (patternError) {
+                errors.push(`Invalid regex ${pattern}: ${patternError}`);
+            }
+        }
+    }
+
+    return errors;
+}
 
 /**
  * Perform DNS check
@@ -14,6 +167,10 @@ async function checkDns(monitor) {
     let responseMs = 0;
     let error = null;
     let resolvedValue = null;
+    let result = null;
+    let name = null;
+    let recordType = null;
+    const dnssecTimeout = Math.min(monitor.timeout || MAX_DNSSEC_TIMEOUT_MS, MAX_DNSSEC_TIMEOUT_MS);
 
     try {
         // Extract hostname from URL
@@ -22,64 +179,53 @@ async function checkDns(monitor) {
             hostname = new URL(hostname).hostname;
         }
 
-        const recordType = monitor.dnsRecordType || 'A';
-        const expectedValue = monitor.dnsExpectedValue;
-
-        // Resolve the DNS record
-        let records;
-        switch (recordType.toUpperCase()) {
-            case 'A':
-                records = await dns.resolve4(hostname);
-                break;
-            case 'AAAA':
-                records = await dns.resolve6(hostname);
-                break;
-            case 'MX':
-                records = await dns.resolveMx(hostname);
-                records = records.map(r => `${r.priority} ${r.exchange}`);
-                break;
-            case 'CNAME':
-                records = await dns.resolveCname(hostname);
-                break;
-            case 'TXT':
-                records = await dns.resolveTxt(hostname);
-                records = records.flat();
-                break;
-            case 'NS':
-                records = await dns.resolveNs(hostname);
-                break;
-            case 'SOA':
-                const soa = await dns.resolveSoa(hostname);
-                records = [`${soa.nsname} ${soa.hostmaster}`];
-                break;
-            default:
-                throw new Error(`Unsupported record type: ${recordType}`);
-        }
+        recordType = (monitor.dnsRecordType || 'A').toUpperCase();
+        // PTR monitors can be given the IP address itself
+        name = recordType === 'PTR' && net.isIP(hostname) ? getReverseName(hostname) : hostname;
 
+        // Resolve the DNS record; the extra DNSSEC query runs alongside, only when required
+        const dnssecStatus = monitor.dnssecRequired
+            ? getDnssecStatus(name, recordType, monitor.dnsResolvers, dnssecTimeout)
+            : Promise.resolve(null);
+        const records = await resolveRecords(createResolver(monitor), name, recordType);
         responseMs = Date.now() - startTime;
-        resolvedValue = Array.isArray(records) ? records.join(', ') : records;
+        const dnssec = await dnssecStatus;
 
-        // If expected value is set, validate
-        if (expectedValue) {
+        resolvedValue = records.join(', ');
+        result = { records, dnssec };
+
+        const expected = monitor.dnsExpectedValues?.length ? monitor.dnsExpectedValues : null;
+
+        if (expected) {
+            error = matchRecords(records, expected, monitor.dnsMatchMode);
+        } else if (monitor.dnsExpectedValue) {
+            // Single expected value: substring match
             const found = records.some(r =>
-                String(r).toLowerCase().includes(expectedValue.toLowerCase())
+                String(r).toLowerCase().includes(monitor.dnsExpectedValue.toLowerCase())
             );
             if (!found) {
-                error = `Expected "${expectedValue}" not found in ${resolvedValue}`;
-                success = false;
-            } else {
-                success = true;
+                error = `Expected "${monitor.dnsExpectedValue}" not found in ${resolvedValue}`;
             }
-        } else {
+        } else if (records.length === 0) {
             // Just check if DNS resolves
-            success = records && records.length > 0;
+            error = 'DNS record not found';
         }
+
+        if (!error && monitor.dnssecRequired && dnssec !== 'secure') {
+            error = `DNSSEC validation failed (${dnssec || 'no answer from resolver'})`;
+        }
+
+        success = !error;
     } catch (err) {
         responseMs = Date.now() - startTime;
         if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') {
             error = `DNS record not found`;
         } else if (err.code === 'ETIMEOUT') {
             error = 'DNS timeout';
+        } else if (err.code === 'ESERVFAIL' && name &&
+            await getDnssecStatus(name, recordType, monitor.dnsResolvers, dnssecTimeout) === 'bogus') {
+            // Validating resolvers answer SERVFAIL for bogus signatures
+            error = 'DNSSEC validation failed (bogus)';
         } else {
             error = err.message || 'DNS check failed';
         }
@@ -91,7 +237,8 @@ async function checkDns(monitor) {
         responseMs,
         error,
         resolvedValue,
+        dns: result,
     };
 }
 
-module.exports = { checkDns };
+module.exports = { checkDns, validateDnsConfig, matchRecords, getReverseName, MATCH_MODES, RECORD_TYPES };
@@ -0,0 +1,148 @@
+/**
+ * DNSSEC Validation Status
+ * Asks a validating resolver for a record with the DO bit set and reads the
+ * AD (authenticated data) flag of the answer. Node's resolver doesn't expose
+ * the flags, so the query is built by hand and sent over UDP.
+ */
+
+const dgram = require('dgram');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+
+const QUERY_TIMEOUT_MS = 5000;
+const EDNS_UDP_SIZE = 1232;
+const MAX_LABEL_BYTES = 63;
+const MAX_NAME_BYTES = 255;
+
+const RECORD_TYPES = {
+    A: 1,
+    NS: 2,
+    CNAME: 5,
+    SOA: 6,
+    PTR: 12,
+    MX: 15,
+    TXT: 16,
+    AAAA: 28,
+    SRV: 33,
+    CAA: 257,
+};
+
+// Header flags
+const FLAG_RD = 0x0100;
+const FLAG_AD = 0x0020;
+const FLAG_CD = 0x0010;
+const RCODE_SERVFAIL = 2;
+
+/**
+ * Split a server address ("1.1.1.1", "1.1.1.1:53", "[2606:4700::1111]:53", "2606:4700::1111")
+ */
+function parseServer(server, defaultPort = 53) {
+    const match = /^\[(.+)\](?::(\d+))?$/.exec(server) || /^([^:]+)(?::(\d+))?$/.exec(server);
+    if (!match) {
+        return { address: server, port: defaultPort };
+    }
+    return { address: match[1], port: Number(match[2]) || defaultPort };
+}
+
+/**
+ * Build a query with an EDNS OPT record carrying the DO bit
+ * Returns null if the name isn't valid on the wire (labels up to 63 bytes, 255 in total)
+ */
+function buildQuery(id, name, type, flags) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(flags, 2);
+    header.writeUInt16BE(1, 4); // QDCOUNT
+    header.writeUInt16BE(1, 10); // ARCOUNT (OPT)
+
+    const labels = name.replace(/\.$/, '').split('.').map((label) => Buffer.from(label));
+    if (labels.some((label) => label.length === 0 || label.length > MAX_LABEL_BYTES)) {
+        return null;
+    }
+    const qname = Buffer.concat([
+        ...labels.map((label) => Buffer.concat([Buffer.from([label.length]), label])),
+        Buffer.from([0]),
+    ]);
+    if (qname.length > MAX_NAME_BYTES) {
+        return null;
+    }
+
+    const question = Buffer.alloc(4);
+    question.writeUInt16BE(RECORD_TYPES[type] || RECORD_TYPES.A, 0);
+    question.writeUInt16BE(1, 2); // IN
+
+    // Root name, type OPT, UDP size as class, DO bit in the TTL field
+    const opt = Buffer.from([0, 0, 41, EDNS_UDP_SIZE >> 8, EDNS_UDP_SIZE & 0xff, 0, 0, 0x80, 0, 0, 0]);
+
+    return Buffer.concat([header, qname, question, opt]);
+}
+
+/**
+ * Send a query and return the response header flags
+ */
+function sendQuery(server, name, type, flags, timeout) {
+    const { address, port } = parseServer(server);
+    const id = crypto.randomInt(0, 0x10000);
+    const query = buildQuery(id, name, type, flags);
+
+    return new Promise((resolve, reject) => {
+        if (!query) {
+            reject(new Error(`Invalid DNS name: ${name}`));
+            return;
+        }
+
+        const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+
+        const timer = setTimeout(() => {
+            socket.close();
+            reject(new Error('DNSSEC query timeout'));
+        }, timeout);
+
+        socket.on('message', (message) => {
+            if (message.length < 12 || message.readUInt16BE(0) !== id) return;
+
+            clearTimeout(timer);
+            socket.close();
+            const responseFlags = message.readUInt16BE(2);
+            resolve({
+                authenticated: Boolean(responseFlags & FLAG_AD),
+                rcode: responseFlags & 0x0f,
+            });
+        });
+
+        socket.on('error', (err) => {
+            clearTimeout(timer);
+            socket.close();
+            reject(err);
+        });
+
+        socket.send(query, port, address);
+    });
+}
+
+/**
+ * DNSSEC status of a record as seen by the first resolver:
+ * 'secure' (validated), 'insecure' (unsigned zone or non-validating resolver),
+ * 'bogus' (signatures don't validate), or null when it couldn't be determined
+ */
+async function getDnssecStatus(name, type, servers, timeout = QUERY_TIMEOUT_MS) {
+    const server = servers?.[0] || dns.getServers()[0];
+    if (!server) return null;
+
+    try {
+        const answer = await sendQuery(server, name, type, FLAG_RD | FLAG_AD, timeout);
+        if (answer.rcode !== RCODE_SERVFAIL) {
+            return answer.authenticated ? 'secure' : 'insecure';
+        }
+
+        // A validating resolver answers SERVFAIL for bogus data, but still
+        // answers when asked not to validate (CD)
+        const unchecked = await sendQuery(server, name, type, FLAG_RD | FLAG_CD, timeout);
+        return unchecked.rcode === RCODE_SERVFAIL ? null : 'bogus';
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { getDnssecStatus, buildQuery, parseServer, RECORD_TYPES };
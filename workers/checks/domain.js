@@ -0,0 +1,237 @@
+/**
+ * Domain Expiry Check Worker
+ * Looks up a domain's registration over RDAP, falling back to WHOIS (TCP 43)
+ * when the TLD has no RDAP service or it can't be reached
+ */
+
+const net = require('net');
+const axios = require('axios');
+const { getDomain: getRegistrableDomain } = require('tldts');
+const { parseServer } = require('./dnssec');
+
+// IANA bootstrap registry of RDAP services per TLD, and the root WHOIS server
+const RDAP_BOOTSTRAP_URL = process.env.RDAP_BOOTSTRAP_URL || 'https://data.iana.org/rdap/dns.json';
+const WHOIS_SERVER = process.env.WHOIS_SERVER || 'whois.iana.org';
+const WHOIS_PORT = 43;
+const BOOTSTRAP_TTL_MS = 24 * 60 * 60 * 1000;
+// WHOIS answers are plain text and rarely large, stop reading past this
+const MAX_WHOIS_BYTES = 64 * 1024;
+
+// WHOIS field names differ per registry
+const WHOIS_EXPIRY_FIELDS = [
+    'registry expiry date',
+    'registrar registration expiration date',
+    'expiration date',
+    'expiry date',
+    'expire date',
+    'expires',
+    'expires on',
+    'paid-till',
+    'renewal date',
+];
+const WHOIS_REGISTRAR_FIELDS = ['registrar', 'registrar name', 'sponsoring registrar'];
+const WHOIS_NAMESERVER_FIELDS = ['name server', 'nserver', 'nameserver', 'nameservers'];
+
+let bootstrap = null;
+
+/**
+ * Registered domain of the monitor URL, using the public suffix list:
+ * "example.com", "api.example.co.uk", "https://www.example.com/path"
+ */
+function getDomain(monitor) {
+    let hostname = monitor.url.trim();
+    if (hostname.includes('://')) {
+        hostname = new URL(hostname).hostname;
+    }
+    hostname = hostname.replace(/\/.*$/, '').replace(/\.$/, '').toLowerCase();
+
+    const domain = getRegistrableDomain(hostname);
+    if (!domain) {
+        throw new Error(`${hostname} is not a registrable domain`);
+    }
+    return domain;
+}
+
+/**
+ * RDAP base URL for a domain's TLD (null if the TLD has no RDAP service)
+ */
+async function getRdapBaseUrl(domain, timeout) {
+    if (!bootstrap || bootstrap.expiresAt < Date.now()) {
+        const response = await axios.get(RDAP_BOOTSTRAP_URL, { timeout });
+        bootstrap = { services: response.data.services || [], expiresAt: Date.now() + BOOTSTRAP_TTL_MS };
+    }
+
+    // Longest matching suffix wins (e.g. "co.uk" over "uk")
+    const labels = domain.split('.');
+    for (let i = 1; i < labels.length; i++) {
+        const suffix = labels.slice(i).join('.');
+        const service = bootstrap.services.find(([tlds]) => tlds.includes(suffix));
+        if (service) return service[1][0];
+    }
+
+    return null;
+}
+
+/**
+ * Look up a domain over RDAP
+ */
+async function lookupRdap(domain, timeout) {
+    const baseUrl = await getRdapBaseUrl(domain, timeout);
+    if (!baseUrl) return null;
+
+    const response = await axios.get(`${baseUrl.replace(/\/?$/, '/')}domain/${domain}`, {
+        timeout,
+        headers: { Accept: 'application/rdap+json' },
+    });
+    const data = response.data;
+
+    const expiration = (data.events || []).find((event) => event.eventAction === 'expiration');
+    const registrar = (data.entities || []).find((entity) => entity.roles?.includes('registrar'));
+    // vCard: ['vcard', [['fn', {}, 'text', 'Name'], ...]]
+    const name = registrar?.vcardArray?.[1]?.find((field) => field[0] === 'fn')?.[3];
+
+    return {
+        source: 'rdap',
+        expiresAt: expiration ? new Date(expiration.eventDate) : null,
+        registrar: name || null,
+        nameservers: (data.nameservers || []).map((ns) => ns.ldhName?.toLowerCase()).filter(Boolean),
+    };
+}
+
+/**
+ * Send a WHOIS query and read the answer ("host", "host:port" or "[v6]:port")
+ */
+function queryWhois(server, query, timeout) {
+    const { address, port } = parseServer(server, WHOIS_PORT);
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        const socket = net.connect({ host: address, port }, () => {
+            socket.write(`${query}\r\n`);
+        });
+
+        socket.setTimeout(timeout, () => {
+            socket.destroy();
+            reject(new Error('WHOIS timeout'));
+        });
+
+        const finish = () => resolve(Buffer.concat(chunks).toString('utf8'));
+
+        socket.on('data', (chunk) => {
+            chunks.push(chunk);
+            size += chunk.length;
+            // Enough to find the dates in, stop reading
+            if (size > MAX_WHOIS_BYTES) {
+                socket.destroy();
+                finish();
+            }
+        });
+
+        socket.on('end', finish);
+        socket.on('error', reject);
+    });
+}
+
+/**
+ * Read "key: value" lines of a WHOIS answer into a map of value lists
+ */
+function parseWhois(text) {
+    const fields = {};
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = /^\s*([^:%#>][^:]*?):\s*(.+?)\s*$/.exec(line);
+        if (!match) continue;
+
+        const key = match[1].toLowerCase();
+        (fields[key] = fields[key] || []).push(match[2]);
+    }
+
+    return fields;
+}
+
+/**
+ * Look up a domain over WHOIS: ask the root server for the TLD's server, then
+ * follow the registry's referral to the registrar's server once
+ */
+async function lookupWhois(domain, timeout) {
+    const tld = domain.split('.').pop();
+    const root = parseWhois(await queryWhois(WHOIS_SERVER, tld, timeout));
+    const server = root.refer?.[0] || root.whois?.[0];
+    if (!server) {
+        throw new Error(`No WHOIS server for .${tld}`);
+    }
+
+    let fields = parseWhois(await queryWhois(server, domain, timeout));
+
+    // Thin registries only know the registrar, which has the expiry date
+    const referral = fields['registrar whois server']?.[0]?.replace(/^whois:\/\//, '');
+    if (referral && referral !== server && !WHOIS_EXPIRY_FIELDS.some((field) => fields[field])) {
+        try {
+            fields = { ...fields, ...parseWhois(await queryWhois(referral, domain, timeout)) };
+        } catch {
+            // Keep what the registry returned
+        }
+    }
+
+    const pick = (names) => names.map((name) => fields[name]).find(Boolean);
+    const expiry = pick(WHOIS_EXPIRY_FIELDS)?.[0];
+    const expiresAt = expiry ? new Date(expiry.replace(/^(\d{4})\.(\d{2})\.(\d{2})/, '$1-$2-$3')) : null;
+
+    return {
+        source: 'whois',
+        expiresAt: expiresAt && !isNaN(expiresAt) ? expiresAt : null,
+        registrar: pick(WHOIS_REGISTRAR_FIELDS)?.[0] || null,
+        nameservers: [...new Set((pick(WHOIS_NAMESERVER_FIELDS) || [])
+            .map((ns) => ns.split(/\s+/)[0].replace(/\.$/, '').toLowerCase()))],
+    };
+}
+
+/**
+ * Perform domain expiry check
+ * Fails when the registration can't be looked up or has expired
+ */
+async function checkDomain(monitor) {
+    const startTime = Date.now();
+    const timeout = Math.min(monitor.timeout || 10000, 30000);
+
+    try {
+        const domain = getDomain(monitor);
+
+        let info = null;
+        try {
+            info = await lookupRdap(domain, timeout);
+        } catch (err) {
+            // RDAP server down or domain unknown there, try WHOIS
+            if (err.response?.status === 404) {
+                throw new Error('Domain not found in registry');
+            }
+        }
+        if (!info?.expiresAt) {
+            info = await lookupWhois(domain, timeout);
+        }
+
+        if (!info.expiresAt) {
+            throw new Error('Registry does not publish an expiry date');
+        }
+
+        const daysRemaining = Math.ceil((info.expiresAt - new Date()) / (1000 * 60 * 60 * 24));
+        const expired = daysRemaining <= 0;
+
+        return {
+            success: !expired,
+            responseMs: Date.now() - startTime,
+            error: expired ? `Domain registration expired on ${info.expiresAt.toISOString().slice(0, 10)}` : null,
+            domainInfo: { ...info, domain, daysRemaining },
+        };
+    } catch (err) {
+        return {
+            success: false,
+            responseMs: Date.now() - startTime,
+            error: err.code || err.message || 'Domain lookup failed',
+        };
+    }
+}
+
+module.exports = { checkDomain, getDomain, parseWhois };
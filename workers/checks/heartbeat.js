@@ -4,16 +4,35 @@
  */
 
 const Monitor = require('../../models/Monitor');
+const HeartbeatPing = require('../../models/HeartbeatPing');
+const { recordPushResult } = require('../pushResult');
+
+const DEFAULT_GRACE_PERIOD = 30; // seconds
+
+/**
+ * Queue job data only carries the check config, load the ping state
+ */
+async function loadHeartbeatState(monitor) {
+    if (!monitor.monitorId) return monitor;
+
+    return Monitor.findById(monitor.monitorId)
+        .select('heartbeatInterval heartbeatGracePeriod lastHeartbeat');
+}
 
 /**
  * Check heartbeat status
  * This is checked by the worker, not by making an outbound request
  */
-async function checkHeartbeat(monitor) {
+async function checkHeartbeat(monitorData) {
+    const monitor = await loadHeartbeatState(monitorData);
+    if (!monitor) {
+        return { success: false, error: 'Monitor not found', responseMs: 0 };
+    }
+
     const now = new Date();
     const lastHeartbeat = monitor.lastHeartbeat;
     const expectedInterval = monitor.heartbeatInterval || 300; // seconds
-    const gracePeriod = 30; // 30 seconds grace period
+    const gracePeriod = monitor.heartbeatGracePeriod ?? DEFAULT_GRACE_PERIOD;
 
     let success = false;
     let error = null;
@@ -47,7 +66,7 @@ async function checkHeartbeat(monitor) {
  * Record a heartbeat
  * Called when the heartbeat endpoint is hit
  */
-async function recordHeartbeat(token) {
+async function recordHeartbeat(token, { message, metrics, sourceIp } = {}) {
     const monitor = await Monitor.findOne({
         heartbeatToken: token,
         type: 'heartbeat',
@@ -58,13 +77,24 @@ async function recordHeartbeat(token) {
         return { success: false, error: 'Invalid heartbeat token' };
     }
 
-    monitor.lastHeartbeat = new Date();
-    monitor.lastStatus = 'up';
-    monitor.lastChecked = new Date();
-    monitor.consecutiveFailures = 0;
-    monitor.lastError = null;
+    const now = new Date();
+
+    await HeartbeatPing.create({
+        monitorId: monitor._id,
+        teamId: monitor.teamId,
+        receivedAt: now,
+        sourceIp,
+        message,
+        metrics,
+    });
+
+    monitor.lastHeartbeat = now;
+    monitor.lastHeartbeatPayload = { message, metrics, sourceIp, receivedAt: now };
     await monitor.save();
 
+    // Status, history and recovery are handled like a successful check
+    await recordPushResult(monitor, { success: true, responseMs: 0, error: null });
+
     return {
         success: true,
         monitorId: monitor._id,
@@ -72,4 +102,18 @@ async function recordHeartbeat(token) {
     };
 }
 
-module.exports = { checkHeartbeat, recordHeartbeat };
+/**
+ * Summarize what a heartbeat monitor last reported, for down alerts
+ */
+function describeLastPayload(monitor) {
+    const payload = monitor.lastHeartbeatPayload;
+    if (!payload || (!payload.message && !payload.metrics)) return null;
+
+    const parts = [];
+    if (payload.message) parts.push(payload.message);
+    if (payload.metrics) parts.push(JSON.stringify(payload.metrics));
+
+    return `Last report (${new Date(payload.receivedAt).toISOString()}): ${parts.join(' ')}`;
+}
+
+module.exports = { checkHeartbeat, recordHeartbeat, describeLastPayload };
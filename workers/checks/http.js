@@ -4,40 +4,84 @@
  */
 
 const axios = require('axios');
-const https = require('https');
-const tls = require('tls');
+const { evaluateAssertions, describeFailures } = require('../../utils/assertions');
+const { getRequestAuth, invalidateOAuth2Token } = require('./auth');
+const { createTimedAgents } = require('./timing');
+const { getSslInfo } = require('./ssl');
+
+/**
+ * Assertions to evaluate, with the expected status code check added unless
+ * one of the assertions already covers the status code
+ */
+function getAssertions(monitor) {
+    const assertions = monitor.assertions || [];
+    if (assertions.some((assertion) => assertion.type === 'statusCode')) {
+        return assertions;
+    }
+
+    return [
+        { type: 'statusCode', operator: 'equals', target: String(monitor.expectedCode || 200) },
+        ...assertions,
+    ];
+}
 
 /**
  * Perform HTTP check
  */
 async function checkHttp(monitor) {
-    const startTime = Date.now();
+    let startTime = Date.now();
     let success = false;
     let statusCode = null;
     let responseMs = 0;
     let error = null;
     let sslInfo = null;
+    let assertions;
+    let timings = null;
+    let getTimings = () => null;
 
     try {
+        // Credentials (an OAuth2 token fetch isn't counted in the response time)
+        const { headers, agentOptions } = await getRequestAuth(monitor);
+        const agents = createTimedAgents(agentOptions);
+        getTimings = agents.getTimings;
+        startTime = Date.now();
+
         const response = await axios({
             method: monitor.method || 'GET',
             url: monitor.url,
             timeout: monitor.timeout || 30000,
-            headers: monitor.headers || {},
+            headers,
             data: monitor.method === 'POST' || monitor.method === 'PUT' ? monitor.body : undefined,
             validateStatus: () => true, // Don't throw on any status code
-            // For SSL check
-            httpsAgent: monitor.sslCheck ? new https.Agent({
-                rejectUnauthorized: false,
-            }) : undefined,
+            responseType: 'text', // Raw body for assertions
+            httpAgent: agents.httpAgent,
+            httpsAgent: agents.httpsAgent,
         });
 
         responseMs = Date.now() - startTime;
+        timings = getTimings();
         statusCode = response.status;
-        success = statusCode === (monitor.expectedCode || 200);
 
-        if (!success) {
-            error = `Expected ${monitor.expectedCode || 200}, got ${statusCode}`;
+        // Expired or revoked token, fetch a new one next check
+        if (statusCode === 401) {
+            invalidateOAuth2Token(monitor);
+        }
+
+        if (monitor.assertions?.length) {
+            assertions = evaluateAssertions(getAssertions(monitor), {
+                statusCode,
+                responseMs,
+                headers: response.headers,
+                body: response.data,
+            });
+            error = describeFailures(assertions);
+            success = !error;
+        } else {
+            success = statusCode === (monitor.expectedCode || 200);
+
+            if (!success) {
+                error = `Expected ${monitor.expectedCode || 200}, got ${statusCode}`;
+            }
         }
 
         // Get SSL certificate info if enabled
@@ -46,6 +90,7 @@ async function checkHttp(monitor) {
         }
     } catch (err) {
         responseMs = Date.now() - startTime;
+        timings = getTimings();
         error = err.code || err.message || 'Connection failed';
         success = false;
     }
@@ -56,57 +101,9 @@ async function checkHttp(monitor) {
         responseMs,
         error,
         sslInfo,
+        assertions,
+        timings,
     };
 }
 
-/**
- * Get SSL certificate information
- */
-async function getSslInfo(url) {
-    return new Promise((resolve) => {
-        try {
-            const urlObj = new URL(url);
-            const options = {
-                host: urlObj.hostname,
-                port: urlObj.port || 443,
-                servername: urlObj.hostname,
-                rejectUnauthorized: false,
-            };
-
-            const socket = tls.connect(options, () => {
-                const cert = socket.getPeerCertificate();
-                socket.destroy();
-
-                if (!cert || !cert.valid_to) {
-                    resolve(null);
-                    return;
-                }
-
-                const expiryDate = new Date(cert.valid_to);
-                const now = new Date();
-                const daysRemaining = Math.ceil((expiryDate - now) / (1000 * 60 * 60 * 24));
-
-                resolve({
-                    expiresAt: expiryDate,
-                    daysRemaining,
-                    issuer: cert.issuer?.O || cert.issuer?.CN || 'Unknown',
-                    subject: cert.subject?.CN || 'Unknown',
-                    valid: daysRemaining > 0,
-                });
-            });
-
-            socket.on('error', () => {
-                resolve(null);
-            });
-
-            socket.setTimeout(5000, () => {
-                socket.destroy();
-                resolve(null);
-            });
-        } catch {
-            resolve(null);
-        }
-    });
-}
-
-module.exports = { checkHttp, getSslInfo };
+module.exports = { checkHttp };
@@ -3,13 +3,19 @@
  * Routes monitor checks to appropriate checker based on type
  */
 
-const { checkHttp, getSslInfo } = require('./http');
+const { checkHttp } = require('./http');
+const { getSslInfo, checkSsl, SSL_PROTOCOLS } = require('./ssl');
 const { checkPing } = require('./ping');
 const { checkPort } = require('./port');
-const { checkDns } = require('./dns');
+const { checkDns, validateDnsConfig } = require('./dns');
 const { checkKeyword } = require('./keyword');
 const { checkHeartbeat } = require('./heartbeat');
 const { checkCronjob } = require('./cronjob');
+const { checkMultistep, validateSteps } = require('./multistep');
+const { checkDomain } = require('./domain');
+const { validateCron } = require('../../utils/cron');
+const { validateAssertions } = require('../../utils/assertions');
+const { validateAuth } = require('./auth');
 
 /**
  * Perform check based on monitor type
@@ -40,6 +46,15 @@ async function performCheck(monitor) {
             case 'cronjob':
                 return await checkCronjob(monitor);
 
+            case 'multistep':
+                return await checkMultistep(monitor);
+
+            case 'ssl':
+                return await checkSsl(monitor);
+
+            case 'domain':
+                return await checkDomain(monitor);
+
             default:
                 // Fallback to HTTP
                 console.warn(`Unknown monitor type: ${type}, falling back to HTTP`);
@@ -67,6 +82,9 @@ function getChecker(type) {
         keyword: checkKeyword,
         heartbeat: checkHeartbeat,
         cronjob: checkCronjob,
+        multistep: checkMultistep,
+        ssl: checkSsl,
+        domain: checkDomain,
     };
 
     return checkers[type] || checkHttp;
@@ -85,6 +103,11 @@ function validateMonitorConfig(monitor) {
             if (!monitor.url) errors.push('URL is required');
             if (!monitor.url?.startsWith('http')) errors.push('URL must start with http:// or https://');
             if (type === 'keyword' && !monitor.keyword) errors.push('Keyword is required');
+            errors.push(...validateAuth(monitor.auth));
+            if (type === 'http' && monitor.assertions?.length) {
+                const assertionError = validateAssertions(monitor.assertions);
+                if (assertionError) errors.push(assertionError);
+            }
             break;
 
         case 'ping':
@@ -99,6 +122,7 @@ function validateMonitorConfig(monitor) {
 
         case 'dns':
             if (!monitor.url) errors.push('Domain is required');
+            errors.push(...validateDnsConfig(monitor));
             break;
 
         case 'heartbeat':
@@ -106,7 +130,28 @@ function validateMonitorConfig(monitor) {
             break;
 
         case 'cronjob':
-            if (!monitor.cronExpression) errors.push('Cron expression is required');
+            if (!monitor.cronExpression) {
+                errors.push('Cron expression is required');
+            } else {
+                const cronError = validateCron(monitor.cronExpression);
+                if (cronError) errors.push(`Invalid cron expression: ${cronError}`);
+            }
+            break;
+
+        case 'multistep':
+            errors.push(...validateSteps(monitor.steps));
+            break;
+
+        case 'ssl':
+            if (!monitor.url) errors.push('Host is required');
+            if (monitor.port && (monitor.port < 1 || monitor.port > 65535)) errors.push('Port must be 1-65535');
+            if (monitor.sslProtocol && !SSL_PROTOCOLS.includes(monitor.sslProtocol)) {
+                errors.push(`Protocol must be one of: ${SSL_PROTOCOLS.join(', ')}`);
+            }
+            break;
+
+        case 'domain':
+            if (!monitor.url) errors.push('Domain is required');
             break;
     }
 
@@ -128,5 +173,8 @@ module.exports = {
     checkKeyword,
     checkHeartbeat,
     checkCronjob,
+    checkMultistep,
+    checkSsl,
+    checkDomain,
     getSslInfo,
 };
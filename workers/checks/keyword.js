@@ -4,30 +4,48 @@
  */
 
 const axios = require('axios');
+const { getRequestAuth, invalidateOAuth2Token } = require('./auth');
+const { createTimedAgents } = require('./timing');
 
 /**
  * Perform keyword check
  */
 async function checkKeyword(monitor) {
-    const startTime = Date.now();
+    let startTime = Date.now();
     let success = false;
     let statusCode = null;
     let responseMs = 0;
     let error = null;
     let keywordFound = false;
+    let timings = null;
+    let getTimings = () => null;
 
     try {
+        // Credentials (an OAuth2 token fetch isn't counted in the response time)
+        const { headers, agentOptions } = await getRequestAuth(monitor);
+        const agents = createTimedAgents(agentOptions);
+        getTimings = agents.getTimings;
+        startTime = Date.now();
+
         const response = await axios({
             method: monitor.method || 'GET',
             url: monitor.url,
             timeout: monitor.timeout || 30000,
-            headers: monitor.headers || {},
+            headers,
             validateStatus: () => true,
+            httpAgent: agents.httpAgent,
+            httpsAgent: agents.httpsAgent,
         });
 
         responseMs = Date.now() - startTime;
+        timings = getTimings();
         statusCode = response.status;
 
+        // Expired or revoked token, fetch a new one next check
+        if (statusCode === 401) {
+            invalidateOAuth2Token(monitor);
+        }
+
         // Check if response is successful
         if (statusCode < 200 || statusCode >= 400) {
             error = `HTTP ${statusCode}`;
@@ -63,6 +81,7 @@ async function checkKeyword(monitor) {
         }
     } catch (err) {
         responseMs = Date.now() - startTime;
+        timings = getTimings();
         error = err.code || err.message || 'Request failed';
         success = false;
     }
@@ -73,6 +92,7 @@ async function checkKeyword(monitor) {
         responseMs,
         error,
         keywordFound,
+        timings,
     };
 }
 
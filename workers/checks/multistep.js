@@ -0,0 +1,235 @@
+/**
+ * Multistep Check Worker
+ * Runs a sequence of HTTP requests (e.g. login, then an authenticated call),
+ * passing values extracted from one response into the next request
+ */
+
+const axios = require('axios');
+const {
+    evaluateAssertions,
+    describeFailures,
+    validateAssertions,
+    getJsonPathValue,
+} = require('../../utils/assertions');
+const { validatePattern, safeExec } = require('../../utils/regex');
+
+const EXTRACT_SOURCES = ['jsonPath', 'header', 'regex'];
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w]*$/;
+
+// Status code check used when a step has no status code assertion
+const DEFAULT_STATUS_ASSERTION = { type: 'statusCode', operator: 'inRange', target: '200-299' };
+
+/**
+ * Replace {{name}} placeholders with extracted values (unknown names are kept)
+ */
+function interpolate(value, variables) {
+    if (typeof value !== 'string') return value;
+
+    return value.replace(/\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g, (placeholder, name) =>
+        name in variables ? String(variables[name]) : placeholder
+    );
+}
+
+function interpolateHeaders(headers, variables) {
+    return Object.fromEntries(
+        Object.entries(headers || {}).map(([key, value]) => [key, interpolate(value, variables)])
+    );
+}
+
+/**
+ * Pull a value out of a step's response, undefined if not found
+ */
+function extractValue(rule, response) {
+    switch (rule.source) {
+        case 'jsonPath': {
+            try {
+                return getJsonPathValue(JSON.parse(response.body), rule.property);
+            } catch {
+                return undefined;
+            }
+        }
+
+        case 'header': {
+            const value = response.headers?.[rule.property.toLowerCase()];
+            return Array.isArray(value) ? value.join(', ') : value;
+        }
+
+        case 'regex': {
+            let match;
+            try {
+                match = safeExec(rule.property, response.body || '');
+            } catch {
+                return undefined;
+            }
+            if (!match) return undefined;
+            return match[1] !== undefined ? match[1] : match[0];
+        }
+
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Run one step, returns its result and the values it extracted
+ */
+async function runStep(step, index, monitor, variables) {
+    const name = step.name || `Step ${index + 1}`;
+    const method = step.method || 'GET';
+    const startTime = Date.now();
+
+    const result = {
+        name,
+        statusCode: null,
+        responseMs: 0,
+        success: false,
+        error: null,
+    };
+
+    let response;
+    try {
+        response = await axios({
+            method,
+            url: interpolate(step.url, variables),
+            timeout: monitor.timeout || 30000,
+            headers: interpolateHeaders(step.headers, variables),
+            data: ['POST', 'PUT', 'PATCH'].includes(method) ? interpolate(step.body, variables) : undefined,
+            validateStatus: () => true, // Don't throw on any status code
+            responseType: 'text', // Raw body for assertions and extraction
+        });
+    } catch (err) {
+        result.responseMs = Date.now() - startTime;
+        result.error = err.code || err.message || 'Connection failed';
+        return { result, extracted: {} };
+    }
+
+    result.responseMs = Date.now() - startTime;
+    result.statusCode = response.status;
+
+    const stepResponse = {
+        statusCode: response.status,
+        responseMs: result.responseMs,
+        headers: response.headers,
+        body: response.data,
+    };
+
+    const assertions = step.assertions || [];
+    const checks = assertions.some((assertion) => assertion.type === 'statusCode')
+        ? assertions
+        : [DEFAULT_STATUS_ASSERTION, ...assertions];
+
+    result.assertions = evaluateAssertions(checks, stepResponse);
+    result.error = describeFailures(result.assertions);
+    if (result.error) {
+        return { result, extracted: {} };
+    }
+
+    const extracted = {};
+    for (const rule of step.extract || []) {
+        const value = extractValue(rule, stepResponse);
+        if (value === undefined || value === null) {
+            result.error = `Could not extract "${rule.name}" (${rule.source} ${rule.property})`;
+            return { result, extracted };
+        }
+        extracted[rule.name] = typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+
+    result.success = true;
+    return { result, extracted };
+}
+
+/**
+ * Perform multistep check
+ * Steps run in order and the check stops at the first failing step
+ */
+async function checkMultistep(monitor) {
+    const steps = monitor.steps || [];
+    if (steps.length === 0) {
+        return { success: false, error: 'No steps configured', responseMs: 0 };
+    }
+
+    const variables = {};
+    const stepResults = [];
+
+    for (const [index, step] of steps.entries()) {
+        const { result, extracted } = await runStep(step, index, monitor, variables);
+        stepResults.push(result);
+        Object.assign(variables, extracted);
+
+        if (!result.success) break;
+    }
+
+    const failed = stepResults.find((result) => !result.success);
+    const last = stepResults[stepResults.length - 1];
+
+    return {
+        success: !failed,
+        statusCode: last.statusCode,
+        responseMs: stepResults.reduce((total, result) => total + result.responseMs, 0),
+        error: failed ? `${failed.name} failed: ${failed.error}` : null,
+        failedStep: failed ? stepResults.indexOf(failed) : null,
+        steps: stepResults,
+    };
+}
+
+/**
+ * Validate the steps of a multistep monitor, returns a list of errors
+ */
+function validateSteps(steps) {
+    const errors = [];
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return ['At least one step is required'];
+    }
+
+    const defined = new Set();
+
+    steps.forEach((step, index) => {
+        const label = step.name ? `Step ${index + 1} (${step.name})` : `Step ${index + 1}`;
+
+        if (!step.url) {
+            errors.push(`${label}: URL is required`);
+        } else if (!/^(https?:\/\/|\{\{)/.test(step.url)) {
+            errors.push(`${label}: URL must start with http:// or https://`);
+        }
+
+        // Placeholders may only use values extracted by earlier steps
+        const text = [step.url, step.body, ...Object.values(step.headers || {})].join(' ');
+        for (const [, name] of text.matchAll(/\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g)) {
+            if (!defined.has(name)) {
+                errors.push(`${label}: {{${name}}} is not extracted by an earlier step`);
+            }
+        }
+
+        if (step.assertions?.length) {
+            const assertionError = validateAssertions(step.assertions);
+            if (assertionError) errors.push(`${label}: ${assertionError}`);
+        }
+
+        for (const rule of step.extract || []) {
+            if (!rule.name || !VARIABLE_NAME_PATTERN.test(rule.name)) {
+                errors.push(`${label}: extracted variable names must be letters, digits or _`);
+            } else if (!EXTRACT_SOURCES.includes(rule.source)) {
+                errors.push(`${label}: extract source must be one of ${EXTRACT_SOURCES.join(', ')}`);
+            } else if (!rule.property) {
+                errors.push(`${label}: extract "${rule.name}" needs a JSONPath, header name or regex`);
+            } else if (rule.source === 'regex') {
+                const patternError = validatePattern(rule.property);
+                if (patternError) {
+                    errors.push(`${label}: extract "${rule.name}": ${patternError}`);
+                }
+            } else if (rule.source === 'jsonPath') {
+                try {
+                    getJsonPathValue({}, rule.property);
+                } catch (err) {
+                    errors.push(`${label}: ${err.message}`);
+                }
+            }
+            if (rule.name) defined.add(rule.name);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = { checkMultistep, validateSteps };
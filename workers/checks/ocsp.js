@@ -0,0 +1,222 @@
+/**
+ * OCSP Revocation Check
+ * Looks up a certificate's revocation status, using the response stapled to
+ * the TLS handshake or asking the responder named in the certificate.
+ * A response only counts when it's signed by the certificate's issuer or by
+ * a responder certificate the issuer delegated OCSP signing to.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const der = require('../../utils/der');
+
+const SHA1_OID = '1.3.14.3.2.26';
+const BASIC_RESPONSE_OID = '1.3.6.1.5.5.7.48.1.1';
+const OCSP_SIGNING_OID = '1.3.6.1.5.5.7.3.9';
+const OCSP_TIMEOUT_MS = 5000;
+// Statuses are cached per certificate so frequent checks don't hit the responder
+// (never past the response's nextUpdate)
+const CACHE_TTL_MS = 60 * 60 * 1000;
+// Tolerated clock difference with the responder
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Map: CertID (hex) -> { status, expiresAt }
+const statusCache = new Map();
+
+// Digest for each supported response signature algorithm (Ed25519 has none)
+const SIGNATURE_DIGESTS = {
+    '1.2.840.113549.1.1.5': 'sha1',
+    '1.2.840.113549.1.1.11': 'sha256',
+    '1.2.840.113549.1.1.12': 'sha384',
+    '1.2.840.113549.1.1.13': 'sha512',
+    '1.2.840.10045.4.1': 'sha1',
+    '1.2.840.10045.4.3.2': 'sha256',
+    '1.2.840.10045.4.3.3': 'sha384',
+    '1.2.840.10045.4.3.4': 'sha512',
+    '1.3.101.112': null,
+};
+
+const sha1 = (data) => crypto.createHash('sha1').update(data).digest();
+
+/**
+ * Build the CertID identifying a certificate to the responder
+ */
+function buildCertId(cert, issuer) {
+    const leaf = der.parseCertificate(cert);
+    const issuerCert = der.parseCertificate(issuer);
+    // Hash of the issuer's public key, without the BIT STRING unused-bits byte
+    const issuerKey = der.children(issuerCert.subjectPublicKeyInfo)[1].value.subarray(1);
+
+    return der.encode(der.TAGS.SEQUENCE,
+        der.encode(der.TAGS.SEQUENCE, der.encodeOid(SHA1_OID), der.encode(der.TAGS.NULL)),
+        der.encode(der.TAGS.OCTET_STRING, sha1(leaf.issuer.raw)),
+        der.encode(der.TAGS.OCTET_STRING, sha1(issuerKey)),
+        leaf.serialNumber.raw
+    );
+}
+
+/**
+ * Keys allowed to sign responses about the issuer's certificates: the issuer's
+ * own, and those of delegated responder certificates included in the response
+ */
+function getSigningKeys(certs, issuer) {
+    const issuerCert = new crypto.X509Certificate(issuer);
+    const keys = [issuerCert.publicKey];
+    if (!certs) {
+        return keys;
+    }
+
+    // [0] EXPLICIT SEQUENCE OF Certificate
+    for (const entry of der.children(der.children(certs)[0])) {
+        const responder = new crypto.X509Certificate(entry.raw);
+        const current = Date.parse(responder.validFrom) <= Date.now() && Date.parse(responder.validTo) > Date.now();
+        if (current && responder.checkIssued(issuerCert) && responder.verify(issuerCert.publicKey) &&
+            (responder.keyUsage || []).includes(OCSP_SIGNING_OID)) {
+            keys.push(responder.publicKey);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Check the signature of a BasicOCSPResponse
+ */
+function verifySignature(basicResponse, issuer) {
+    const [tbsResponseData, signatureAlgorithm, signature, certs] = der.children(basicResponse);
+    const algorithm = der.decodeOid(der.children(signatureAlgorithm)[0].value);
+    if (!(algorithm in SIGNATURE_DIGESTS)) {
+        return false;
+    }
+
+    // Without the BIT STRING unused-bits byte
+    const signatureValue = signature.value.subarray(1);
+    return getSigningKeys(certs, issuer).some((key) => {
+        try {
+            return crypto.verify(SIGNATURE_DIGESTS[algorithm], tbsResponseData.raw, key, signatureValue);
+        } catch {
+            // Key type doesn't match the algorithm
+            return false;
+        }
+    });
+}
+
+/**
+ * Read the status for a serial number from an OCSP response
+ * Returns { status, nextUpdate } with status 'good', 'revoked' or 'unknown',
+ * or null if the response has none, isn't signed by the issuer (or its
+ * delegated responder) or is outside its validity window
+ */
+function parseResponse(response, serialNumber, issuer) {
+    const [responseStatus, responseBytes] = der.children(der.read(response));
+    if (responseStatus.value[0] !== 0 || !responseBytes) {
+        return null;
+    }
+
+    const [responseType, basicResponse] = der.children(der.children(responseBytes)[0]);
+    if (der.decodeOid(responseType.value) !== BASIC_RESPONSE_OID) {
+        return null;
+    }
+
+    const basic = der.read(basicResponse.value);
+    if (!verifySignature(basic, issuer)) {
+        return null;
+    }
+
+    const tbsResponseData = der.children(basic)[0];
+    const responses = der.children(tbsResponseData).find((field) => field.tag === der.TAGS.SEQUENCE);
+    if (!responses) {
+        return null;
+    }
+
+    for (const single of der.children(responses)) {
+        const [certId, certStatus, thisUpdateField, ...optional] = der.children(single);
+        if (!der.children(certId)[3].raw.equals(serialNumber.raw)) continue;
+
+        // An old "good" response could be replayed after the certificate was revoked
+        const now = Date.now();
+        const thisUpdate = der.decodeGeneralizedTime(thisUpdateField.value);
+        const nextUpdateField = optional.find((field) => field.tag === 0xa0); // [0] EXPLICIT
+        const nextUpdate = nextUpdateField ? der.decodeGeneralizedTime(der.children(nextUpdateField)[0].value) : null;
+        if (thisUpdate > now + CLOCK_SKEW_MS || (nextUpdate && nextUpdate < now - CLOCK_SKEW_MS)) {
+            return null;
+        }
+
+        // [0] good, [1] revoked, [2] unknown
+        const statuses = ['good', 'revoked', 'unknown'];
+        const status = statuses[certStatus.tag & 0x1f];
+        return status ? { status, nextUpdate } : null;
+    }
+
+    return null;
+}
+
+/**
+ * Ask the certificate's OCSP responder
+ */
+async function queryResponder(url, cert, issuer) {
+    const request = der.encode(der.TAGS.SEQUENCE,
+        der.encode(der.TAGS.SEQUENCE,
+            der.encode(der.TAGS.SEQUENCE,
+                der.encode(der.TAGS.SEQUENCE, buildCertId(cert, issuer))
+            )
+        )
+    );
+
+    const response = await axios.post(url, request, {
+        headers: { 'Content-Type': 'application/ocsp-request' },
+        responseType: 'arraybuffer',
+        timeout: OCSP_TIMEOUT_MS,
+    });
+
+    return Buffer.from(response.data);
+}
+
+/**
+ * Get the revocation status of a certificate
+ * cert/issuer are DER buffers, stapled is the response from the handshake (if any)
+ * Returns 'good', 'revoked', 'unknown' or null when no responder could be reached
+ */
+async function getRevocationStatus(cert, issuer, ocspUrl, stapled) {
+    // Responses can't be verified without the issuer
+    if (!issuer) {
+        return null;
+    }
+
+    let result = null;
+    let key;
+    try {
+        const { serialNumber } = der.parseCertificate(cert);
+        // Serial numbers are only unique per issuer
+        key = buildCertId(cert, issuer).toString('hex');
+
+        const cached = statusCache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.status;
+        }
+
+        if (stapled) {
+            result = parseResponse(stapled, serialNumber, issuer);
+        }
+        if (!result && ocspUrl) {
+            result = parseResponse(await queryResponder(ocspUrl, cert, issuer), serialNumber, issuer);
+        }
+    } catch {
+        // Unparseable certificate, unreachable responder or malformed response, don't guess
+        return null;
+    }
+
+    if (!result) {
+        return null;
+    }
+
+    const now = Date.now();
+    for (const [cachedKey, entry] of statusCache) {
+        if (entry.expiresAt <= now) statusCache.delete(cachedKey);
+    }
+    const expiresAt = Math.min(now + CACHE_TTL_MS, result.nextUpdate ? result.nextUpdate.getTime() : Infinity);
+    statusCache.set(key, { status: result.status, expiresAt });
+
+    return result.status;
+}
+
+module.exports = { getRevocationStatus };
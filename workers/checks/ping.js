@@ -1,56 +1,180 @@
 /**
  * Ping Check Worker
- * Performs ICMP ping checks using TCP connection as fallback
+ * Sends ICMP echo requests with the system ping binary (Node has no raw
+ * sockets) and records round trip times, packet loss and jitter.
+ * Falls back to a TCP connect when ping isn't installed or not permitted.
  */
 
 const net = require('net');
 const dns = require('dns').promises;
+const { execFile } = require('child_process');
+
+const DEFAULT_PACKET_COUNT = 4;
+// Seconds between echo requests (0.2 is the lowest allowed without root)
+const PACKET_INTERVAL_SEC = 0.2;
+
+/**
+ * Extract the host from a URL or plain hostname/IP ([::1] style included)
+ */
+function getHost(value) {
+    let host = value.trim();
+    if (host.includes('://')) {
+        host = new URL(host).hostname;
+    }
+    return host.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Resolve the host to an address of the requested IP version
+ * ('auto' prefers IPv4 and uses IPv6 for IPv6-only hosts)
+ */
+async function resolveHost(host, ipVersion = 'auto') {
+    const family = net.isIP(host);
+    if (family) {
+        if ((ipVersion === 'ipv4' && family !== 4) || (ipVersion === 'ipv6' && family !== 6)) {
+            throw new Error(`${host} is not an ${ipVersion === 'ipv4' ? 'IPv4' : 'IPv6'} address`);
+        }
+        return { address: host, family };
+    }
+
+    const addresses = await dns.lookup(host, { all: true }).catch(() => []);
+    const wanted = ipVersion === 'ipv4' ? [4] : ipVersion === 'ipv6' ? [6] : [4, 6];
+
+    for (const wantedFamily of wanted) {
+        const match = addresses.find((entry) => entry.family === wantedFamily);
+        if (match) return match;
+    }
+
+    throw new Error(ipVersion === 'auto'
+        ? 'DNS resolution failed'
+        : `No ${ipVersion === 'ipv4' ? 'IPv4' : 'IPv6'} address found`);
+}
+
+/**
+ * Command line for the platform's ping binary
+ */
+function getPingCommand(address, family, count, timeoutMs) {
+    const deadlineSec = String(Math.max(1, Math.ceil(timeoutMs / 1000)));
+
+    switch (process.platform) {
+        case 'win32':
+            return {
+                file: 'ping',
+                args: ['-n', String(count), '-w', String(timeoutMs), family === 6 ? '-6' : '-4', address],
+            };
+
+        case 'darwin':
+        case 'freebsd':
+            return {
+                file: family === 6 ? 'ping6' : 'ping',
+                args: family === 6
+                    ? ['-n', '-c', String(count), '-i', String(PACKET_INTERVAL_SEC), address]
+                    : ['-n', '-c', String(count), '-i', String(PACKET_INTERVAL_SEC), '-t', deadlineSec, address],
+            };
+
+        default:
+            return {
+                file: 'ping',
+                args: [family === 6 ? '-6' : '-4', '-n', '-c', String(count), '-i', String(PACKET_INTERVAL_SEC), '-w', deadlineSec, address],
+            };
+    }
+}
+
+/**
+ * Run ping and return its output, rejects with ENOENT/EPERM when ICMP can't be used
+ */
+function runPing(command, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        execFile(command.file, command.args, { timeout: timeoutMs + 5000 }, (err, stdout, stderr) => {
+            // ping exits non-zero when packets are lost, the output is still usable
+            if (err && (err.code === 'ENOENT' || /not permitted|permission denied/i.test(stderr))) {
+                const error = new Error(stderr.trim() || err.message);
+                error.code = err.code === 'ENOENT' ? 'ENOENT' : 'EPERM';
+                reject(error);
+                return;
+            }
+            resolve({ stdout: stdout || '', stderr: stderr || '' });
+        });
+    });
+}
+
+/**
+ * Parse reply times from ping output (Linux, macOS and Windows formats)
+ */
+function parseReplyTimes(output) {
+    return [...output.matchAll(/time\s*[=<]\s*([\d.]+)\s*ms/gi)].map((match) => parseFloat(match[1]));
+}
+
+/**
+ * Round trip statistics for the received replies
+ * Jitter is the mean difference between consecutive round trip times
+ */
+function getPingStats(rtts, sent) {
+    const received = Math.min(rtts.length, sent);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const stats = {
+        sent,
+        received,
+        packetLoss: round(((sent - received) / sent) * 100),
+        minMs: null,
+        avgMs: null,
+        maxMs: null,
+        jitterMs: null,
+    };
+
+    if (received === 0) return stats;
+
+    const times = rtts.slice(0, received);
+    stats.minMs = round(Math.min(...times));
+    stats.maxMs = round(Math.max(...times));
+    stats.avgMs = round(times.reduce((a, b) => a + b, 0) / received);
+
+    const differences = times.slice(1).map((time, index) => Math.abs(time - times[index]));
+    stats.jitterMs = differences.length > 0
+        ? round(differences.reduce((a, b) => a + b, 0) / differences.length)
+        : 0;
+
+    return stats;
+}
 
 /**
  * Perform ping check
- * Uses TCP connection to port 80/443 as ICMP requires raw sockets (root)
  */
 async function checkPing(monitor) {
     const startTime = Date.now();
+    const timeout = monitor.timeout || 10000;
+    const count = monitor.pingCount || DEFAULT_PACKET_COUNT;
     let success = false;
     let responseMs = 0;
     let error = null;
+    let ping = null;
 
     try {
-        // Extract hostname from URL or use directly
-        let host = monitor.url;
-        if (host.includes('://')) {
-            host = new URL(host).hostname;
-        }
-
-        // Resolve DNS first
-        const addresses = await dns.resolve4(host).catch(() => null);
-        if (!addresses || addresses.length === 0) {
-            throw new Error('DNS resolution failed');
-        }
+        const host = getHost(monitor.url);
+        const { address, family } = await resolveHost(host, monitor.pingIpVersion);
 
-        const ipAddress = addresses[0];
+        try {
+            const { stdout, stderr } = await runPing(getPingCommand(address, family, count, timeout), timeout);
+            const stats = getPingStats(parseReplyTimes(stdout), count);
 
-        // Try TCP connection to common ports
-        const ports = [443, 80, 22];
-        let connected = false;
+            ping = { method: 'icmp', address, ...stats };
 
-        for (const port of ports) {
-            try {
-                await tcpPing(ipAddress, port, monitor.timeout || 10000);
-                connected = true;
-                break;
-            } catch {
-                // Try next port
+            if (stats.received > 0) {
+                success = true;
+                responseMs = Math.round(stats.avgMs);
+            } else {
+                const message = stderr.trim().split('\n')[0];
+                error = message ? `Host unreachable (${message})` : 'Host unreachable (100% packet loss)';
             }
-        }
-
-        responseMs = Date.now() - startTime;
+        } catch (err) {
+            if (err.code !== 'ENOENT' && err.code !== 'EPERM') throw err;
 
-        if (connected) {
+            // No ICMP available, at least check that the host accepts connections
+            await tcpPingAny(address, timeout);
+            responseMs = Date.now() - startTime;
+            ping = { method: 'tcp', address };
             success = true;
-        } else {
-            error = 'Host unreachable';
         }
     } catch (err) {
         responseMs = Date.now() - startTime;
@@ -62,9 +186,25 @@ async function checkPing(monitor) {
         success,
         responseMs,
         error,
+        ping,
     };
 }
 
+/**
+ * TCP connect to the first of the common ports that accepts
+ */
+async function tcpPingAny(address, timeout) {
+    for (const port of [443, 80, 22]) {
+        try {
+            await tcpPing(address, port, timeout);
+            return;
+        } catch {
+            // Try next port
+        }
+    }
+    throw new Error('Host unreachable');
+}
+
 /**
  * TCP ping to a specific port
  */
@@ -0,0 +1,382 @@
+/**
+ * SSL Certificate Inspection
+ * Reads a server's certificate (over TLS or STARTTLS) and validates the chain:
+ * expiry, hostname, trust, key and signature strength, and revocation (OCSP).
+ * Also the checker for ssl monitors.
+ */
+
+const tls = require('tls');
+const net = require('net');
+const der = require('../../utils/der');
+const { getRevocationStatus } = require('./ocsp');
+
+const MIN_RSA_KEY_BITS = 2048;
+const MIN_EC_KEY_BITS = 256;
+
+// MD5/SHA-1 based signature algorithms
+const WEAK_SIGNATURE_ALGORITHMS = {
+    '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+    '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+    '1.2.840.10045.4.1': 'ecdsa-with-SHA1',
+    '1.2.840.10040.4.3': 'dsa-with-sha1',
+};
+
+const SIGNATURE_ALGORITHMS = {
+    ...WEAK_SIGNATURE_ALGORITHMS,
+    '1.2.840.113549.1.1.10': 'RSASSA-PSS',
+    '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+    '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+    '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+    '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+    '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+    '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512',
+    '1.3.101.112': 'Ed25519',
+};
+
+// How to get to TLS, and the usual port for each (tls covers HTTPS, SMTPS, IMAPS...)
+const SSL_PROTOCOLS = ['tls', 'smtp', 'imap', 'postgres'];
+const DEFAULT_PORTS = { tls: 443, smtp: 587, imap: 143, postgres: 5432 };
+
+// Problems that fail an ssl monitor check (the rest only alert)
+const FAILING_PROBLEMS = [
+    'expired',
+    'not_yet_valid',
+    'hostname_mismatch',
+    'self_signed',
+    'untrusted_root',
+    'invalid_chain',
+    'revoked',
+];
+
+// OpenSSL verification errors grouped into the problems we report
+const SELF_SIGNED_ERRORS = ['DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN'];
+const UNTRUSTED_ERRORS = [
+    'UNABLE_TO_GET_ISSUER_CERT',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'CERT_UNTRUSTED',
+    'CERT_REJECTED',
+];
+// Reported from the certificate dates instead
+const DATE_ERRORS = ['CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID'];
+
+/**
+ * Certificates from the leaf up to the root (or the last one the server sent)
+ */
+function getChain(cert) {
+    const chain = [];
+    let current = cert;
+
+    while (current && current.raw && !chain.includes(current)) {
+        chain.push(current);
+        current = current.issuerCertificate;
+    }
+
+    return chain;
+}
+
+/**
+ * Signature algorithm OID of a certificate (null if it can't be parsed)
+ */
+function getSignatureAlgorithm(cert) {
+    try {
+        return der.parseCertificate(cert.raw).signatureAlgorithm;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Validate a peer certificate, returns a list of { code, message }
+ */
+function getProblems(socket, cert, chain, hostname) {
+    const problems = [];
+    const now = new Date();
+
+    if (new Date(cert.valid_to) <= now) {
+        problems.push({ code: 'expired', message: `Certificate expired on ${new Date(cert.valid_to).toISOString().slice(0, 10)}` });
+    }
+    if (new Date(cert.valid_from) > now) {
+        problems.push({ code: 'not_yet_valid', message: `Certificate is not valid before ${new Date(cert.valid_from).toISOString().slice(0, 10)}` });
+    }
+
+    const identityError = tls.checkServerIdentity(hostname, cert);
+    if (identityError) {
+        problems.push({ code: 'hostname_mismatch', message: identityError.message });
+    }
+
+    const authError = socket.authorized ? null : String(socket.authorizationError || '');
+    if (authError && !DATE_ERRORS.includes(authError)) {
+        if (SELF_SIGNED_ERRORS.includes(authError)) {
+            problems.push({ code: 'self_signed', message: 'Certificate chain is self-signed' });
+        } else if (UNTRUSTED_ERRORS.includes(authError)) {
+            problems.push({ code: 'untrusted_root', message: `Certificate isn't issued by a trusted authority (${authError})` });
+        } else {
+            problems.push({ code: 'invalid_chain', message: `Certificate chain is invalid (${authError})` });
+        }
+    }
+
+    const minBits = cert.asn1Curve || cert.nistCurve ? MIN_EC_KEY_BITS : MIN_RSA_KEY_BITS;
+    if (cert.bits && cert.bits < minBits) {
+        problems.push({ code: 'weak_key', message: `Key is only ${cert.bits} bits (minimum ${minBits})` });
+    }
+
+    // The root's own signature doesn't matter, it's trusted by being in the store
+    const signed = chain.filter((entry) => entry.issuerCertificate && entry.issuerCertificate !== entry);
+    for (const entry of signed) {
+        const weak = WEAK_SIGNATURE_ALGORITHMS[getSignatureAlgorithm(entry)];
+        if (weak) {
+            problems.push({ code: 'weak_signature', message: `${entry.subject?.CN || 'Certificate'} is signed with ${weak}` });
+            break;
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Open a plain TCP connection (for STARTTLS)
+ */
+function connectPlain(hostname, port, timeout) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: hostname, port });
+
+        socket.setTimeout(timeout, () => {
+            socket.destroy();
+            reject(new Error('Timeout'));
+        });
+        socket.once('connect', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Upgrade a plain connection to TLS: STARTTLS for SMTP/IMAP, SSLRequest for Postgres
+ * Rejects if the exchange doesn't finish within the timeout or the server hangs up
+ */
+function startTls(socket, protocol, timeout) {
+    // Each step sends a command and waits for a reply matching ok (or fail)
+    const dialogues = {
+        smtp: [
+            { ok: /^220 /m, fail: /^[45]\d\d /m },
+            { send: 'EHLO balaping.local\r\n', ok: /^250 /m, fail: /^[45]\d\d /m },
+            { send: 'STARTTLS\r\n', ok: /^220 /m, fail: /^[45]\d\d /m },
+        ],
+        imap: [
+            { ok: /^\* OK/m, fail: /^\* (BYE|NO)/m },
+            { send: 'a1 STARTTLS\r\n', ok: /^a1 OK/m, fail: /^a1 (NO|BAD)/m },
+        ],
+        postgres: [
+            // SSLRequest: length 8, code 80877103, answered with a single S or N
+            { send: Buffer.from([0, 0, 0, 8, 0x04, 0xd2, 0x16, 0x2f]), ok: /^S/, fail: /^N/ },
+        ],
+    };
+    const steps = [...dialogues[protocol]];
+
+    return new Promise((resolve, reject) => {
+        let reply = '';
+        let settled = false;
+
+        const finish = (err) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            socket.removeListener('data', onData);
+            socket.removeListener('error', finish);
+            socket.removeListener('close', onClose);
+            if (err) {
+                socket.destroy();
+                reject(err);
+            } else {
+                resolve();
+            }
+        };
+
+        const next = () => {
+            reply = '';
+            if (steps.length === 0) return finish();
+            if (steps[0].send) socket.write(steps[0].send);
+        };
+
+        const onData = (chunk) => {
+            reply += chunk.toString('latin1');
+            const step = steps[0];
+
+            if (step.fail.test(reply)) {
+                return finish(new Error(`STARTTLS refused: ${reply.trim().split('\n').pop()}`));
+            }
+            if (step.ok.test(reply)) {
+                steps.shift();
+                next();
+            }
+        };
+
+        const onClose = () => finish(new Error('Connection closed during STARTTLS'));
+        const timer = setTimeout(() => finish(new Error('Timeout')), timeout);
+
+        socket.on('data', onData);
+        socket.once('error', finish);
+        socket.once('close', onClose);
+        next();
+    });
+}
+
+/**
+ * Connect to the server (directly over TLS or with STARTTLS) and read its certificate
+ */
+async function readCertificate(hostname, port, protocol = 'tls', timeout = 5000) {
+    let plain = null;
+    if (protocol !== 'tls') {
+        plain = await connectPlain(hostname, port, timeout);
+        await startTls(plain, protocol, timeout);
+    }
+
+    return new Promise((resolve, reject) => {
+        let stapled = null;
+
+        const socket = tls.connect({
+            ...(plain ? { socket: plain } : { host: hostname, port }),
+            servername: net.isIP(hostname) ? undefined : hostname, // No SNI for IP addresses
+            rejectUnauthorized: false,
+            requestOCSP: true,
+        }, () => {
+            const cert = socket.getPeerCertificate(true);
+            socket.destroy();
+
+            if (!cert || !cert.valid_to) {
+                reject(new Error('No certificate presented'));
+                return;
+            }
+            resolve({ socket, cert, stapled });
+        });
+
+        socket.on('OCSPResponse', (response) => {
+            stapled = response;
+        });
+
+        socket.on('error', (err) => {
+            socket.destroy();
+            reject(err);
+        });
+
+        socket.setTimeout(timeout, () => {
+            socket.destroy();
+            reject(new Error('Timeout'));
+        });
+    });
+}
+
+/**
+ * Read and validate a server's certificate
+ * Throws if no certificate could be read
+ */
+async function inspectCertificate(hostname, port, protocol = 'tls', timeout = 5000) {
+    const { socket, cert, stapled } = await readCertificate(hostname, port, protocol, timeout);
+    const chain = getChain(cert);
+    const problems = getProblems(socket, cert, chain, hostname);
+
+    const ocspStatus = await getRevocationStatus(
+        cert.raw,
+        chain[1]?.raw,
+        cert.infoAccess?.['OCSP - URI']?.[0],
+        stapled
+    );
+    if (ocspStatus === 'revoked') {
+        problems.push({ code: 'revoked', message: 'Certificate has been revoked (OCSP)' });
+    }
+
+    const expiryDate = new Date(cert.valid_to);
+    const daysRemaining = Math.ceil((expiryDate - new Date()) / (1000 * 60 * 60 * 24));
+
+    return {
+        expiresAt: expiryDate,
+        daysRemaining,
+        issuer: cert.issuer?.O || cert.issuer?.CN || 'Unknown',
+        subject: cert.subject?.CN || 'Unknown',
+        valid: problems.length === 0,
+        validFrom: new Date(cert.valid_from),
+        serialNumber: cert.serialNumber,
+        fingerprint: cert.fingerprint256,
+        keyBits: cert.bits,
+        signatureAlgorithm: SIGNATURE_ALGORITHMS[getSignatureAlgorithm(cert)] || getSignatureAlgorithm(cert),
+        ocspStatus,
+        chain: chain.map((entry) => ({
+            subject: entry.subject?.CN || entry.subject?.O || 'Unknown',
+            issuer: entry.issuer?.CN || entry.issuer?.O || 'Unknown',
+            expiresAt: new Date(entry.valid_to),
+        })),
+        problems,
+    };
+}
+
+/**
+ * Get SSL certificate information and validation problems for an https URL
+ * Returns null if the certificate couldn't be read
+ */
+async function getSslInfo(url) {
+    try {
+        const urlObj = new URL(url);
+        const hostname = urlObj.hostname.replace(/^\[(.*)\]$/, '$1');
+        return await inspectCertificate(hostname, urlObj.port || 443);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Host and port of an ssl monitor: "host", "host:port", "[::1]:993" or a URL
+ */
+function getTarget(monitor) {
+    const protocol = monitor.sslProtocol || 'tls';
+    let hostname = monitor.url.trim();
+    let port = null;
+
+    if (hostname.includes('://')) {
+        const urlObj = new URL(hostname);
+        hostname = urlObj.hostname;
+        port = urlObj.port;
+    } else {
+        const match = /^\[?([^\]]+?)\]?(?::(\d+))?$/.exec(hostname);
+        if (match && (match[2] || !match[1].includes(':') || hostname.startsWith('['))) {
+            hostname = match[1];
+            port = match[2];
+        }
+    }
+
+    return {
+        hostname: hostname.replace(/^\[(.*)\]$/, '$1'),
+        port: Number(monitor.port || port || DEFAULT_PORTS[protocol]),
+        protocol,
+    };
+}
+
+/**
+ * Perform SSL check
+ * Fails when the certificate can't be read or doesn't validate; weak keys and
+ * signatures only raise an SSL problem alert
+ */
+async function checkSsl(monitor) {
+    const startTime = Date.now();
+
+    try {
+        const { hostname, port, protocol } = getTarget(monitor);
+        const sslInfo = await inspectCertificate(hostname, port, protocol, monitor.timeout || 10000);
+        const failures = sslInfo.problems.filter((problem) => FAILING_PROBLEMS.includes(problem.code));
+
+        return {
+            success: failures.length === 0,
+            responseMs: Date.now() - startTime,
+            error: failures.length > 0 ? failures.map((problem) => problem.message).join('; ') : null,
+            sslInfo,
+        };
+    } catch (err) {
+        return {
+            success: false,
+            responseMs: Date.now() - startTime,
+            error: err.code || err.message || 'TLS connection failed',
+            sslInfo: null,
+        };
+    }
+}
+
+module.exports = { getSslInfo, checkSsl, SSL_PROTOCOLS };
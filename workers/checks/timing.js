@@ -0,0 +1,78 @@
+/**
+ * HTTP Timing
+ * Agents that record the phases of a request (DNS lookup, TCP connect,
+ * TLS handshake, time to first byte, content transfer) from socket events
+ */
+
+const http = require('http');
+const https = require('https');
+
+const PHASES = ['dns', 'tcp', 'tls', 'ttfb', 'transfer'];
+
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+/**
+ * Record socket event times, a new socket (e.g. after a redirect) starts over
+ * so the phases describe the request that produced the final response
+ */
+function watchSocket(socket, marks) {
+    for (const key of Object.keys(marks)) delete marks[key];
+    marks.start = now();
+
+    socket.once('lookup', () => { marks.lookup = now(); });
+    socket.once('connect', () => { marks.connect = now(); });
+    socket.once('secureConnect', () => { marks.secureConnect = now(); });
+    socket.once('data', () => { marks.firstByte = now(); });
+}
+
+/**
+ * Create http/https agents for one check and a function that turns the
+ * recorded times into phase durations in ms
+ * agentOptions are passed to the https agent (client certificates etc.)
+ */
+function createTimedAgents(agentOptions = {}) {
+    const marks = {};
+
+    const timed = (Agent, options) => {
+        const agent = new Agent(options);
+        const createConnection = agent.createConnection.bind(agent);
+        agent.createConnection = (...args) => {
+            const socket = createConnection(...args);
+            watchSocket(socket, marks);
+            return socket;
+        };
+        return agent;
+    };
+
+    /**
+     * Phase durations up to now (call once the body was read), null for
+     * phases that didn't happen (no DNS lookup for IP addresses, no TLS over
+     * http) or weren't reached before an error
+     */
+    function getTimings() {
+        if (!marks.start) return null;
+
+        const end = now();
+        const between = (from, to) => (from !== undefined && to !== undefined
+            ? Math.max(0, Math.round(to - from))
+            : null);
+
+        const connected = marks.secureConnect ?? marks.connect;
+
+        return {
+            dns: between(marks.start, marks.lookup),
+            tcp: between(marks.lookup ?? marks.start, marks.connect),
+            tls: between(marks.connect, marks.secureConnect),
+            ttfb: between(connected, marks.firstByte),
+            transfer: between(marks.firstByte, end),
+        };
+    }
+
+    return {
+        httpAgent: timed(http.Agent, {}),
+        httpsAgent: timed(https.Agent, agentOptions),
+        getTimings,
+    };
+}
+
+module.exports = { PHASES, createTimedAgents };
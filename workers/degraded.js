@@ -0,0 +1,95 @@
+/**
+ * Degraded Status
+ * Warn thresholds that mark a passing monitor as degraded, and the
+ * minor-severity incidents that go with it
+ */
+
+const Monitor = require('../models/Monitor');
+const Incident = require('../models/Incident');
+
+/**
+ * Evaluate the warn thresholds for a check result
+ * Returns the updated slow check streak and why the monitor is degraded (or null)
+ */
+function evaluateDegraded(monitor, result, slowChecks = 0) {
+    if (!result.success) {
+        return { slowChecks: 0, reason: null };
+    }
+
+    const reasons = [];
+
+    const threshold = monitor.degradedResponseMs;
+    const slow = threshold > 0 && result.responseMs > threshold;
+    const streak = slow ? slowChecks + 1 : 0;
+    if (slow && streak >= (monitor.degradedAfterChecks || 1)) {
+        reasons.push(`Response time ${result.responseMs}ms above ${threshold}ms for ${streak} consecutive checks`);
+    }
+
+    const sslDays = result.sslInfo?.daysRemaining ?? monitor.sslDaysRemaining;
+    if (monitor.degradedSslDays > 0 && sslDays !== undefined && sslDays !== null && sslDays <= monitor.degradedSslDays) {
+        reasons.push(`SSL certificate expires in ${sslDays} days`);
+    }
+
+    const { packetLoss, jitterMs } = result.ping || {};
+    if (monitor.degradedPacketLoss > 0 && packetLoss > monitor.degradedPacketLoss) {
+        reasons.push(`Packet loss ${packetLoss}% above ${monitor.degradedPacketLoss}%`);
+    }
+    if (monitor.degradedJitterMs > 0 && jitterMs > monitor.degradedJitterMs) {
+        reasons.push(`Jitter ${jitterMs}ms above ${monitor.degradedJitterMs}ms`);
+    }
+
+    return {
+        slowChecks: streak,
+        reason: reasons.length > 0 ? reasons.join('; ') : null,
+    };
+}
+
+/**
+ * Create a minor incident for a degraded monitor and link it
+ */
+async function openDegradedIncident(monitor, reason) {
+    const incident = await Incident.create({
+        teamId: monitor.teamId,
+        monitorId: monitor._id,
+        title: `${monitor.name} is degraded`,
+        description: reason,
+        status: 'investigating',
+        severity: 'minor',
+        type: 'auto',
+        timeline: [{
+            status: 'investigating',
+            message: `Degraded: ${reason}`,
+        }],
+    });
+
+    await Monitor.findByIdAndUpdate(monitor._id, {
+        currentIncidentId: incident._id,
+    });
+
+    return incident;
+}
+
+/**
+ * Resolve the monitor's open degraded incident before a down incident replaces it
+ */
+async function closeDegradedIncident(monitor) {
+    if (!monitor.currentIncidentId) return;
+
+    const incident = await Incident.findById(monitor.currentIncidentId);
+    if (!incident || incident.severity !== 'minor' || incident.status === 'resolved') return;
+
+    incident.status = 'resolved';
+    incident.resolvedAt = new Date();
+    incident.duration = new Date() - incident.startedAt;
+    incident.timeline.push({
+        status: 'resolved',
+        message: 'Superseded - Monitor is down',
+    });
+    await incident.save();
+}
+
+module.exports = {
+    evaluateDegraded,
+    openDegradedIncident,
+    closeDegradedIncident,
+};
@@ -0,0 +1,20 @@
+/**
+ * DNS Alerts
+ * Detects when the records a monitor resolves change between checks
+ */
+
+/**
+ * Compare resolved records with the last known set (order and case ignored)
+ * Returns { previous, current } if they changed, null otherwise or on the first check
+ */
+function evaluateDnsChange(monitor, records) {
+    const previous = monitor.dnsLastRecords || [];
+    if (previous.length === 0) return null;
+
+    const key = (list) => [...new Set(list.map((record) => record.toLowerCase()))].sort().join('\n');
+    if (key(previous) === key(records)) return null;
+
+    return { previous: [...previous], current: records };
+}
+
+module.exports = { evaluateDnsChange };
@@ -0,0 +1,35 @@
+/**
+ * Domain Alerts
+ * Expiry thresholds for domain registrations, alerted the same way as SSL
+ * certificates: each threshold once, starting over when the domain is renewed
+ */
+
+const { DEFAULT_ALERT_DAYS, evaluateThresholds } = require('./sslAlerts');
+
+/**
+ * Compare a check's registration info with what was already alerted
+ * Returns whether to alert and the monitor fields to store
+ */
+function evaluateDomainAlerts(monitor, domainInfo) {
+    const thresholds = monitor.domainAlertDays || DEFAULT_ALERT_DAYS;
+
+    // Renewal moves the expiry date
+    const renewed = monitor.domainExpiresAt &&
+        new Date(monitor.domainExpiresAt).getTime() !== new Date(domainInfo.expiresAt).getTime();
+    const alreadySent = renewed ? [] : (monitor.domainExpiryAlertsSent || []);
+
+    const { crossed, alert } = evaluateThresholds(thresholds, domainInfo.daysRemaining, alreadySent);
+
+    return {
+        expiryAlert: alert,
+        update: {
+            domainExpiresAt: domainInfo.expiresAt,
+            domainDaysRemaining: domainInfo.daysRemaining,
+            domainRegistrar: domainInfo.registrar,
+            domainNameservers: domainInfo.nameservers,
+            domainExpiryAlertsSent: crossed,
+        },
+    };
+}
+
+module.exports = { evaluateDomainAlerts };
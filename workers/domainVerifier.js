@@ -0,0 +1,128 @@
+/**
+ * Domain Verifier
+ * Confirms ownership of status page custom domains via DNS TXT records
+ */
+
+const dns = require('dns').promises;
+const StatusPage = require('../models/StatusPage');
+
+const VERIFY_INTERVAL_MS = 5 * 60 * 1000; // Re-check pending domains every 5 minutes
+const PENDING_WINDOW_MS = 72 * 60 * 60 * 1000; // Give up after 72 hours
+
+const TXT_RECORD_PREFIX = '_balaping';
+const TXT_VALUE_PREFIX = 'balaping-verification=';
+
+let verifierInterval = null;
+
+/**
+ * DNS record the customer has to create for a status page
+ */
+function getVerificationRecord(statusPage) {
+    return {
+        type: 'TXT',
+        name: `${TXT_RECORD_PREFIX}.${statusPage.customDomain.domain}`,
+        value: `${TXT_VALUE_PREFIX}${statusPage.customDomain.verificationToken}`,
+    };
+}
+
+/**
+ * Resolve the TXT record and mark the domain verified if the token matches
+ * A failed lookup (timeout, SERVFAIL) keeps the previous state
+ */
+async function verifyStatusPageDomain(statusPage) {
+    const { domain, verificationToken } = statusPage.customDomain || {};
+    if (!domain || !verificationToken) {
+        return { verified: false, error: 'No custom domain configured' };
+    }
+
+    const record = getVerificationRecord(statusPage);
+    let verified = statusPage.customDomain.verified;
+    let error = null;
+
+    try {
+        const records = await dns.resolveTxt(record.name);
+        // TXT records may be split into several chunks
+        verified = records.map((chunks) => chunks.join('')).includes(record.value);
+        if (!verified) {
+            error = `TXT record ${record.name} does not contain the verification token`;
+        }
+    } catch (err) {
+        if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') {
+            // The record is gone
+            verified = false;
+            error = `TXT record ${record.name} not found`;
+        } else if (err.code === 'ETIMEOUT') {
+            error = 'DNS timeout';
+        } else {
+            error = err.message || 'DNS lookup failed';
+        }
+    }
+
+    statusPage.customDomain.verified = verified;
+    statusPage.customDomain.lastCheckedAt = new Date();
+    statusPage.customDomain.lastError = error;
+    if (verified && !error) {
+        statusPage.customDomain.verifiedAt = new Date();
+    }
+    await statusPage.save();
+
+    if (verified && !error) {
+        // Other pages may have claimed the domain without verifying it
+        await StatusPage.updateMany(
+            { 'customDomain.domain': domain, _id: { $ne: statusPage._id } },
+            { $set: { customDomain: { verified: false } } }
+        );
+        console.log(`🌐 Custom domain verified: ${domain} → ${statusPage.slug}`);
+    }
+
+    return { verified, error };
+}
+
+/**
+ * Check every recently added, unverified custom domain
+ */
+async function runPendingVerifications() {
+    try {
+        const pages = await StatusPage.find({
+            'customDomain.domain': { $exists: true, $ne: null },
+            'customDomain.verified': false,
+            'customDomain.requestedAt': { $gte: new Date(Date.now() - PENDING_WINDOW_MS) },
+        });
+
+        for (const page of pages) {
+            await verifyStatusPageDomain(page);
+        }
+    } catch (error) {
+        console.error('Domain verification error:', error);
+    }
+}
+
+/**
+ * Start the periodic verification job
+ */
+function startDomainVerifier() {
+    if (verifierInterval) return;
+
+    verifierInterval = setInterval(runPendingVerifications, VERIFY_INTERVAL_MS);
+    runPendingVerifications();
+
+    console.log('🌐 Domain verifier started');
+}
+
+/**
+ * Stop the periodic verification job
+ */
+function stopDomainVerifier() {
+    if (verifierInterval) {
+        clearInterval(verifierInterval);
+        verifierInterval = null;
+    }
+}
+
+module.exports = {
+    getVerificationRecord,
+    verifyStatusPageDomain,
+    runPendingVerifications,
+    startDomainVerifier,
+    stopDomainVerifier,
+};
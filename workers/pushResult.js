@@ -0,0 +1,29 @@
+/**
+ * Push Monitor Results
+ * Heartbeat and cronjob pings arrive over HTTP instead of from a scheduled
+ * check. Hand their result to the active engine so they go through the same
+ * history, incident and alert handling as polled checks
+ */
+
+const USE_BULLMQ = process.env.USE_BULLMQ === 'true';
+
+/**
+ * Process the result of a ping for a monitor
+ * Errors are logged, the ping itself is already recorded
+ */
+async function recordPushResult(monitor, result) {
+    try {
+        // Required lazily, the pipeline loads the check modules that call this
+        if (USE_BULLMQ) {
+            const { processCheckResult } = require('./checkResult');
+            await processCheckResult(monitor._id, result);
+        } else {
+            const { processPushResult } = require('./worker');
+            await processPushResult(monitor._id, result);
+        }
+    } catch (error) {
+        console.error('Push result error:', error);
+    }
+}
+
+module.exports = { recordPushResult };
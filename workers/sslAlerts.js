@@ -0,0 +1,107 @@
+/**
+ * SSL Alerts
+ * Decides which SSL alerts a check should send: expiry thresholds crossed
+ * (each alerted once per certificate), newly found certificate problems and,
+ * for ssl monitors, certificates replaced well before they were due
+ */
+
+const SslCertificate = require('../models/SslCertificate');
+
+const DEFAULT_ALERT_DAYS = [30, 14, 7, 3, 1];
+
+/**
+ * Expiry thresholds crossed with the days left, and whether one is new
+ * Every threshold at or below the days left counts as crossed, so a missed
+ * check still alerts once; nothing alerts once already expired
+ */
+function evaluateThresholds(thresholds, daysRemaining, alreadySent) {
+    const crossed = thresholds.filter((days) => daysRemaining <= days);
+    const alert = daysRemaining > 0 && crossed.some((days) => !alreadySent.includes(days));
+
+    return { crossed, alert };
+}
+
+/**
+ * Compare a check's certificate info with what was already alerted
+ * Returns the alerts to send and the monitor fields to store
+ */
+function evaluateSslAlerts(monitor, sslInfo) {
+    const thresholds = monitor.sslAlertDays || DEFAULT_ALERT_DAYS;
+
+    // A certificate expiring later than the one the thresholds were counted
+    // against starts them over. Any other certificate (e.g. a load balancer
+    // serving two) adds to the thresholds already sent.
+    const expiresAt = new Date(sslInfo.expiresAt);
+    const countedAgainst = monitor.sslExpiryAlertsFor || monitor.sslExpiresAt;
+    const renewed = !countedAgainst || expiresAt > new Date(countedAgainst);
+    const alreadySent = renewed ? [] : (monitor.sslExpiryAlertsSent || []);
+
+    // An expired certificate is reported as a problem instead
+    const { crossed, alert: expiryAlert } = evaluateThresholds(thresholds, sslInfo.daysRemaining, alreadySent);
+
+    // Problems alert when first found, and again if they come back after a fix
+    const problems = sslInfo.problems || [];
+    const alerted = monitor.sslProblemsAlerted || [];
+    const newProblems = problems.filter((problem) => !alerted.includes(problem.code));
+
+    return {
+        expiryAlert,
+        newProblems,
+        update: {
+            sslExpiryAlertsSent: [...new Set([...alreadySent, ...crossed])].sort((a, b) => b - a),
+            sslExpiryAlertsFor: renewed ? expiresAt : countedAgainst,
+            sslProblems: problems,
+            sslProblemsAlerted: problems.map((problem) => problem.code),
+            sslFingerprint: sslInfo.fingerprint,
+        },
+    };
+}
+
+/**
+ * Add the served certificate to the monitor's history
+ * Returns the rotation when a new certificate replaced the previous one:
+ * { previous, current, unexpected } (null if nothing changed)
+ */
+async function recordCertificate(monitor, sslInfo) {
+    if (!sslInfo.fingerprint) return null;
+
+    const now = new Date();
+    const seen = await SslCertificate.findOneAndUpdate(
+        { monitorId: monitor._id, fingerprint: sslInfo.fingerprint },
+        { lastSeenAt: now }
+    );
+
+    // Known certificate, e.g. servers behind a load balancer serving different ones
+    if (seen) return null;
+
+    const previous = await SslCertificate.findOne({ monitorId: monitor._id, replacedAt: null })
+        .sort({ firstSeenAt: -1 });
+
+    // Replaced while it still had more time left than the earliest expiry alert
+    const alertDays = Math.max(...(monitor.sslAlertDays?.length ? monitor.sslAlertDays : DEFAULT_ALERT_DAYS));
+    const daysLeft = previous ? (previous.expiresAt - now) / (1000 * 60 * 60 * 24) : 0;
+    const unexpected = daysLeft > alertDays;
+
+    const current = await SslCertificate.create({
+        monitorId: monitor._id,
+        teamId: monitor.teamId,
+        fingerprint: sslInfo.fingerprint,
+        subject: sslInfo.subject,
+        issuer: sslInfo.issuer,
+        serialNumber: sslInfo.serialNumber,
+        validFrom: sslInfo.validFrom,
+        expiresAt: sslInfo.expiresAt,
+        firstSeenAt: now,
+        lastSeenAt: now,
+        rotation: !previous ? 'initial' : unexpected ? 'unexpected' : 'expected',
+    });
+
+    if (!previous) return null;
+
+    previous.replacedAt = now;
+    await previous.save();
+
+    return { previous, current, unexpected };
+}
+
+module.exports = { DEFAULT_ALERT_DAYS, evaluateThresholds, evaluateSslAlerts, recordCertificate };
@@ -3,9 +3,23 @@
  * Uses JavaScript Map() - No Redis required!
  */
 
+/**
+ * Cache entry with the monitor's full configuration, so any monitor type
+ * can be checked from it, plus the scheduling/status state
+ */
+function toCacheEntry(monitor, state) {
+    return {
+        ...monitor.toObject(),
+        monitorId: monitor._id.toString(),
+        teamId: monitor.teamId.toString(),
+        ...state,
+        active: true,
+    };
+}
+
 class WorkerCache {
     constructor() {
-        // Map: monitorId -> { nextRunAt, lastStatus, lastResponseMs, consecutiveFailures, active }
+        // Map: monitorId -> monitor config + { nextRunAt, lastStatus, lastResponseMs, consecutiveFailures, active }
         this.cache = new Map();
     }
 
@@ -15,23 +29,13 @@ class WorkerCache {
     addMonitor(monitor) {
         if (!monitor.active) return;
 
-        this.cache.set(monitor._id.toString(), {
-            monitorId: monitor._id.toString(),
-            teamId: monitor.teamId.toString(),
-            url: monitor.url,
-            method: monitor.method,
-            intervalSec: monitor.intervalSec,
-            expectedCode: monitor.expectedCode,
-            timeout: monitor.timeout,
-            headers: monitor.headers,
-            body: monitor.body,
-            alertAfterFailures: monitor.alertAfterFailures,
+        this.cache.set(monitor._id.toString(), toCacheEntry(monitor, {
             nextRunAt: Date.now(), // Run immediately
             lastStatus: monitor.lastStatus || 'pending',
             lastResponseMs: monitor.lastResponseMs || 0,
             consecutiveFailures: monitor.consecutiveFailures || 0,
-            active: true,
-        });
+            consecutiveSlowChecks: monitor.consecutiveSlowChecks || 0,
+        }));
 
         console.log(`📡 Added monitor: ${monitor.name} (${monitor.url})`);
     }
@@ -47,23 +51,13 @@ class WorkerCache {
             return;
         }
 
-        this.cache.set(monitor._id.toString(), {
-            monitorId: monitor._id.toString(),
-            teamId: monitor.teamId.toString(),
-            url: monitor.url,
-            method: monitor.method,
-            intervalSec: monitor.intervalSec,
-            expectedCode: monitor.expectedCode,
-            timeout: monitor.timeout,
-            headers: monitor.headers,
-            body: monitor.body,
-            alertAfterFailures: monitor.alertAfterFailures,
+        this.cache.set(monitor._id.toString(), toCacheEntry(monitor, {
             nextRunAt: existing ? existing.nextRunAt : Date.now(),
             lastStatus: existing ? existing.lastStatus : 'pending',
             lastResponseMs: existing ? existing.lastResponseMs : 0,
             consecutiveFailures: existing ? existing.consecutiveFailures : 0,
-            active: true,
-        });
+            consecutiveSlowChecks: existing ? existing.consecutiveSlowChecks : 0,
+        }));
 
         console.log(`🔄 Updated monitor: ${monitor._id}`);
     }
@@ -91,27 +85,24 @@ class WorkerCache {
      * Resume a monitor
      */
     resumeMonitor(monitor) {
-        this.cache.set(monitor._id.toString(), {
-            monitorId: monitor._id.toString(),
-            teamId: monitor.teamId.toString(),
-            url: monitor.url,
-            method: monitor.method,
-            intervalSec: monitor.intervalSec,
-            expectedCode: monitor.expectedCode,
-            timeout: monitor.timeout,
-            headers: monitor.headers,
-            body: monitor.body,
-            alertAfterFailures: monitor.alertAfterFailures,
+        this.cache.set(monitor._id.toString(), toCacheEntry(monitor, {
             nextRunAt: Date.now(),
             lastStatus: 'pending',
             lastResponseMs: 0,
             consecutiveFailures: 0,
-            active: true,
-        });
+            consecutiveSlowChecks: 0,
+        }));
 
         console.log(`▶️ Resumed monitor: ${monitor._id}`);
     }
 
+    /**
+     * Get a cached monitor
+     */
+    getMonitor(monitorId) {
+        return this.cache.get(monitorId);
+    }
+
     /**
      * Get monitors that need to run now
      */
@@ -129,26 +120,26 @@ class WorkerCache {
     }
 
     /**
-     * Update monitor after check
+     * Set when a monitor runs next
      */
-    updateAfterCheck(monitorId, success, responseMs, nextRunAt) {
+    setNextRun(monitorId, nextRunAt) {
         const monitor = this.cache.get(monitorId);
         if (monitor) {
-            const previousStatus = monitor.lastStatus;
-            monitor.lastStatus = success ? 'up' : 'down';
-            monitor.lastResponseMs = responseMs;
             monitor.nextRunAt = nextRunAt;
-            monitor.consecutiveFailures = success ? 0 : monitor.consecutiveFailures + 1;
-
-            return {
-                statusChanged: previousStatus !== monitor.lastStatus,
-                previousStatus,
-                newStatus: monitor.lastStatus,
-                consecutiveFailures: monitor.consecutiveFailures,
-                alertAfterFailures: monitor.alertAfterFailures,
-            };
         }
-        return null;
+    }
+
+    /**
+     * Update monitor after check with the status from the check result pipeline
+     */
+    updateAfterCheck(monitorId, responseMs, { newStatus, consecutiveFailures, slowChecks }) {
+        const monitor = this.cache.get(monitorId);
+        if (monitor) {
+            monitor.lastStatus = newStatus;
+            monitor.lastResponseMs = responseMs;
+            monitor.consecutiveFailures = consecutiveFailures;
+            monitor.consecutiveSlowChecks = slowChecks;
+        }
     }
 
     /**